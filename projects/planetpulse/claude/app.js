@@ -7,18 +7,59 @@
  * ----------------------
  * This application is organized into the following modules:
  *
- * 1. CONFIG - Central configuration for metrics, colors, and API endpoints
- * 2. Utils - Utility functions (debounce, throttle, color interpolation)
- * 3. DataService - Handles fetching, parsing, and filtering earthquake data
- * 4. GlobeRenderer - Three.js scene setup, globe rendering, starfield, and markers
- * 5. UIController - Manages UI interactions, metric switching, and panel updates
- * 6. App - Main application orchestrator that ties all modules together
+ * 1. CONFIG - Central configuration for colors, layers, and API endpoints
+ * 2. Utils - Utility functions (debounce, fetch with timeout, feature ids)
+ * 3. ColorRamp - Palette library (viridis, cividis, magma, diverging, categorical) sampled in OKLab
+ * 4. MetricRegistry - Pluggable metric definitions and scale strategies (linear, log, sqrt, quantile, Jenks)
+ * 5. FdsnClient - Builds and pages through USGS FDSN event queries
+ * 6. FeatureSchema - Validates and normalizes incoming features, counting drops and fixes per reason
+ * 7. DatasetImport - Parses dropped GeoJSON/CSV files into point features with a column mapping
+ * 8. Exporter - Serializes events as GeoJSON, CSV or metric-styled KML downloads
+ * 9. FeedCache - IndexedDB copy of the last successful fetch per feed or query
+ * 10. DataService - Handles fetching, parsing, and filtering earthquake data
+ * 11. MarkerLayer - Single-draw-call point markers with shader animation and grid picking
+ * 12. Clustering - Zoom-dependent grid clustering of nearby markers
+ * 13. HeatmapLayer - Kernel density texture on a translucent shell over the globe
+ * 14. Playback - Time-lapse playhead with a swappable clock
+ * 15. Search - Fuzzy matching of event places and ids
+ * 16. Regions - Saved circle/polygon regions of interest with great-circle containment
+ * 17. PlateBoundaries - Bundled tectonic plate boundary lines and nearest-boundary distance
+ * 18. Subsurface - Hypocenter depth placement with a configurable exaggeration
+ * 19. CrossSection - Great-circle slice sampling events into a distance vs depth plot
+ * 20. Basemap - Natural Earth land, coastlines, borders and a labelled graticule painted onto the globe texture
+ * 21. Sunlight - Subsolar point, local sun elevation and the day/night globe shader
+ * 22. GlobeRenderer - Three.js scene setup, globe rendering, starfield, and markers
+ * 23. Capture - High-resolution PNG snapshots and WebM recordings with the legend composited
+ * 24. UIController - Manages UI interactions, metric switching, and panel updates
+ * 25. UrlState - Encodes the view state in the URL hash for shareable links
+ * 26. App - Main application orchestrator that ties all modules together
  *
  * DATA FLOW:
  * ----------
  * App.init() -> DataService.fetchData() -> GlobeRenderer.addDataPoints()
+ * Request -> Utils.fetchJsonWithRetry() -> Utils.fetchJson() (FetchError by category) -> UIController.showRetry() countdown
+ * Response -> FeatureSchema.normalize() (drop / coerce, per-reason counts) -> DataService.quality -> stats panel
+ * Load -> DataService.loadCached() (IndexedDB, drawn at once) -> App.revalidate() -> DataService.fetchData() -> FeedCache.put()
  * User interaction -> UIController -> GlobeRenderer.updateVisualization()
+ * Metric switch -> MetricRegistry.get() -> marker styles, legend, stats, tooltip, details
  * Time filter change -> DataService.filterByTime() -> GlobeRenderer.updateVisibility()
+ * Feed change -> DataService.setFeed() -> DataService.fetchData() -> GlobeRenderer.addDataPoints()
+ * FDSN query -> DataService.setQuery() -> FdsnClient.fetchAll() (count, then limit/offset pages)
+ * Export -> App.exportData() (visible or selected features) -> Exporter.download()
+ * Snapshot -> App.captureSnapshot() -> GlobeRenderer.renderAt(width, height) -> Capture.compose() -> PNG
+ * Recording -> Capture.startRecording() -> GlobeRenderer.onFrame (each frame) -> MediaRecorder -> WebM
+ * File drop -> DatasetImport.parse() -> UIController.promptMapping() -> DatasetImport.build() -> DataService.setUpload()
+ * Live refresh -> DataService.refreshData() -> GlobeRenderer.syncDataPoints() (diffed by feature id)
+ * Time-lapse -> Playback.tick() (each frame) -> GlobeRenderer.setPlayback() -> marker shader fade
+ * Region drawn -> UIController (GlobeRenderer.pickSurface) -> Regions.add() -> App.applyRegions() -> DataService.filterByTime() (+ Regions.test)
+ * Boot -> Basemap.load() (bundled TopoJSON) -> GlobeRenderer.redrawBasemap(); layer toggles redraw the texture
+ * Each frame -> GlobeRenderer.updateSun(playhead or now) -> Sunlight.subsolarPoint() -> shader uniform + sun light
+ * Boot -> PlateBoundaries.load() (bundled GeoJSON) -> GlobeRenderer.setPlateBoundaries(); details -> PlateBoundaries.nearest()
+ * Subsurface toggle -> GlobeRenderer.setSubsurface() (shell fade/clip) -> MarkerLayer.reposition() at Subsurface.radiusFor(depth)
+ * Section drawn -> CrossSection.setLine() -> App.updateSection() -> CrossSection.sample() -> globe curtain + UIController.renderSection() plot
+ * Pointer move -> UIController.pickSurface() (GlobeRenderer.pickSurface, globe-local ray) -> coordinate readout; globe click -> pin + copy
+ * Search -> Search.find() -> App.focusEvent() -> GlobeRenderer.selectMarker(feature, focus) -> flyTo()
+ * View change -> App.saveViewState() -> UrlState.write(); boot/back -> UrlState.read() -> App.restoreViewState()
  *
  * KEY IMPROVEMENTS (Round 2):
  * ---------------------------
@@ -41,10 +82,60 @@
  * TRADE-OFFS & LIMITATIONS:
  * -------------------------
  * - Uses USGS earthquake API (public, no key required) for real data
- * - Falls back to hardcoded sample data if API fails
- * - Globe texture is procedurally generated (no external image dependency)
- * - Limited to ~500 data points for performance
- * - Sprite-based markers provide good hit detection but limited styling options
+ * - Shows the last cached copy of a feed or query (with a banner saying when
+ *   it was fetched) if the API fails, and hardcoded sample data only when
+ *   nothing is cached; sw.js caches the app shell and Three.js for offline loads
+ * - The globe texture is painted at load from bundled Natural Earth 1:50m
+ *   TopoJSON (data/countries-50m.json from world-atlas), so it needs no image
+ *   downloads and works offline; it is raster, so borders soften when zoomed in
+ * - Markers are GPU points in one draw call, so full feeds (50k+ events) render
+ *   without a point cap; FDSN queries are capped by their "max events" setting
+ *   and report fetched vs. available
+ * - FDSN queries and summary feeds can be tested offline against
+ *   dev/fdsn-fixture-server.js (open the app with ?fdsn=/fdsnws/event/1 or
+ *   ?feed=/earthquakes/feed/v1.0/summary/); prefix either with /fail/<mode>
+ *   to rehearse failures (500, 503, 404, json, slow, drop, flaky)
+ * - Features from feeds and queries are validated before use: unplaceable ones
+ *   (bad geometry, latitude beyond ±90°, duplicate ids) are dropped, others
+ *   are coerced (longitude wrapped, blank depth/magnitude/time kept as null)
+ * - Failed requests are sorted into FetchError categories; offline, timeout
+ *   and 5xx/429 are retried with jittered exponential backoff (CONFIG.retry),
+ *   404, other 4xx and invalid JSON fail at once
+ * - Point markers are always camera-facing discs; picking is approximate to
+ *   a few pixels around each disc
+ * - Metrics are registered with MetricRegistry.register() before App.init();
+ *   the selector, legend, stats and details are generated from the registry
+ * - Data-driven scales are built from every loaded event (not just the time
+ *   window); Jenks breaks run on at most CONFIG.scales.jenksSample order statistics
+ * - Exports cover the time-slider window (or the selection) and ignore the
+ *   time-lapse playhead; KML colors are quantized to CONFIG.export.kmlSteps styles
+ * - Dropped files are parsed in memory and not kept across reloads; their
+ *   numeric columns are registered as "data:<column>" metrics while loaded
+ * - Snapshots re-render the scene at the chosen size (up to the GPU's maximum
+ *   drawing buffer); recordings capture the on-screen canvas at its current
+ *   size, so the video is only as large as the window
+ * - Time-lapse bypasses clustering so each event can fade in on its own;
+ *   the playhead is driven by Playback.clock so tests can step it manually
+ * - Plate boundaries are a coarse bundled trace of the major boundaries after
+ *   Bird (2003), good to roughly 100-200 km, so the nearest-boundary distance
+ *   is shown rounded to 50 km; drop the full PB2002 GeoJSON in at
+ *   CONFIG.plates.url (and lower CONFIG.plates.distanceStepKm) for precise
+ *   distances (its Type/STEPCLASS are read)
+ * - Regions are kept in localStorage, not in shared links. Events inside any
+ *   enabled region pass the filter; polygon edges are great-circle arcs and
+ *   containment uses the spherical winding number, so polygons should stay
+ *   within a hemisphere
+ * - Sunlight uses the Almanac's low-precision solar position (about 0.01°)
+ *   and ignores refraction, so sunrise/sunset at the terminator is a few
+ *   minutes off; no city-lights image is bundled (set CONFIG.sun.cityLightsUrl)
+ * - The coordinate readout hits the ideal sphere, not terrain; copying needs
+ *   the Clipboard API, which browsers only expose on https or localhost
+ * - Subsurface mode scales depth by CONFIG.subsurface.exaggeration (real
+ *   slabs are too shallow to see at 1×), bypasses clustering, and picks
+ *   markers by a brute-force nearest-to-ray test since they no longer sit on
+ *   the surface grid
+ * - Cross-section swaths are measured along the surface from the great
+ *   circle; events without a depth are left out of the plot
  *
  * ==========================================================================
  */
@@ -54,10 +145,56 @@
 // ==========================================================================
 
 const CONFIG = {
-    // API endpoint for earthquake data (USGS - past 30 days, magnitude 2.5+)
+    // API settings for earthquake data (USGS GeoJSON summary feeds; override
+    // with ?feed=<base url ending in />, e.g. the local fixture server)
     api: {
-        url: 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/2.5_month.geojson',
-        maxPoints: 500
+        baseUrl: new URLSearchParams(window.location.search).get('feed') ||
+            'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/',
+        maxPoints: 100000
+    },
+
+    // Feed catalog: every USGS summary feed is `${level}_${period}.geojson`
+    feeds: {
+        defaultLevel: '2.5',
+        defaultPeriod: 'month',
+        levels: {
+            significant: { id: 'significant', label: 'Significant', domains: { magnitude: [4, 8] } },
+            '4.5': { id: '4.5', label: 'M4.5+', domains: { magnitude: [4.5, 8] } },
+            '2.5': { id: '2.5', label: 'M2.5+', domains: { magnitude: [2.5, 8] } },
+            '1.0': { id: '1.0', label: 'M1.0+', domains: { magnitude: [1, 7] } },
+            all: { id: 'all', label: 'All', domains: { magnitude: [0, 7] } }
+        },
+        // Time slider is expressed in `unit` steps up to `max` for each period
+        periods: {
+            hour: { id: 'hour', label: 'Past Hour', unit: 'minute', max: 60 },
+            day: { id: 'day', label: 'Past Day', unit: 'hour', max: 24 },
+            week: { id: 'week', label: 'Past 7 Days', unit: 'day', max: 7 },
+            month: { id: 'month', label: 'Past 30 Days', unit: 'day', max: 30 }
+        }
+    },
+
+    // FDSN event web service (override with ?fdsn=<base url>, e.g. the local fixture server)
+    fdsn: {
+        baseUrl: new URLSearchParams(window.location.search).get('fdsn') ||
+            'https://earthquake.usgs.gov/fdsnws/event/1',
+        maxLimit: 20000,
+        defaults: {
+            starttime: new Date(Date.now() - 7 * 86400000).toISOString().slice(0, 10),
+            endtime: '',
+            minmagnitude: 1,
+            maxmagnitude: '',
+            region: 'none',
+            orderby: 'time',
+            pageSize: 1000,
+            maxEvents: 5000
+        }
+    },
+
+    // Length of each time slider unit in days
+    timeUnits: {
+        minute: 1 / 1440,
+        hour: 1 / 24,
+        day: 1
     },
 
     // Globe settings
@@ -65,50 +202,258 @@ const CONFIG = {
         radius: 1,
         segments: 64,
         rotationSpeed: 0.0008,
-        cameraDistance: 2.5
+        cameraDistance: 2.5,
+        flyDuration: 1500,
+        focusDistance: 2,
+        earthRadiusKm: 6371
     },
 
-    // Starfield settings
-    starfield: {
-        count: 2000,
-        radius: 50
+    // Basemap: Natural Earth 1:50m land and countries (world-atlas TopoJSON)
+    // drawn onto an equirectangular texture `textureWidth` wide (capped by
+    // the GPU). Countries in `iceCaps` are tinted as ice. The graticule
+    // spacing is picked from `graticuleSteps`; `referenceLines` are drawn
+    // over the land and labelled.
+    basemap: {
+        url: 'data/countries-50m.json',
+        textureWidth: 4096,
+        graticuleStep: 15,
+        graticuleSteps: [5, 10, 15, 30],
+        referenceLines: [
+            { name: 'Equator', lat: 0 },
+            { name: 'Tropic of Cancer', lat: 23.4365 },
+            { name: 'Tropic of Capricorn', lat: -23.4365 },
+            { name: 'Prime Meridian', lon: 0 }
+        ],
+        labelSize: 22,
+        iceCaps: ['Antarctica', 'Greenland'],
+        colors: {
+            oceanPole: '#1a4a6e',
+            oceanEquator: '#1a3a5c',
+            land: '#2d5a3d',
+            ice: '#4a6a7a',
+            coast: 'rgba(232, 236, 244, 0.35)',
+            border: 'rgba(232, 236, 244, 0.5)',
+            graticule: 'rgba(232, 236, 244, 0.15)',
+            reference: 'rgba(255, 209, 102, 0.55)',
+            label: 'rgba(255, 221, 153, 0.9)'
+        }
     },
 
-    // Metric definitions
-    metrics: {
-        magnitude: {
-            id: 'magnitude',
-            label: 'Magnitude',
-            description: 'Earthquake magnitude (Richter scale)',
-            accessor: (d) => d.properties.mag,
-            domain: [2.5, 8],
-            format: (v) => v?.toFixed(1) ?? '-',
-            unit: '',
-            statLabels: { avg: 'Avg Magnitude:', max: 'Max Magnitude:' }
+    // Day/night shading: the globe is lit from the subsolar point at the
+    // current UTC time (the playhead during time-lapse). Day and night blend
+    // over `twilightDegrees` of sun elevation either side of the terminator,
+    // which is drawn `terminatorDegrees` wide. `cityLightsUrl` may name an
+    // equirectangular night-lights image to show on the dark side.
+    sun: {
+        dayAmbient: 0.7,
+        dayBrightness: 1.2,
+        nightBrightness: 0.25,
+        twilightDegrees: 6,
+        terminatorDegrees: 0.4,
+        terminatorColor: '#ffb347',
+        terminatorOpacity: 0.6,
+        cityLightsUrl: null,
+        cityLightsIntensity: 1
+    },
+
+    // Regions of interest, saved in localStorage. Polygon edges are split
+    // every `stepDegrees` along their great circle and circles into
+    // `circleSegments`; outlines float at `lift` globe radii. Clicks closer
+    // than `minVertexKm` to the last corner (e.g. a double-click) are ignored.
+    regions: {
+        storageKey: 'planetpulse.regions',
+        stepDegrees: 2,
+        circleSegments: 96,
+        lift: 1.003,
+        minVertexKm: 1,
+        colors: { active: '#4a9eff', inactive: '#8b95a8', draft: '#fbbf24' }
+    },
+
+    // Subsurface mode: markers sink to their hypocenter depth, stretched by
+    // `exaggeration` (one of `exaggerations`) and kept at least `minRadius`
+    // from the center. The 'transparent' cutaway fades the globe to
+    // `shellOpacity`; 'clip' removes the half of it facing the camera.
+    subsurface: {
+        exaggeration: 3,
+        exaggerations: [1, 2, 3, 5, 8],
+        cutaway: 'transparent',
+        minRadius: 0.05,
+        shellOpacity: 0.25
+    },
+
+    // Cross-sections: events within `widthKm` (the whole swath, one of
+    // `widths`) of a drawn great-circle line are plotted by distance along
+    // it against depth. The depth axis reaches at least `minDepthKm`; in
+    // subsurface mode a curtain hangs under the line down to that depth.
+    section: {
+        widthKm: 200,
+        widths: [50, 100, 200, 400],
+        minLengthKm: 50,
+        minDepthKm: 100,
+        stepDegrees: 1,
+        color: '#f472b6',
+        curtainOpacity: 0.12,
+        plotHeight: 220
+    },
+
+    // Plate boundary overlay: bundled polylines (LineString/MultiLineString
+    // features) split every `stepDegrees` along their great circle. A
+    // feature's type comes from `type`, `Type` or PB2002's `STEPCLASS`;
+    // `aliases` maps other spellings onto `types`, anything else is 'other'.
+    // Distances are rounded to `distanceStepKm` and shown as approximate: the
+    // bundled trace is only good to 100-200 km (lower it for PB2002).
+    plates: {
+        url: 'data/plate-boundaries.geojson',
+        stepDegrees: 1,
+        lift: 1.002,
+        distanceStepKm: 50,
+        types: {
+            convergent: { label: 'Convergent', color: '#f87171' },
+            divergent: { label: 'Divergent', color: '#34d399' },
+            transform: { label: 'Transform', color: '#fbbf24' },
+            other: { label: 'Other', color: '#8b95a8' }
         },
-        depth: {
-            id: 'depth',
-            label: 'Depth',
-            description: 'Earthquake depth below surface',
-            accessor: (d) => d.geometry.coordinates[2],
-            domain: [0, 300],
-            format: (v) => v?.toFixed(0) ?? '-',
-            unit: 'km',
-            statLabels: { avg: 'Avg Depth:', max: 'Max Depth:' }
+        aliases: {
+            subduction: 'convergent', sub: 'convergent', ocb: 'convergent', ccb: 'convergent',
+            ridge: 'divergent', rift: 'divergent', osr: 'divergent', crb: 'divergent',
+            otf: 'transform', ctf: 'transform'
         }
     },
 
-    // Color scale (low -> mid -> high)
-    colors: {
-        low: { r: 34, g: 211, b: 238 },    // Cyan
-        mid: { r: 250, g: 204, b: 21 },    // Yellow
-        high: { r: 239, g: 68, b: 68 }     // Red
+    // Search box: characters before matching, results shown
+    search: {
+        minLength: 2,
+        maxResults: 8
+    },
+
+    // Starfield settings
+    starfield: {
+        count: 2000,
+        radius: 50
     },
 
-    // Marker size range
+    // Default metric color ramp, evenly spaced stops (low -> mid -> high)
+    colors: [
+        '#22d3ee',    // Cyan
+        '#facc15',    // Yellow
+        '#ef4444'     // Red
+    ],
+
+    // Stops sampled into CSS gradients (CSS blends in sRGB, so sample densely)
+    gradientSteps: 16,
+
+    // Default marker size range (pixels)
     markerSize: {
         min: 8,
         max: 24
+    },
+
+    // Dropped datasets: share of values that must parse for a numeric column,
+    // how many rejected row numbers to list per reason, and the largest file read
+    upload: {
+        numericShare: 0.8,
+        listedRows: 5,
+        maxBytes: 50e6
+    },
+
+    // Exports: KML placemarks share one style per color step, with icons
+    // scaled between these sizes by the active metric
+    export: {
+        kmlSteps: 16,
+        kmlIconScale: [0.6, 1.4]
+    },
+
+    // Snapshots render at a fixed pixel size regardless of the window;
+    // recordings run at `fps`, with one full turn lasting `turnSeconds`
+    capture: {
+        sizes: {
+            window: { id: 'window', label: 'Window size' },
+            hd: { id: 'hd', label: '1920 × 1080', width: 1920, height: 1080 },
+            qhd: { id: 'qhd', label: '2560 × 1440', width: 2560, height: 1440 },
+            uhd: { id: 'uhd', label: '3840 × 2160 (4K)', width: 3840, height: 2160 }
+        },
+        defaultSize: 'uhd',
+        fps: 30,
+        turnSeconds: 20,
+        mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    },
+
+    // Classed scales: class count, and the sample size Jenks breaks run on
+    scales: {
+        classes: 5,
+        jenksSample: 1000
+    },
+
+    // Clustering: cell size (degrees) = cellScale * camera height above the globe
+    clustering: {
+        cellScale: 6,
+        minCellSize: 0.5,
+        maxCellSize: 32,
+        sizeRange: { min: 16, max: 48 },
+        maxListed: 50
+    },
+
+    // Density heatmap: equirectangular grid size, Gaussian bandwidth and color ramp
+    heatmap: {
+        width: 512,
+        height: 256,
+        radius: 1.01,
+        bandwidthKm: 250,
+        ramp: [
+            { t: 0, color: [76, 29, 149, 0] },
+            { t: 0.25, color: [124, 58, 237, 0.45] },
+            { t: 0.5, color: [236, 72, 153, 0.6] },
+            { t: 0.75, color: [251, 146, 60, 0.75] },
+            { t: 1, color: [254, 240, 138, 0.9] }
+        ]
+    },
+
+    // Marker picking: lat/lon grid cell size (degrees) and hit padding (pixels)
+    picking: {
+        cellSize: 2,
+        padding: 4
+    },
+
+    // Cursor coordinate readout: decimals shown and copied, and how far
+    // (pixels) a press may move before it counts as a drag, not a click
+    readout: {
+        decimals: 2,
+        copyDecimals: 4,
+        clickTolerance: 5
+    },
+
+    // Time-lapse: real ms to play the full range at 1x, step count, and how
+    // long events stay visible (fraction of the range, min 1 hour)
+    playback: {
+        duration: 30000,
+        speeds: [0.5, 1, 2, 4, 8],
+        steps: 100,
+        trailFraction: 0.1,
+        minTrail: 3600000,
+        fadeInFraction: 0.1
+    },
+
+    // Live updates (USGS regenerates summary feeds every minute)
+    refresh: {
+        interval: 60000,
+        highlightDuration: 10000
+    },
+
+    // Transient fetch failures (offline, timeout, HTTP 5xx/429) are retried
+    // up to `attempts` tries in all; try n waits baseDelay * 2^(n-1), capped
+    // at maxDelay, then scaled by a random 50-100% (jitter)
+    retry: {
+        attempts: 4,
+        baseDelay: 1000,
+        maxDelay: 15000,
+        timeout: 10000
+    },
+
+    // IndexedDB copies of the last successful fetch, one per feed or FDSN
+    // query, keeping the most recently fetched `maxEntries`
+    cache: {
+        dbName: 'planetpulse',
+        maxEntries: 8
     }
 };
 
@@ -138,6 +483,39 @@ const SAMPLE_DATA = {
 // UTILITIES
 // ==========================================================================
 
+/**
+ * A failed request, sorted into a category so callers can tell transient
+ * failures (worth retrying) from permanent ones and explain each to the user
+ */
+class FetchError extends Error {
+    static categories = {
+        offline: { label: 'Network unavailable', transient: true, hint: 'Check your connection, then retry.' },
+        timeout: { label: 'Request timed out', transient: true, hint: 'The server is slow to respond; retry in a moment.' },
+        server: { label: 'Server error', transient: true, hint: 'The earthquake service is having problems; retry in a few minutes.' },
+        'not-found': { label: 'Not found', transient: false, hint: 'The feed or service URL does not exist.' },
+        request: { label: 'Request rejected', transient: false, hint: 'The server refused the query; adjust the filters and try again.' },
+        invalid: { label: 'Invalid data', transient: false, hint: 'The response was not earthquake GeoJSON.' }
+    };
+
+    /**
+     * @param {string} category - Key of FetchError.categories
+     * @param {string} message
+     * @param {{status?: number, retryAfter?: number}} [details] - HTTP status,
+     *     and the server's Retry-After in ms
+     */
+    constructor(category, message, { status = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'FetchError';
+        this.category = category;
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+
+    get transient() {
+        return FetchError.categories[this.category].transient;
+    }
+}
+
 const Utils = {
     /**
      * Debounce a function
@@ -151,25 +529,233 @@ const Utils = {
     },
 
     /**
-     * Interpolate between colors based on normalized value (0-1)
+     * Fetch JSON with a timeout, returning null for empty (204) responses.
+     * Every failure is thrown as a categorized FetchError.
      */
-    interpolateColor(t, colors) {
-        const { low, mid, high } = colors;
-        let r, g, b;
+    async fetchJson(url, timeout = CONFIG.retry.timeout) {
+        // Create abort controller for timeout
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-        if (t < 0.5) {
-            const t2 = t * 2;
-            r = low.r + (mid.r - low.r) * t2;
-            g = low.g + (mid.g - low.g) * t2;
-            b = low.b + (mid.b - low.b) * t2;
-        } else {
-            const t2 = (t - 0.5) * 2;
-            r = mid.r + (high.r - mid.r) * t2;
-            g = mid.g + (high.g - mid.g) * t2;
-            b = mid.b + (high.b - mid.b) * t2;
+        let response;
+        try {
+            response = await fetch(url, {
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw await this.httpError(response);
+            }
+
+            // 204 No Content is how FDSN services report an empty result
+            if (response.status === 204) {
+                return null;
+            }
+
+            return await response.json();
+
+        } catch (error) {
+            if (error instanceof FetchError) {
+                throw error;
+            }
+            if (error.name === 'AbortError') {
+                throw new FetchError('timeout', `No response within ${timeout / 1000} s`);
+            }
+            // fetch() rejects with a TypeError when the request never completes
+            if (!response) {
+                throw new FetchError('offline', navigator.onLine === false
+                    ? 'No network connection'
+                    : 'Could not reach the server');
+            }
+            throw new FetchError('invalid', 'Response is not valid JSON', { status: response.status });
+
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    },
+
+    /**
+     * FetchError for a non-2xx response. FDSN services explain 4xx errors
+     * in a plain-text body ("Error 400: Bad Request\n\n<detail>").
+     */
+    async httpError(response) {
+        const { status } = response;
+
+        if (status >= 500 || status === 429) {
+            const seconds = Number(response.headers.get('Retry-After'));
+            return new FetchError('server', `Server error (HTTP ${status})`, {
+                status,
+                retryAfter: Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null
+            });
+        }
+        if (status === 404) {
+            return new FetchError('not-found', 'Not found (HTTP 404)', { status });
+        }
+
+        const body = await response.text().catch(() => '');
+        const detail = body.split('\n\n')[1]?.trim();
+        return new FetchError('request', `Request rejected (${detail || `HTTP ${status}`})`, { status });
+    },
+
+    /**
+     * fetchJson() that retries transient failures with exponential backoff
+     * and jitter, and throws permanent ones (404, 4xx, invalid JSON) at once
+     * @param {function({error: FetchError, attempt: number, attempts: number, delay: number})} [onRetry]
+     *     Called before waiting `delay` ms to make try `attempt + 1`
+     */
+    async fetchJsonWithRetry(url, onRetry) {
+        const { attempts } = CONFIG.retry;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.fetchJson(url);
+            } catch (error) {
+                if (!error.transient || attempt >= attempts) throw error;
+
+                const delay = this.backoffDelay(attempt, error.retryAfter);
+                if (onRetry) onRetry({ error, attempt, attempts, delay });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
         }
+    },
+
+    /**
+     * Wait before retrying after failed try `attempt`: exponential, capped,
+     * with "equal jitter" (50-100% of the step) so clients don't retry in
+     * lockstep; a server's Retry-After is honored up to the cap
+     */
+    backoffDelay(attempt, retryAfter = null, random = Math.random()) {
+        const { baseDelay, maxDelay } = CONFIG.retry;
+        const step = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        const delay = step * (0.5 + random / 2);
+        return Math.round(Math.min(maxDelay, Math.max(delay, retryAfter || 0)));
+    },
+
+    /**
+     * Stable identity for a feature (USGS id, or place + time for sample data)
+     */
+    featureId(feature) {
+        return feature.id ?? `${feature.properties.place}@${feature.properties.time}`;
+    },
+
+    /**
+     * Escape text for use in innerHTML (dropped files supply place and column names)
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    },
+
+    /**
+     * Hand a blob to the browser as a timestamped `planetpulse-*` download
+     * @returns {string} The file name
+     */
+    downloadBlob(blob, extension) {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '');
+        const fileName = `planetpulse-${stamp}.${extension}`;
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        return fileName;
+    },
+
+    /**
+     * Great-circle (haversine) distance between two points in km
+     */
+    distanceKm(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLon = (lon2 - lon1) * toRad;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+        return 2 * CONFIG.globe.earthRadiusKm * Math.asin(Math.min(1, Math.sqrt(a)));
+    },
+
+    /**
+     * Point reached by travelling `distanceKm` from lat/lon along a great
+     * circle at `bearing` degrees clockwise from north
+     */
+    destination(lat, lon, bearing, distanceKm) {
+        const toRad = Math.PI / 180;
+        const angle = distanceKm / CONFIG.globe.earthRadiusKm;
+        const phi = lat * toRad;
+        const theta = bearing * toRad;
+
+        const lat2 = Math.asin(Math.sin(phi) * Math.cos(angle) +
+            Math.cos(phi) * Math.sin(angle) * Math.cos(theta));
+        const lon2 = lon * toRad + Math.atan2(
+            Math.sin(theta) * Math.sin(angle) * Math.cos(phi),
+            Math.cos(angle) - Math.sin(phi) * Math.sin(lat2)
+        );
+
+        return { lat: lat2 / toRad, lon: ((lon2 / toRad + 540) % 360) - 180 };
+    },
+
+    /**
+     * Lat/lon as an [x, y, z] unit vector (z through the north pole), for
+     * spherical geometry independent of the scene's axes
+     */
+    toUnitVector(lat, lon) {
+        const phi = lat * Math.PI / 180;
+        const lambda = lon * Math.PI / 180;
+        return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+    },
+
+    /**
+     * [x, y, z] vector (any length) back to lat/lon
+     */
+    fromUnitVector([x, y, z]) {
+        return {
+            lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+            lon: Math.atan2(y, x) * 180 / Math.PI
+        };
+    },
+
+    /**
+     * Dot product of two [x, y, z] vectors
+     */
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    },
+
+    /**
+     * Cross product of two [x, y, z] vectors
+     */
+    cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    },
 
-        return { r: r / 255, g: g / 255, b: b / 255 };
+    /**
+     * Lat/lon points along the great circle from a to b (excluding b), at
+     * most `stepDegrees` apart
+     */
+    greatCircle(a, b, stepDegrees) {
+        const u = this.toUnitVector(a.lat, a.lon);
+        const v = this.toUnitVector(b.lat, b.lon);
+        const angle = Math.acos(Math.max(-1, Math.min(1, this.dot(u, v))));
+
+        // Coincident or antipodal ends have no single great circle between them
+        if (angle < 1e-9 || Math.PI - angle < 1e-9) return [a];
+
+        const steps = Math.ceil(angle * 180 / Math.PI / stepDegrees);
+        const points = [];
+        for (let i = 0; i < steps; i++) {
+            const t = i / steps;
+            const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+            const wb = Math.sin(t * angle) / Math.sin(angle);
+            points.push(this.fromUnitVector([0, 1, 2].map(k => wa * u[k] + wb * v[k])));
+        }
+        return points;
     },
 
     /**
@@ -186,6 +772,27 @@ const Utils = {
         );
     },
 
+    /**
+     * Convert a 3D vector on a sphere back to lat/lon (inverse of latLonToVector3)
+     */
+    vector3ToLatLon(vector) {
+        const radius = vector.length();
+        const lat = 90 - Math.acos(vector.y / radius) * (180 / Math.PI);
+        const theta = Math.atan2(vector.z, -vector.x) * (180 / Math.PI);
+        const lon = ((theta + 360) % 360) - 180;
+
+        return { lat, lon };
+    },
+
+    /**
+     * Latitude/longitude with hemisphere letters, e.g. "35.68° N, 139.77° E"
+     */
+    formatLatLon(lat, lon, decimals = 2) {
+        const ns = lat < 0 ? 'S' : 'N';
+        const ew = lon < 0 ? 'W' : 'E';
+        return `${Math.abs(lat).toFixed(decimals)}° ${ns}, ${Math.abs(lon).toFixed(decimals)}° ${ew}`;
+    },
+
     /**
      * Create a circular gradient texture for markers
      */
@@ -210,1040 +817,7645 @@ const Utils = {
 };
 
 // ==========================================================================
-// DATA SERVICE
+// COLOR RAMPS
 // ==========================================================================
 
-const DataService = {
-    rawData: null,
-    filteredData: null,
-    isLoading: false,
-    error: null,
-    timeRangeDays: 30,
-
-    /**
-     * Fetch earthquake data from USGS API with timeout
-     */
-    async fetchData() {
-        this.isLoading = true;
-        this.error = null;
-
-        // Create abort controller for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-        try {
-            const response = await fetch(CONFIG.api.url, {
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
-            }
+/**
+ * Palette library and ramp sampling. Stops are blended in OKLab so steps
+ * look even in lightness; categorical palettes step between stops instead
+ * of blending. Markers, class swatches and legend gradients all go through
+ * sample(), so the legend always matches the globe.
+ */
+const ColorRamp = {
+    palettes: {
+        viridis: {
+            label: 'Viridis',
+            type: 'sequential',
+            colors: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']
+        },
+        cividis: {
+            label: 'Cividis',
+            type: 'sequential',
+            colors: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#e1cc55', '#fee838']
+        },
+        magma: {
+            label: 'Magma',
+            type: 'sequential',
+            colors: ['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779', '#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf']
+        },
+        diverging: {
+            label: 'Blue–Red (diverging)',
+            type: 'diverging',
+            colors: ['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b']
+        },
+        categorical: {
+            label: 'Okabe–Ito (categorical)',
+            type: 'categorical',
+            colors: ['#0072b2', '#56b4e9', '#009e73', '#f0e442', '#e69f00', '#d55e00', '#cc79a7']
+        }
+    },
 
-            const data = await response.json();
+    // Palette picked in the legend; null uses each metric's own colors
+    selected: null,
 
-            // Validate data structure
-            if (!data || !Array.isArray(data.features)) {
-                throw new Error('Invalid data format received');
-            }
+    // OKLab stops per color list, converted once
+    labCache: new Map(),
 
-            // Limit and sort by magnitude
-            if (data.features.length > CONFIG.api.maxPoints) {
-                data.features = data.features
-                    .sort((a, b) => (b.properties.mag || 0) - (a.properties.mag || 0))
-                    .slice(0, CONFIG.api.maxPoints);
-            }
+    /**
+     * Pick a palette by id (null for the metric defaults)
+     */
+    select(id) {
+        if (id !== null && !Object.hasOwn(this.palettes, id)) {
+            throw new Error(`Unknown palette: ${id}`);
+        }
+        this.selected = id;
+    },
 
-            this.rawData = data;
-            this.filteredData = this.filterByTime(this.timeRangeDays);
-            this.isLoading = false;
-            return this.filteredData;
+    /**
+     * The ramp a metric is drawn with: the selected palette, else its own colors
+     * @returns {{type: string, colors: string[]}}
+     */
+    forMetric(metric) {
+        return this.selected
+            ? this.palettes[this.selected]
+            : { type: 'sequential', colors: metric.colors };
+    },
 
-        } catch (error) {
-            clearTimeout(timeoutId);
+    /**
+     * Color at t (0-1) along a ramp, as { r, g, b } with 0-1 channels
+     */
+    sample(ramp, t) {
+        const { colors } = ramp;
+        const scaled = Math.max(0, Math.min(1, t || 0)) * (colors.length - 1);
 
-            // Handle specific error types
-            let errorMessage = 'Failed to fetch data';
-            if (error.name === 'AbortError') {
-                errorMessage = 'Request timed out';
-            } else if (error.message) {
-                errorMessage = error.message;
-            }
+        if (ramp.type === 'categorical') {
+            return this.hexToRgb(colors[Math.round(scaled)]);
+        }
 
-            console.warn('Failed to fetch live data, using sample data:', errorMessage);
-            this.error = new Error(errorMessage);
-            this.rawData = SAMPLE_DATA;
-            this.filteredData = this.filterByTime(this.timeRangeDays);
-            this.isLoading = false;
-            return this.filteredData;
+        if (!this.labCache.has(colors)) {
+            this.labCache.set(colors, colors.map(hex => this.toOklab(this.hexToRgb(hex))));
         }
+        const stops = this.labCache.get(colors);
+        const index = Math.min(Math.floor(scaled), colors.length - 2);
+        const low = stops[index];
+        const high = stops[index + 1];
+        const t2 = scaled - index;
+
+        return this.fromOklab({
+            L: low.L + (high.L - low.L) * t2,
+            a: low.a + (high.a - low.a) * t2,
+            b: low.b + (high.b - low.b) * t2
+        });
     },
 
     /**
-     * Filter data by time range
+     * CSS color at t along a ramp
      */
-    filterByTime(days) {
-        this.timeRangeDays = days;
+    css(ramp, t) {
+        const { r, g, b } = this.sample(ramp, t);
+        return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+    },
 
-        if (!this.rawData || !this.rawData.features) {
-            return { type: 'FeatureCollection', features: [] };
+    /**
+     * CSS left-to-right gradient built from sample(); categorical ramps get
+     * hard edges halfway between stops, matching sample()'s rounding
+     */
+    cssGradient(ramp) {
+        if (ramp.type === 'categorical') {
+            const last = ramp.colors.length - 1;
+            const stops = ramp.colors.map((hex, i) => {
+                const from = Math.max(0, (i - 0.5) / last) * 100;
+                const to = Math.min(1, (i + 0.5) / last) * 100;
+                return `${hex} ${from}% ${to}%`;
+            });
+            return `linear-gradient(to right, ${stops.join(', ')})`;
         }
 
-        const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
-
-        const filtered = {
-            type: 'FeatureCollection',
-            features: this.rawData.features.filter(f => f.properties.time >= cutoff)
-        };
-
-        this.filteredData = filtered;
-        return filtered;
+        const steps = CONFIG.gradientSteps;
+        const stops = Array.from({ length: steps + 1 }, (_, i) => this.css(ramp, i / steps));
+        return `linear-gradient(to right, ${stops.join(', ')})`;
     },
 
     /**
-     * Get filtered data
+     * '#rrggbb' to { r, g, b } with 0-1 channels
      */
-    getData() {
-        return this.filteredData;
+    hexToRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return { r: (value >> 16 & 255) / 255, g: (value >> 8 & 255) / 255, b: (value & 255) / 255 };
     },
 
     /**
-     * Compute statistics for visible data
+     * sRGB (0-1) to OKLab
      */
-    computeStats(metricId) {
-        if (!this.filteredData || !this.filteredData.features) {
-            return { total: 0, avg: 0, max: 0 };
-        }
+    toOklab({ r, g, b }) {
+        const linear = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+        const lr = linear(r);
+        const lg = linear(g);
+        const lb = linear(b);
 
-        const metric = CONFIG.metrics[metricId];
-        const values = this.filteredData.features
-            .map(f => metric.accessor(f))
-            .filter(v => v != null && !isNaN(v));
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
 
-        if (values.length === 0) {
-            return { total: 0, avg: 0, max: 0 };
-        }
+        return {
+            L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        };
+    },
+
+    /**
+     * OKLab to sRGB (0-1), clamped to the gamut
+     */
+    fromOklab({ L, a, b }) {
+        const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+        const gamma = (c) => {
+            const v = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+            return Math.max(0, Math.min(1, v));
+        };
 
         return {
-            total: this.filteredData.features.length,
-            avg: values.reduce((a, b) => a + b, 0) / values.length,
-            max: Math.max(...values)
+            r: gamma(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+            g: gamma(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+            b: gamma(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
         };
     }
 };
 
 // ==========================================================================
-// GLOBE RENDERER
+// METRIC REGISTRY
 // ==========================================================================
 
-const GlobeRenderer = {
-    scene: null,
-    camera: null,
-    renderer: null,
-    controls: null,
-    globe: null,
-    globeGroup: null,
-    markers: [],
-    markerTexture: null,
-    raycaster: null,
-    mouse: null,
-    isRotating: true,
-    currentMetric: 'magnitude',
-    hoveredMarker: null,
-    selectedMarker: null,
-    animationId: null,
+/**
+ * Metrics are registered as plugins. A definition carries everything needed
+ * to color and size markers and to generate the metric selector, legend,
+ * stats, tooltip and details rows, so adding a metric is one register() call.
+ *
+ * Values reach the color ramp and size range through a scale built by one of
+ * the scale strategies below. A scale is
+ *   { strategy, domain: [min, max], breaks, normalize(value) -> 0..1 | null, invert(t) }
+ * where `breaks` (class boundaries, min first and max last) is set only for
+ * classed strategies, which map each class to one evenly spaced ramp step.
+ */
+const MetricRegistry = {
+    metrics: new Map(),
 
     /**
-     * Initialize the Three.js scene
+     * Scale strategies, in selector order. `values` are the metric's finite
+     * values sorted ascending; `range` is the fixed [min, max] if there is one.
      */
-    init(canvas) {
-        // Scene
-        this.scene = new THREE.Scene();
-
-        // Camera
-        const aspect = canvas.clientWidth / canvas.clientHeight;
-        this.camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 100);
-        this.camera.position.z = CONFIG.globe.cameraDistance;
+    scales: {
+        fixed: {
+            label: 'Linear (fixed range)',
+            needsRange: true,
+            create: (values, range) => MetricRegistry.continuousScale('fixed', range)
+        },
+        extent: {
+            label: 'Linear (data min/max)',
+            create: (values, range) => MetricRegistry.continuousScale('extent', MetricRegistry.extent(values, range))
+        },
+        sqrt: {
+            label: 'Square root',
+            create: (values, range) => MetricRegistry.continuousScale('sqrt', MetricRegistry.extent(values, range),
+                t => Math.sqrt(t), t => t * t)
+        },
+        log: {
+            // log1p of the offset from the minimum, so zero and negative values work
+            label: 'Logarithmic',
+            create: (values, range) => {
+                const domain = MetricRegistry.extent(values, range);
+                const span = Math.log1p(domain[1] - domain[0]);
+                return MetricRegistry.continuousScale('log', domain,
+                    t => Math.log1p(t * (domain[1] - domain[0])) / span,
+                    t => Math.expm1(t * span) / (domain[1] - domain[0]));
+            }
+        },
+        quantile: {
+            label: 'Quantile classes',
+            create: (values, range) => MetricRegistry.classedScale('quantile',
+                MetricRegistry.quantileBreaks(values, CONFIG.scales.classes), values, range)
+        },
+        jenks: {
+            label: 'Natural breaks (Jenks)',
+            create: (values, range) => MetricRegistry.classedScale('jenks',
+                MetricRegistry.jenksBreaks(values, CONFIG.scales.classes), values, range)
+        }
+    },
 
-        // Renderer
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: canvas,
-            antialias: true,
-            alpha: true
-        });
-        this.renderer.setSize(canvas.clientWidth, canvas.clientHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    /**
+     * Register a metric
+     * @param {Object} definition
+     * @param {string} definition.id - Unique key (also used in the URL hash)
+     * @param {string} definition.label - Display name
+     * @param {Function} definition.accessor - (feature) => number|null
+     * @param {Object} [definition.domain] - { strategy: 'fixed'|'extent', range: [min, max] }
+     * @param {Function} [definition.formatter] - (value) => string, without the unit
+     * @param {string} [definition.unit] - Suffix appended to formatted values
+     * @param {string[]} [definition.colors] - Hex color ramp, low -> high (used unless a palette is picked)
+     * @param {{min: number, max: number}} [definition.sizeRange] - Marker size in pixels
+     * @param {string} [definition.description] - Legend caption
+     * @param {string} [definition.icon] - Selector button icon
+     * @param {Function} [definition.className] - (value) => CSS class for the details value
+     * @param {boolean} [definition.dataset] - Built from a dropped file's column (offered only for that file)
+     * @returns {Object} The registered metric with defaults filled in
+     */
+    register(definition) {
+        const { id, label, accessor } = definition;
+        if (!id || !label || typeof accessor !== 'function') {
+            throw new Error('Metric needs an id, label and accessor');
+        }
+        if (this.metrics.has(id)) {
+            throw new Error(`Metric "${id}" is already registered`);
+        }
 
-        // Controls
-        this.controls = new THREE.OrbitControls(this.camera, canvas);
-        this.controls.enableDamping = true;
-        this.controls.dampingFactor = 0.05;
-        this.controls.rotateSpeed = 0.5;
-        this.controls.minDistance = 1.5;
-        this.controls.maxDistance = 5;
-        this.controls.enablePan = false;
+        const metric = {
+            domain: { strategy: 'extent' },
+            formatter: (v) => v.toFixed(1),
+            unit: '',
+            colors: CONFIG.colors,
+            sizeRange: CONFIG.markerSize,
+            description: label,
+            icon: '',
+            className: () => '',
+            ...definition
+        };
 
-        this.controls.addEventListener('start', () => {
-            this.isRotating = false;
-        });
+        const { strategy, range } = metric.domain;
+        if (!Object.hasOwn(this.scales, strategy)) {
+            throw new Error(`Metric "${id}" has unknown domain strategy "${strategy}"`);
+        }
+        if (strategy === 'fixed' && !(Array.isArray(range) && range[0] < range[1])) {
+            throw new Error(`Metric "${id}" needs a [min, max] range for a fixed domain`);
+        }
+        if (metric.colors.length < 2) {
+            throw new Error(`Metric "${id}" needs at least two colors`);
+        }
 
-        // Raycaster
-        this.raycaster = new THREE.Raycaster();
-        this.mouse = new THREE.Vector2();
+        this.metrics.set(id, metric);
+        return metric;
+    },
 
-        // Marker texture
-        this.markerTexture = Utils.createMarkerTexture();
+    /**
+     * Remove a metric (e.g. a dropped dataset's columns when it is replaced)
+     */
+    unregister(id) {
+        return this.metrics.delete(id);
+    },
 
-        // Create scene elements
-        this.createStarfield();
-        this.createGlobe();
-        this.createLighting();
+    /**
+     * Look up a metric by id (undefined if not registered)
+     */
+    get(id) {
+        return this.metrics.get(id);
+    },
 
-        // Handle resize with debounce
-        const debouncedResize = Utils.debounce(() => this.handleResize(canvas), 100);
-        window.addEventListener('resize', debouncedResize);
+    /**
+     * Whether a metric id is registered
+     */
+    has(id) {
+        return this.metrics.has(id);
+    },
 
-        // Start animation
-        this.animate();
+    /**
+     * All metrics in registration order
+     */
+    list() {
+        return [...this.metrics.values()];
     },
 
     /**
-     * Create starfield background
+     * Scale strategies a metric can use (fixed needs a range)
      */
-    createStarfield() {
-        const geometry = new THREE.BufferGeometry();
-        const positions = [];
-        const colors = [];
+    getStrategies(metric, range = metric.domain.range) {
+        return Object.keys(this.scales).filter(id => range || !this.scales[id].needsRange);
+    },
 
-        for (let i = 0; i < CONFIG.starfield.count; i++) {
-            // Random position on sphere
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            const r = CONFIG.starfield.radius;
+    /**
+     * Build a metric's scale against the loaded features
+     * @param {Object} metric
+     * @param {Object[]} features
+     * @param {string} [strategy] - Defaults to the metric's own domain strategy
+     * @param {number[]} [range] - Fixed [min, max], e.g. a feed-specific override
+     */
+    createScale(metric, features, strategy = metric.domain.strategy, range = metric.domain.range) {
+        const values = [];
+        features.forEach(feature => {
+            const value = metric.accessor(feature);
+            if (value != null && Number.isFinite(value)) values.push(value);
+        });
+        values.sort((a, b) => a - b);
 
-            positions.push(
-                r * Math.sin(phi) * Math.cos(theta),
-                r * Math.sin(phi) * Math.sin(theta),
-                r * Math.cos(phi)
-            );
+        const scale = this.scales[strategy] && (range || !this.scales[strategy].needsRange)
+            ? this.scales[strategy]
+            : this.scales.extent;
+        return scale.create(values, range);
+    },
 
-            // Slight color variation
-            const brightness = 0.5 + Math.random() * 0.5;
-            colors.push(brightness, brightness, brightness + Math.random() * 0.1);
-        }
+    /**
+     * [min, max] of sorted values, falling back to the range (or [0, 1]) when
+     * empty and widening a single value so the span is never zero
+     */
+    extent(values, range) {
+        if (!values.length) return range || [0, 1];
+        const min = values[0];
+        const max = values[values.length - 1];
+        return min === max ? [min, min + 1] : [min, max];
+    },
 
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    /**
+     * Continuous scale over a domain, optionally shaped by a transform on the
+     * linear position (and its inverse for legend ticks)
+     */
+    continuousScale(strategy, domain, transform = t => t, inverse = t => t) {
+        const [min, max] = domain;
+        return {
+            strategy,
+            domain,
+            breaks: null,
+            normalize(value) {
+                if (value == null || !Number.isFinite(value)) return null;
+                return transform(Math.max(0, Math.min(1, (value - min) / (max - min))));
+            },
+            invert(t) {
+                return min + inverse(t) * (max - min);
+            }
+        };
+    },
 
-        const material = new THREE.PointsMaterial({
-            size: 0.1,
-            vertexColors: true,
-            transparent: true,
-            opacity: 0.8
-        });
+    /**
+     * Classed scale: a value in class i of n normalizes to i / (n - 1).
+     * Duplicate breaks collapse; fewer than two classes falls back to linear.
+     */
+    classedScale(strategy, breaks, values, range) {
+        const unique = breaks.filter((b, i) => i === 0 || b > breaks[i - 1]);
+        if (unique.length < 3) {
+            return this.continuousScale(strategy, this.extent(values, range));
+        }
 
-        const stars = new THREE.Points(geometry, material);
-        this.scene.add(stars);
+        const classes = unique.length - 1;
+        return {
+            strategy,
+            domain: [unique[0], unique[classes]],
+            breaks: unique,
+            normalize(value) {
+                if (value == null || !Number.isFinite(value)) return null;
+                let index = 0;
+                while (index < classes - 1 && value > unique[index + 1]) index++;
+                return index / (classes - 1);
+            },
+            invert(t) {
+                return unique[Math.round(t * classes)];
+            }
+        };
     },
 
     /**
-     * Create the Earth globe
+     * Equal-count class breaks of sorted values
      */
-    createGlobe() {
-        this.globeGroup = new THREE.Group();
+    quantileBreaks(values, classes) {
+        if (!values.length) return [];
+        const breaks = [];
+        for (let i = 0; i <= classes; i++) {
+            breaks.push(values[Math.min(values.length - 1, Math.round(i / classes * (values.length - 1)))]);
+        }
+        return breaks;
+    },
 
-        // Create procedural texture
-        const textureCanvas = document.createElement('canvas');
-        textureCanvas.width = 1024;
-        textureCanvas.height = 512;
-        const ctx = textureCanvas.getContext('2d');
+    /**
+     * Fisher-Jenks natural breaks (minimum within-class variance). The DP is
+     * O(n^2 * classes), so large inputs are reduced to evenly spaced order
+     * statistics first; the true min and max are always kept.
+     */
+    jenksBreaks(values, classes) {
+        if (values.length <= classes) return [...values];
+
+        const limit = CONFIG.scales.jenksSample;
+        const data = values.length > limit
+            ? Array.from({ length: limit }, (_, i) => values[Math.round(i / (limit - 1) * (values.length - 1))])
+            : values;
+        const n = data.length;
+
+        // lower[l][j]: 1-based start of the last class when splitting the
+        // first l values into j classes; cost[l][j]: the summed variance
+        const lower = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+        const cost = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+        for (let j = 1; j <= classes; j++) {
+            lower[1][j] = 1;
+            cost[1][j] = 0;
+        }
 
-        // Ocean gradient
-        const oceanGradient = ctx.createLinearGradient(0, 0, 0, 512);
-        oceanGradient.addColorStop(0, '#1a4a6e');
-        oceanGradient.addColorStop(0.5, '#1a3a5c');
-        oceanGradient.addColorStop(1, '#1a4a6e');
-        ctx.fillStyle = oceanGradient;
-        ctx.fillRect(0, 0, 1024, 512);
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let variance = 0;
+            for (let m = 1; m <= l; m++) {
+                const start = l - m + 1;
+                const value = data[start - 1];
+                sum += value;
+                sumSquares += value * value;
+                variance = sumSquares - (sum * sum) / m;
+                if (start > 1) {
+                    for (let j = 2; j <= classes; j++) {
+                        const candidate = variance + cost[start - 1][j - 1];
+                        if (cost[l][j] >= candidate) {
+                            lower[l][j] = start;
+                            cost[l][j] = candidate;
+                        }
+                    }
+                }
+            }
+            lower[l][1] = 1;
+            cost[l][1] = variance;
+        }
 
-        // Draw continents with more detail
-        ctx.fillStyle = '#2d5a3d';
+        const breaks = new Array(classes + 1);
+        breaks[0] = data[0];
+        breaks[classes] = data[n - 1];
+        let end = n;
+        for (let j = classes; j > 1; j--) {
+            const start = lower[end][j];
+            breaks[j - 1] = data[start - 2];
+            end = start - 1;
+        }
+        return breaks;
+    },
 
-        // North America
-        ctx.beginPath();
-        ctx.moveTo(80, 40);
-        ctx.bezierCurveTo(140, 30, 180, 50, 200, 80);
-        ctx.bezierCurveTo(220, 110, 180, 140, 140, 160);
-        ctx.bezierCurveTo(100, 180, 60, 150, 50, 120);
-        ctx.bezierCurveTo(40, 90, 50, 60, 80, 40);
-        ctx.fill();
-
-        // South America
-        ctx.beginPath();
-        ctx.moveTo(140, 180);
-        ctx.bezierCurveTo(160, 190, 170, 220, 160, 280);
-        ctx.bezierCurveTo(150, 340, 130, 380, 110, 350);
-        ctx.bezierCurveTo(100, 320, 100, 260, 110, 220);
-        ctx.bezierCurveTo(120, 190, 130, 180, 140, 180);
-        ctx.fill();
-
-        // Europe
-        ctx.beginPath();
-        ctx.moveTo(480, 60);
-        ctx.bezierCurveTo(520, 50, 560, 60, 580, 80);
-        ctx.bezierCurveTo(600, 100, 580, 130, 540, 140);
-        ctx.bezierCurveTo(500, 150, 460, 140, 450, 120);
-        ctx.bezierCurveTo(440, 100, 460, 70, 480, 60);
-        ctx.fill();
-
-        // Africa
-        ctx.beginPath();
-        ctx.moveTo(480, 150);
-        ctx.bezierCurveTo(520, 140, 560, 160, 580, 200);
-        ctx.bezierCurveTo(600, 260, 580, 320, 540, 340);
-        ctx.bezierCurveTo(500, 360, 460, 340, 440, 300);
-        ctx.bezierCurveTo(420, 260, 430, 200, 460, 170);
-        ctx.bezierCurveTo(470, 160, 480, 150, 480, 150);
-        ctx.fill();
-
-        // Asia
-        ctx.beginPath();
-        ctx.moveTo(600, 50);
-        ctx.bezierCurveTo(700, 40, 800, 60, 860, 100);
-        ctx.bezierCurveTo(900, 140, 880, 180, 820, 200);
-        ctx.bezierCurveTo(760, 220, 680, 220, 620, 200);
-        ctx.bezierCurveTo(580, 180, 560, 140, 580, 100);
-        ctx.bezierCurveTo(590, 70, 600, 50, 600, 50);
-        ctx.fill();
-
-        // India
-        ctx.beginPath();
-        ctx.ellipse(680, 230, 30, 50, 0, 0, Math.PI * 2);
-        ctx.fill();
+    /**
+     * Format a value with its unit, or '-' when missing
+     */
+    format(metric, value) {
+        if (value == null || !Number.isFinite(value)) return '-';
+        return `${metric.formatter(value)}${metric.unit}`;
+    }
+};
 
-        // Southeast Asia
-        ctx.beginPath();
-        ctx.ellipse(780, 240, 40, 30, 0.3, 0, Math.PI * 2);
-        ctx.fill();
+MetricRegistry.register({
+    id: 'magnitude',
+    label: 'Magnitude',
+    icon: '📊',
+    description: 'Earthquake magnitude (Richter scale)',
+    accessor: (d) => d.properties.mag,
+    domain: { strategy: 'fixed', range: [2.5, 8] },
+    formatter: (v) => v.toFixed(1),
+    className: (v) => {
+        if (v >= 6) return 'magnitude-high';
+        if (v >= 4.5) return 'magnitude-mid';
+        return 'magnitude-low';
+    }
+});
 
-        // Australia
-        ctx.beginPath();
-        ctx.moveTo(820, 300);
-        ctx.bezierCurveTo(880, 290, 920, 320, 920, 360);
-        ctx.bezierCurveTo(920, 400, 880, 420, 830, 410);
-        ctx.bezierCurveTo(780, 400, 760, 360, 780, 330);
-        ctx.bezierCurveTo(790, 310, 810, 300, 820, 300);
-        ctx.fill();
-
-        // Antarctica
-        ctx.fillStyle = '#4a6a7a';
-        ctx.fillRect(0, 460, 1024, 52);
-
-        // Greenland
-        ctx.fillStyle = '#5a7a8a';
-        ctx.beginPath();
-        ctx.ellipse(350, 45, 40, 25, 0, 0, Math.PI * 2);
-        ctx.fill();
+MetricRegistry.register({
+    id: 'depth',
+    label: 'Depth',
+    icon: '📏',
+    description: 'Earthquake depth below surface',
+    accessor: (d) => d.geometry.coordinates[2],
+    domain: { strategy: 'fixed', range: [0, 300] },
+    formatter: (v) => v.toFixed(0),
+    unit: 'km'
+});
 
-        const texture = new THREE.CanvasTexture(textureCanvas);
+MetricRegistry.register({
+    id: 'sig',
+    label: 'Significance',
+    icon: '⭐',
+    description: 'USGS significance (magnitude, felt reports and estimated impact)',
+    accessor: (d) => d.properties.sig,
+    domain: { strategy: 'fixed', range: [0, 1000] },
+    formatter: (v) => v.toFixed(0)
+});
 
-        // Globe mesh
-        const geometry = new THREE.SphereGeometry(
-            CONFIG.globe.radius,
-            CONFIG.globe.segments,
-            CONFIG.globe.segments
-        );
+MetricRegistry.register({
+    id: 'felt',
+    label: 'Felt Reports',
+    icon: '👥',
+    description: '"Did You Feel It?" reports submitted',
+    accessor: (d) => d.properties.felt,
+    domain: { strategy: 'extent', range: [0, 100] },
+    formatter: (v) => v.toFixed(0)
+});
 
-        const material = new THREE.MeshPhongMaterial({
-            map: texture,
-            bumpScale: 0.02,
-            specular: new THREE.Color(0x333333),
-            shininess: 5
-        });
+// ==========================================================================
+// FDSN CLIENT
+// ==========================================================================
 
-        this.globe = new THREE.Mesh(geometry, material);
-        this.globeGroup.add(this.globe);
+const FdsnClient = {
+    /**
+     * Translate a query into FDSN event filter parameters
+     */
+    toParams(query) {
+        const params = new URLSearchParams({ format: 'geojson' });
+        const set = (key) => {
+            if (query[key] !== '' && query[key] != null) {
+                params.set(key, query[key]);
+            }
+        };
 
-        // Atmosphere
-        const atmosphereGeometry = new THREE.SphereGeometry(1.015, 64, 64);
-        const atmosphereMaterial = new THREE.MeshBasicMaterial({
-            color: 0x4a9eff,
-            transparent: true,
-            opacity: 0.08,
-            side: THREE.BackSide
-        });
-        const atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
-        this.globeGroup.add(atmosphere);
+        ['starttime', 'endtime', 'minmagnitude', 'maxmagnitude'].forEach(set);
 
-        // Outer glow
-        const glowGeometry = new THREE.SphereGeometry(1.05, 64, 64);
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x4a9eff,
-            transparent: true,
-            opacity: 0.03,
-            side: THREE.BackSide
-        });
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        this.globeGroup.add(glow);
+        if (query.region === 'box') {
+            ['minlatitude', 'maxlatitude', 'minlongitude', 'maxlongitude'].forEach(set);
+        } else if (query.region === 'circle') {
+            ['latitude', 'longitude', 'maxradiuskm'].forEach(set);
+        }
 
-        this.scene.add(this.globeGroup);
+        return params;
     },
 
     /**
-     * Create lighting
+     * Build a `query` URL for one page of results (offset is 1-based per FDSN)
      */
-    createLighting() {
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-        this.scene.add(ambientLight);
+    buildQueryUrl(query, offset, limit) {
+        const params = this.toParams(query);
+        params.set('orderby', query.orderby || 'time');
+        params.set('offset', offset);
+        params.set('limit', limit);
+        return `${CONFIG.fdsn.baseUrl}/query?${params}`;
+    },
 
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(5, 3, 5);
-        this.scene.add(directionalLight);
+    /**
+     * Build a `count` URL for the same filters
+     */
+    buildCountUrl(query) {
+        return `${CONFIG.fdsn.baseUrl}/count?${this.toParams(query)}`;
+    },
 
-        const hemisphereLight = new THREE.HemisphereLight(0x6699ff, 0x444422, 0.3);
-        this.scene.add(hemisphereLight);
+    /**
+     * Number of events matching the query on the server
+     */
+    async count(query, onRetry) {
+        const data = await Utils.fetchJsonWithRetry(this.buildCountUrl(query), onRetry);
+        return data?.count ?? 0;
     },
 
     /**
-     * Add data points as sprites
+     * Page through the query with limit/offset until the server runs out of
+     * events or `query.maxEvents` is reached. Each request is retried on its
+     * own (see Utils.fetchJsonWithRetry).
      */
-    addDataPoints(features) {
-        // Clear existing markers
-        this.clearMarkers();
+    async fetchAll(query, onProgress, onRetry) {
+        const available = await this.count(query, onRetry);
+        const target = Math.min(available, query.maxEvents);
+        const features = [];
+
+        while (features.length < target) {
+            const limit = Math.min(query.pageSize, target - features.length);
+            const page = await Utils.fetchJsonWithRetry(
+                this.buildQueryUrl(query, features.length + 1, limit),
+                onRetry
+            );
+            const pageFeatures = page?.features || [];
 
-        features.forEach((feature, index) => {
-            const [lon, lat] = feature.geometry.coordinates;
-            if (lon == null || lat == null) return;
+            features.push(...pageFeatures);
+            if (onProgress) {
+                onProgress({ fetched: features.length, available });
+            }
 
-            const position = Utils.latLonToVector3(lat, lon, 1.02);
+            // Events can expire between the count and the last page
+            if (pageFeatures.length < limit) break;
+        }
 
-            // Create sprite
-            const spriteMaterial = new THREE.SpriteMaterial({
-                map: this.markerTexture,
-                transparent: true,
-                depthTest: true,
-                depthWrite: false
-            });
+        return { type: 'FeatureCollection', features, available };
+    }
+};
+
+// ==========================================================================
+// FEATURE SCHEMA
+// ==========================================================================
+
+/**
+ * Validation and normalization for features arriving from feeds, FDSN
+ * queries and the cache, so the rest of the app can trust their shape:
+ * a Point with finite lon (-180..180) / lat (-90..90), a numeric or null
+ * depth, and numeric or null mag/time/etc. Features that can't be placed
+ * are dropped; fixable values are coerced. Both are counted per reason.
+ */
+const FeatureSchema = {
+    // Properties that must be numbers (or null) wherever they are read
+    numericProperties: ['mag', 'time', 'updated', 'sig', 'felt', 'tsunami'],
 
-            const sprite = new THREE.Sprite(spriteMaterial);
-            sprite.position.copy(position);
-            sprite.userData = { feature, index };
+    /**
+     * @param {*[]} features - Raw `features` array of a FeatureCollection
+     * @returns {{features: Object[], report: {total: number, valid: number,
+     *     rejected: {reason: string, count: number}[], fixed: {reason: string, count: number}[]}}}
+     */
+    normalize(features) {
+        const issues = { rejected: new Map(), fixed: new Map() };
+        const ids = new Set();
+        const valid = [];
+
+        features.forEach(raw => {
+            const feature = this.normalizeFeature(raw, issues);
+            if (!feature) return;
+
+            // Repeated ids would collide in marker lookups and live-update diffs
+            if (feature.id != null) {
+                if (ids.has(feature.id)) {
+                    this.count(issues.rejected, 'Duplicate event id');
+                    return;
+                }
+                ids.add(feature.id);
+            }
+            valid.push(feature);
+        });
+
+        const list = (map) => [...map.entries()].map(([reason, count]) => ({ reason, count }));
+        return {
+            features: valid,
+            report: {
+                total: features.length,
+                valid: valid.length,
+                rejected: list(issues.rejected),
+                fixed: list(issues.fixed)
+            }
+        };
+    },
+
+    /**
+     * A normalized copy of one feature, or null (counted) if it can't be placed
+     */
+    normalizeFeature(raw, issues) {
+        if (!raw || typeof raw !== 'object' || raw.type !== 'Feature') {
+            return this.count(issues.rejected, 'Not a GeoJSON Feature');
+        }
+
+        const { geometry } = raw;
+        if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+            return this.count(issues.rejected, 'Missing or non-Point geometry');
+        }
 
-            this.globeGroup.add(sprite);
-            this.markers.push(sprite);
+        let [lon, lat, depth] = geometry.coordinates.map(value => DatasetImport.toNumber(value));
+        if (lon == null || lat == null) {
+            return this.count(issues.rejected, 'Missing or non-numeric coordinates');
+        }
+        if (Math.abs(lat) > 90) {
+            return this.count(issues.rejected, 'Latitude outside ±90°');
+        }
+        if (Math.abs(lon) > 180) {
+            lon = ((lon + 180) % 360 + 360) % 360 - 180;
+            this.count(issues.fixed, 'Longitude wrapped across the antimeridian');
+        }
+        if (depth == null) {
+            this.count(issues.fixed, 'Missing depth (left blank)');
+        }
+
+        let properties = raw.properties;
+        if (!properties || typeof properties !== 'object') {
+            this.count(issues.fixed, 'Missing properties');
+            properties = {};
+        }
+
+        const normalized = { ...properties };
+        this.numericProperties.forEach(key => {
+            const value = properties[key];
+            if (value == null) return;
+
+            const number = key === 'time' || key === 'updated' ? this.toTime(value) : DatasetImport.toNumber(value);
+            if (number != null && number !== value) {
+                this.count(issues.fixed, typeof value === 'string' && Number.isNaN(Number(value))
+                    ? `Text ${key} parsed as a date`
+                    : `Text ${key} converted to a number`);
+            } else if (number == null && key !== 'mag' && key !== 'time') {
+                this.count(issues.fixed, `Unreadable ${key} (left blank)`);
+            }
+            normalized[key] = number;
         });
 
-        // Apply initial visualization
-        this.updateVisualization(this.currentMetric);
+        // Missing and unreadable values count together for the two that matter most
+        if (normalized.mag == null) {
+            this.count(issues.fixed, 'Missing magnitude (left blank)');
+            normalized.mag = null;
+        }
+        if (normalized.time == null) {
+            this.count(issues.fixed, 'Missing time (kept in every time window)');
+            normalized.time = null;
+        }
+        if (properties.place != null && typeof properties.place !== 'string') {
+            normalized.place = String(properties.place);
+        }
+
+        return {
+            ...raw,
+            id: typeof raw.id === 'string' || typeof raw.id === 'number' ? raw.id : undefined,
+            properties: normalized,
+            geometry: { type: 'Point', coordinates: [lon, lat, depth] }
+        };
+    },
+
+    /**
+     * Timestamp in ms: numbers are taken as ms (GeoJSON feeds), text as a
+     * number or a date string; null when unreadable
+     */
+    toTime(value) {
+        const number = DatasetImport.toNumber(value);
+        const time = number ?? (typeof value === 'string' ? Date.parse(value) : NaN);
+        return Math.abs(time) <= 8.64e15 ? time : null;
+    },
+
+    /**
+     * Tally one feature under a reason (returns null so rejections can
+     * `return this.count(...)`)
+     */
+    count(map, reason) {
+        map.set(reason, (map.get(reason) || 0) + 1);
+        return null;
+    }
+};
+
+// ==========================================================================
+// DATASET IMPORT
+// ==========================================================================
+
+/**
+ * Turns a user-supplied GeoJSON FeatureCollection or CSV file into point
+ * features shaped like the USGS ones (properties.place / properties.time,
+ * Point geometry), so they go through the same marker/legend/stats
+ * pipeline. Parsing and building are split so the column mapping can be
+ * confirmed in between; rows that can't be placed are counted per reason.
+ */
+const DatasetImport = {
+    /**
+     * Parse file text by extension (or leading '{' for JSON)
+     * @returns {{name, format, columns: string[], rows: Object[], rejected: Map}}
+     */
+    parse(name, text) {
+        const body = text.replace(/^\uFEFF/, '');
+        const isJson = /\.(geo)?json$/i.test(name) || body.trimStart().startsWith('{');
+        const parsed = isJson ? this.parseGeoJson(body) : this.parseCsv(body);
+        return { name, ...parsed };
+    },
+
+    /**
+     * Rows from a FeatureCollection: flat properties plus the Point position
+     */
+    parseGeoJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`File is not valid JSON (${error.message})`);
+        }
+        if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+            throw new Error('GeoJSON must be a FeatureCollection');
+        }
+
+        const rejected = new Map();
+        const columns = new Set();
+        const rows = [];
+
+        data.features.forEach((feature, index) => {
+            const line = index + 1;
+            const geometry = feature?.geometry;
+            if (!geometry) {
+                this.reject(rejected, 'Missing geometry', line);
+                return;
+            }
+            if (geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+                this.reject(rejected, `Geometry is ${geometry.type}, not Point`, line);
+                return;
+            }
+
+            const values = feature.properties || {};
+            Object.keys(values).forEach(key => columns.add(key));
+            rows.push({ line, id: feature.id, values, position: geometry.coordinates });
+        });
+
+        return { format: 'geojson', columns: [...columns], rows, rejected };
+    },
+
+    /**
+     * Rows from CSV text with a header line. Handles quoted fields, CRLF and
+     * comma, semicolon or tab delimiters (picked from the header line).
+     */
+    parseCsv(text) {
+        const header = text.slice(0, text.search(/\r?\n|$/));
+        const delimiter = [',', ';', '\t']
+            .reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best));
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field !== '' || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+
+        // Line numbers count the header as line 1; blank lines are skipped
+        const lines = records
+            .map((fields, index) => ({ fields, line: index + 1 }))
+            .filter(({ fields }) => fields.length > 1 || fields[0].trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('CSV needs a header row and at least one data row');
+        }
+
+        const columns = lines[0].fields.map(name => name.trim());
+        const rejected = new Map();
+        const rows = [];
+
+        lines.slice(1).forEach(({ fields, line }) => {
+            if (fields.length !== columns.length) {
+                this.reject(rejected, `Expected ${columns.length} columns`, line);
+                return;
+            }
+            const values = {};
+            columns.forEach((name, i) => {
+                values[name] = fields[i].trim();
+            });
+            rows.push({ line, values });
+        });
+
+        return { format: 'csv', columns, rows, rejected };
+    },
+
+    /**
+     * Describe each column: share of numeric values and a guessed role
+     * @returns {Array<{name, numeric: boolean, role: ?string}>}
+     */
+    describeColumns(parsed) {
+        const roles = {
+            lat: /^(lat|latitude|y)$/i,
+            lon: /^(lon|lng|long|longitude|x)$/i,
+            name: /^(name|title|place|label|station|site)$/i,
+            time: /^(time|date|datetime|timestamp)$/i
+        };
+
+        return parsed.columns.map(name => {
+            let filled = 0;
+            let numeric = 0;
+            parsed.rows.forEach(row => {
+                const value = row.values[name];
+                if (value == null || value === '') return;
+                filled++;
+                if (Number.isFinite(this.toNumber(value))) numeric++;
+            });
+
+            const role = Object.keys(roles).find(key => roles[key].test(name)) || null;
+            return { name, numeric: filled > 0 && numeric / filled >= CONFIG.upload.numericShare, role };
+        });
+    },
+
+    /**
+     * Build features from parsed rows and a confirmed column mapping.
+     * Numeric columns become numbers (blank or invalid -> null).
+     * @param {Object} parsed - Result of parse()
+     * @param {{lat, lon, name, time}} mapping - Column names (lat/lon are
+     *     ignored for GeoJSON, which has Point geometry)
+     * @returns {{features: Object[], report: {total, imported, unit, rejected: Array<{reason, count, lines}>}}}
+     *     (`lines` are CSV line or GeoJSON feature numbers, per `unit`)
+     */
+    build(parsed, mapping) {
+        const rejected = new Map(parsed.rejected);
+        const features = [];
+        const numeric = new Set(this.describeColumns(parsed).filter(c => c.numeric).map(c => c.name));
+
+        parsed.rows.forEach(row => {
+            const { line, values } = row;
+            const [lon, lat, ...rest] = parsed.format === 'geojson'
+                ? row.position
+                : [this.toNumber(values[mapping.lon]), this.toNumber(values[mapping.lat])];
+
+            if (!Number.isFinite(lat)) return this.reject(rejected, 'Missing or non-numeric latitude', line);
+            if (!Number.isFinite(lon)) return this.reject(rejected, 'Missing or non-numeric longitude', line);
+            if (Math.abs(lat) > 90) return this.reject(rejected, 'Latitude outside ±90°', line);
+            if (Math.abs(lon) > 180) return this.reject(rejected, 'Longitude outside ±180°', line);
+
+            let time = null;
+            const rawTime = mapping.time ? values[mapping.time] : null;
+            if (rawTime != null && rawTime !== '') {
+                time = this.toTime(rawTime);
+                if (!Number.isFinite(time)) return this.reject(rejected, 'Unreadable time', line);
+            }
+
+            const properties = {};
+            Object.keys(values).forEach(key => {
+                properties[key] = numeric.has(key) ? this.toNumber(values[key]) : values[key];
+            });
+            properties.place = mapping.name && values[mapping.name] !== ''
+                ? String(values[mapping.name])
+                : `Row ${line}`;
+            properties.time = time;
+
+            features.push({
+                type: 'Feature',
+                id: row.id ?? `${parsed.name}#${line}`,
+                properties,
+                geometry: { type: 'Point', coordinates: [lon, lat, ...rest.slice(0, 1)] }
+            });
+        });
+
+        const total = features.length + [...rejected.values()].reduce((sum, lines) => sum + lines.length, 0);
+        return {
+            features,
+            report: {
+                total,
+                imported: features.length,
+                unit: parsed.format === 'geojson' ? 'feature' : 'line',
+                rejected: [...rejected.entries()]
+                    .map(([reason, lines]) => ({ reason, count: lines.length, lines: lines.slice(0, CONFIG.upload.listedRows) }))
+                    .sort((a, b) => b.count - a.count)
+            }
+        };
+    },
+
+    /**
+     * Record a rejected row under its reason
+     */
+    reject(rejected, reason, line) {
+        if (!rejected.has(reason)) rejected.set(reason, []);
+        rejected.get(reason).push(line);
+    },
+
+    /**
+     * Number from a JSON value or CSV text (null/blank/invalid -> null)
+     */
+    toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string' || value.trim() === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    },
+
+    /**
+     * Timestamp (ms) from a date string, or epoch seconds/milliseconds
+     * (values below 1e11 are taken as seconds; four-digit values as years).
+     * NaN when unreadable or outside the range Date can hold.
+     */
+    toTime(value) {
+        const number = this.toNumber(value);
+        const time = number !== null && !/^\d{4}$/.test(String(value).trim())
+            ? (Math.abs(number) < 1e11 ? number * 1000 : number)
+            : Date.parse(value);
+        return Math.abs(time) <= 8.64e15 ? time : NaN;
+    }
+};
+
+// ==========================================================================
+// EXPORTER
+// ==========================================================================
+
+/**
+ * Serializes a set of features for download. Each format gets the features
+ * plus the active metric and its scale, so values and colors match what the
+ * globe shows:
+ * - GeoJSON: the features unchanged, with export metadata
+ * - CSV: one row per feature, nested properties flattened to dotted columns
+ * - KML: placemarks colored and sized by the active metric
+ */
+const Exporter = {
+    formats: {
+        geojson: {
+            label: 'GeoJSON',
+            extension: 'geojson',
+            type: 'application/geo+json',
+            serialize: (features, context) => Exporter.toGeoJson(features, context)
+        },
+        csv: {
+            label: 'CSV',
+            extension: 'csv',
+            type: 'text/csv;charset=utf-8',
+            serialize: (features, context) => Exporter.toCsv(features, context)
+        },
+        kml: {
+            label: 'KML',
+            extension: 'kml',
+            type: 'application/vnd.google-earth.kml+xml',
+            serialize: (features, context) => Exporter.toKml(features, context)
+        }
+    },
+
+    /**
+     * Serialize features and hand the file to the browser
+     * @param {string} formatId - Key of Exporter.formats
+     * @param {Object[]} features
+     * @param {{metric: Object, scale: Object, ramp: Object, title: string}} context
+     * @returns {string} The downloaded file name
+     */
+    download(formatId, features, context) {
+        const format = this.formats[formatId];
+        if (!format) {
+            throw new Error(`Unknown export format: ${formatId}`);
+        }
+
+        const blob = new Blob([format.serialize(features, context)], { type: format.type });
+        return Utils.downloadBlob(blob, format.extension);
+    },
+
+    /**
+     * GeoJSON FeatureCollection with the metric and time of the export
+     */
+    toGeoJson(features, { metric, title }) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            metadata: {
+                title,
+                generated: Date.now(),
+                metric: metric.id,
+                count: features.length
+            },
+            features
+        });
+    },
+
+    /**
+     * CSV with id, position, UTC time and the active metric first, then
+     * every property (nested objects as dotted columns) in first-seen order
+     */
+    toCsv(features, { metric }) {
+        const rows = features.map(feature => {
+            const [lon, lat, depth] = feature.geometry.coordinates;
+            const time = feature.properties.time;
+            return {
+                id: Utils.featureId(feature),
+                latitude: lat,
+                longitude: lon,
+                depth_km: depth,
+                time_utc: Number.isFinite(time) ? new Date(time).toISOString() : null,
+                [`${metric.id}_value`]: metric.accessor(feature),
+                ...this.flatten(feature.properties)
+            };
+        });
+
+        const columns = [];
+        const seen = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
+            }
+        }));
+
+        const lines = [columns, ...rows.map(row => columns.map(key => row[key]))]
+            .map(values => values.map(value => this.csvField(value)).join(','));
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Flatten nested objects to dotted keys; arrays are kept as JSON text
+     */
+    flatten(object, prefix = '', out = {}) {
+        Object.entries(object || {}).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this.flatten(value, name, out);
+            } else {
+                out[name] = Array.isArray(value) ? JSON.stringify(value) : value;
+            }
+        });
+        return out;
+    },
+
+    /**
+     * Quote a CSV field when needed. Text starting with =, +, - or @ gets a
+     * leading apostrophe so spreadsheets don't run it as a formula.
+     */
+    csvField(value) {
+        if (value == null) return '';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+
+        let text = String(value);
+        if (/^[=+\-@]/.test(text) && !/^[+-]?\d/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * KML document: one shared style per ramp step (colored and sized by
+     * the metric's scale) and a placemark per feature with its time and
+     * metric values as extended data
+     */
+    toKml(features, { metric, scale, ramp, title }) {
+        const { kmlSteps, kmlIconScale } = CONFIG.export;
+        const step = (feature) => Math.round((scale.normalize(metric.accessor(feature)) ?? 0) * (kmlSteps - 1));
+
+        const styles = Array.from({ length: kmlSteps }, (_, i) => {
+            const t = i / (kmlSteps - 1);
+            const size = kmlIconScale[0] + (kmlIconScale[1] - kmlIconScale[0]) * t;
+            return `
+    <Style id="step-${i}">
+      <IconStyle>
+        <color>${this.kmlColor(ColorRamp.sample(ramp, t))}</color>
+        <scale>${size.toFixed(2)}</scale>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png</href></Icon>
+      </IconStyle>
+    </Style>`;
+        }).join('');
+
+        const placemarks = features.map(feature => {
+            const { properties, geometry } = feature;
+            const [lon, lat] = geometry.coordinates;
+            const values = MetricRegistry.list()
+                .map(m => [m, m.accessor(feature)])
+                .filter(([, value]) => value != null && Number.isFinite(value));
+            // Feature ids aren't always valid XML ids, so they go in the data
+            const data = [
+                `<Data name="id"><value>${this.xml(Utils.featureId(feature))}</value></Data>`,
+                ...values.map(([m, value]) =>
+                    `<Data name="${this.xml(m.id)}"><displayName>${this.xml(m.label)}</displayName><value>${value}</value></Data>`)
+            ].join('');
+            const time = Number.isFinite(properties.time)
+                ? `
+      <TimeStamp><when>${new Date(properties.time).toISOString()}</when></TimeStamp>`
+                : '';
+
+            return `
+    <Placemark>
+      <name>${this.xml(properties.place || 'Unknown location')}</name>
+      <description>${this.xml(`${metric.label}: ${MetricRegistry.format(metric, metric.accessor(feature))}`)}</description>
+      <styleUrl>#step-${step(feature)}</styleUrl>${time}
+      <ExtendedData>${data}</ExtendedData>
+      <Point><coordinates>${lon},${lat}</coordinates></Point>
+    </Placemark>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this.xml(title)}</name>
+    <description>${this.xml(`Colored by ${metric.label} (${scale.strategy} scale)`)}</description>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+    },
+
+    /**
+     * KML colors are aabbggrr hex
+     */
+    kmlColor({ r, g, b }) {
+        const hex = (c) => Math.round(c * 255).toString(16).padStart(2, '0');
+        return `ff${hex(b)}${hex(g)}${hex(r)}`;
+    },
+
+    /**
+     * Escape text for XML content and attributes
+     */
+    xml(text) {
+        return String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+    }
+};
+
+// ==========================================================================
+// FEED CACHE
+// ==========================================================================
+
+/**
+ * Last successful response per feed URL or FDSN query, kept in IndexedDB so
+ * the globe can show real (if stale) data at boot and while offline.
+ * Caching is best-effort: when IndexedDB is unavailable (private windows,
+ * old browsers) get() finds nothing and put() does nothing.
+ */
+const FeedCache = {
+    db: null,
+
+    /**
+     * Open (and on first use create) the database, once per page load
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.cache.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('feeds', { keyPath: 'key' });
+                    store.createIndex('fetchedAt', 'fetchedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    },
+
+    /**
+     * Run `operation` on the feeds store, resolving with its request's
+     * result once the transaction commits
+     */
+    async transact(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('feeds', mode);
+            const request = operation(transaction.objectStore('feeds'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * @returns {Promise<{key: string, data: Object, counts: Object, quality: Object, fetchedAt: number}|null>}
+     */
+    async get(key) {
+        try {
+            return await this.transact('readonly', store => store.get(key)) ?? null;
+        } catch (error) {
+            console.warn('Feed cache unavailable:', error?.message);
+            return null;
+        }
+    },
+
+    /**
+     * Save an entry, dropping the oldest beyond CONFIG.cache.maxEntries
+     */
+    async put(entry) {
+        try {
+            await this.transact('readwrite', store => {
+                const request = store.put(entry);
+                let kept = 0;
+                store.index('fetchedAt').openKeyCursor(null, 'prev').onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    if (++kept > CONFIG.cache.maxEntries) store.delete(cursor.primaryKey);
+                    cursor.continue();
+                };
+                return request;
+            });
+        } catch (error) {
+            console.warn('Could not cache feed:', error?.message);
+        }
+    }
+};
+
+// ==========================================================================
+// DATA SERVICE
+// ==========================================================================
+
+const DataService = {
+    rawData: null,
+    filteredData: null,
+    isLoading: false,
+    error: null,
+    isSampleData: false,
+    lastUpdated: null,
+    cachedAt: null,
+    quality: null,
+    timeRangeDays: 30,
+    source: 'feed',
+    feedLevel: CONFIG.feeds.defaultLevel,
+    feedPeriod: CONFIG.feeds.defaultPeriod,
+    fdsnQuery: { ...CONFIG.fdsn.defaults },
+    counts: { fetched: 0, available: 0 },
+    upload: null,
+    scaleStrategies: {},
+    scaleCache: null,
+
+    /**
+     * Switch between the summary feed catalog ('feed'), FDSN queries ('fdsn')
+     * and a dropped file ('upload', once one is loaded)
+     */
+    setSource(source) {
+        if (source !== 'feed' && source !== 'fdsn' && !(source === 'upload' && this.upload)) {
+            throw new Error(`Unknown data source: ${source}`);
+        }
+
+        this.source = source;
+        this.resetTimeRange();
+    },
+
+    /**
+     * Set the FDSN query parameters
+     */
+    setQuery(query) {
+        const pageSize = Math.min(query.pageSize || CONFIG.fdsn.defaults.pageSize, CONFIG.fdsn.maxLimit);
+        this.fdsnQuery = { ...CONFIG.fdsn.defaults, ...query, pageSize };
+        this.resetTimeRange();
+    },
+
+    /**
+     * Load a dropped dataset and make it the active source
+     * @param {{name: string, features: Object[], metrics: string[], report: Object}} dataset
+     */
+    setUpload(dataset) {
+        let start = null;
+        let end = null;
+        dataset.features.forEach(f => {
+            const { time } = f.properties;
+            if (!Number.isFinite(time)) return;
+            if (start === null || time < start) start = time;
+            if (end === null || time > end) end = time;
+        });
+        this.upload = { ...dataset, start, end };
+        this.setSource('upload');
+    },
+
+    /**
+     * Select the active feed from the catalog
+     */
+    setFeed(levelId, periodId) {
+        if (!CONFIG.feeds.levels[levelId] || !CONFIG.feeds.periods[periodId]) {
+            throw new Error(`Unknown feed: ${levelId}_${periodId}`);
+        }
+
+        this.feedLevel = levelId;
+        this.feedPeriod = periodId;
+        this.resetTimeRange();
+    },
+
+    /**
+     * Time slider window for the active source, as `{ unit, max }`
+     */
+    getTimeWindow() {
+        if (this.source === 'feed') {
+            return CONFIG.feeds.periods[this.feedPeriod];
+        }
+
+        const start = this.source === 'upload'
+            ? this.upload.start ?? this.getWindowEnd()
+            : Date.parse(this.fdsnQuery.starttime) || this.getWindowEnd() - 30 * 86400000;
+        const spanDays = Math.max((this.getWindowEnd() - start) / 86400000, 1 / 24);
+        return spanDays <= 2
+            ? { unit: 'hour', max: Math.ceil(spanDays * 24) }
+            : { unit: 'day', max: Math.ceil(spanDays) };
+    },
+
+    /**
+     * End of the data's time span (the time slider counts back from here)
+     */
+    getWindowEnd() {
+        if (this.source === 'upload') {
+            return this.upload.end ?? Date.now();
+        }
+        const end = this.source === 'fdsn' && Date.parse(this.fdsnQuery.endtime);
+        return end || Date.now();
+    },
+
+    /**
+     * Show the full time window of the active source
+     */
+    resetTimeRange() {
+        const { unit, max } = this.getTimeWindow();
+        this.timeRangeDays = max * CONFIG.timeUnits[unit];
+    },
+
+    /**
+     * Build the summary feed URL for the active feed
+     */
+    getFeedUrl() {
+        return `${CONFIG.api.baseUrl}${this.feedLevel}_${this.feedPeriod}.geojson`;
+    },
+
+    /**
+     * Get the fixed [min, max] for a metric, honoring feed-specific overrides
+     */
+    getFixedRange(metricId) {
+        if (this.source === 'fdsn') {
+            const minMag = parseFloat(this.fdsnQuery.minmagnitude);
+            if (metricId === 'magnitude' && Number.isFinite(minMag)) {
+                return [minMag, Math.max(minMag + 1, 8)];
+            }
+        } else if (this.source === 'feed') {
+            const override = CONFIG.feeds.levels[this.feedLevel].domains?.[metricId];
+            if (override) return override;
+        }
+
+        return MetricRegistry.get(metricId).domain.range;
+    },
+
+    /**
+     * Scale strategy for a metric: the user's choice, else the metric's default
+     */
+    getScaleStrategy(metricId) {
+        return this.scaleStrategies[metricId] || MetricRegistry.get(metricId).domain.strategy;
+    },
+
+    /**
+     * Choose the scale strategy for a metric (null or the metric's own
+     * strategy restores the default)
+     */
+    setScaleStrategy(metricId, strategy) {
+        if (strategy && !Object.hasOwn(MetricRegistry.scales, strategy)) {
+            throw new Error(`Unknown scale strategy: ${strategy}`);
+        }
+
+        if (strategy && strategy !== MetricRegistry.get(metricId).domain.strategy) {
+            this.scaleStrategies[metricId] = strategy;
+        } else {
+            delete this.scaleStrategies[metricId];
+        }
+    },
+
+    /**
+     * Get the color/size scale for a metric. Built from all loaded events,
+     * not just the time window, so colors hold still while the slider moves;
+     * cached until the data, strategy or range changes.
+     */
+    getScale(metricId) {
+        const strategy = this.getScaleStrategy(metricId);
+        const range = this.getFixedRange(metricId);
+        const features = this.rawData?.features || [];
+        const key = `${metricId}:${strategy}:${range}`;
+
+        if (this.scaleCache?.key !== key || this.scaleCache.features !== features) {
+            const scale = MetricRegistry.createScale(MetricRegistry.get(metricId), features, strategy, range);
+            this.scaleCache = { key, features, scale };
+        }
+        return this.scaleCache.scale;
+    },
+
+    /**
+     * Metrics the active source can show: for a dropped file, those with at
+     * least one value in it (magnitude if none); otherwise every metric not
+     * registered from a dataset's columns
+     */
+    getAvailableMetrics() {
+        if (this.source !== 'upload') {
+            return MetricRegistry.list().filter(metric => !metric.dataset);
+        }
+
+        const metrics = MetricRegistry.list().filter(metric =>
+            this.upload.features.some(f => Number.isFinite(metric.accessor(f))));
+        return metrics.length ? metrics : [MetricRegistry.get('magnitude')];
+    },
+
+    /**
+     * Request the active summary feed, retrying transient failures
+     * (throws a FetchError once retries run out)
+     */
+    async requestFeed(onRetry) {
+        const data = await Utils.fetchJsonWithRetry(this.getFeedUrl(), onRetry);
+
+        // Validate data structure
+        if (!data || !Array.isArray(data.features)) {
+            throw new FetchError('invalid', 'Response is not a GeoJSON FeatureCollection');
+        }
+        const available = data.features.length;
+        data.features = this.validate(data.features);
+
+        // Limit and sort by magnitude
+        this.counts = { fetched: data.features.length, available };
+        if (data.features.length > CONFIG.api.maxPoints) {
+            data.features = data.features
+                .sort((a, b) => (b.properties.mag || 0) - (a.properties.mag || 0))
+                .slice(0, CONFIG.api.maxPoints);
+            this.counts.fetched = data.features.length;
+        }
+
+        return data;
+    },
+
+    /**
+     * Run the active FDSN query, paging through results (throws on failure)
+     */
+    async requestQuery(onProgress, onRetry) {
+        const data = await FdsnClient.fetchAll(this.fdsnQuery, onProgress, onRetry);
+        data.features = this.validate(data.features);
+        this.counts = { fetched: data.features.length, available: data.available };
+        return data;
+    },
+
+    /**
+     * Normalize incoming features (see FeatureSchema), keeping the
+     * data-quality report for the stats panel
+     */
+    validate(features) {
+        const { features: valid, report } = FeatureSchema.normalize(features);
+        this.quality = report;
+        return valid;
+    },
+
+    /**
+     * Fetch earthquake data and cache it. On failure, keeps the cached copy
+     * of the same source (see loadCached) or falls back to sample data.
+     * Resolves null if the source changed before the response arrived.
+     * @param {function} [onProgress] - FDSN paging progress
+     * @param {function} [onRetry] - Retry notices (see Utils.fetchJsonWithRetry)
+     */
+    async fetchData(onProgress, onRetry) {
+        const key = this.getCacheKey();
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            if (this.source === 'upload') {
+                // Dropped files are checked row by row on import (see DatasetImport.build)
+                this.rawData = { type: 'FeatureCollection', features: this.upload.features };
+                this.counts = { fetched: this.upload.report.imported, available: this.upload.report.total };
+                this.quality = null;
+            } else {
+                const data = this.source === 'fdsn'
+                    ? await this.requestQuery(onProgress, onRetry)
+                    : await this.requestFeed(onRetry);
+
+                // The source was switched while this request was in flight
+                if (key !== this.getCacheKey()) return null;
+
+                this.rawData = data;
+                FeedCache.put({ key, data, counts: this.counts, quality: this.quality, fetchedAt: Date.now() });
+            }
+            this.isSampleData = false;
+            this.cachedAt = null;
+            this.lastUpdated = Date.now();
+        } catch (error) {
+            if (key !== this.getCacheKey()) return null;
+
+            // Keep (or fall back to) the cached copy; sample data is the last resort
+            if (!await this.loadCached()) {
+                console.warn('Failed to fetch live data, using sample data:', error.message);
+                this.rawData = { ...SAMPLE_DATA, features: this.validate(SAMPLE_DATA.features) };
+                this.isSampleData = true;
+                this.cachedAt = null;
+                this.lastUpdated = null;
+                this.counts = { fetched: 0, available: 0 };
+            }
+            this.error = error;
+        }
+
+        this.filteredData = this.filterByTime(this.timeRangeDays);
+        this.isLoading = false;
+        return this.filteredData;
+    },
+
+    /**
+     * Cache key for the active source: the feed URL or the FDSN query
+     * (dropped files aren't cached)
+     */
+    getCacheKey() {
+        if (this.source === 'feed') return this.getFeedUrl();
+        if (this.source === 'fdsn') return `fdsn:${JSON.stringify(this.fdsnQuery)}`;
+        return null;
+    },
+
+    /**
+     * Show the cached copy of the active source, if there is one
+     * @returns {Promise<boolean>} Whether cached data was loaded
+     */
+    async loadCached() {
+        const key = this.getCacheKey();
+        const entry = key && await FeedCache.get(key);
+        if (!entry || key !== this.getCacheKey()) return false;
+
+        this.rawData = entry.data;
+        this.counts = entry.counts;
+        this.quality = entry.quality ?? null;
+        this.isSampleData = false;
+        this.cachedAt = entry.fetchedAt;
+        this.lastUpdated = entry.fetchedAt;
+        this.error = null;
+        this.filterByTime(this.timeRangeDays);
+        return true;
+    },
+
+    /**
+     * Re-fetch the active feed and merge it into the current data.
+     * Throws on failure so the caller can keep showing what it has.
+     */
+    async refreshData() {
+        const feedUrl = this.getFeedUrl();
+        const data = await this.requestFeed();
+
+        // The feed or source was switched while this request was in flight
+        if (this.source !== 'feed' || feedUrl !== this.getFeedUrl()) {
+            return null;
+        }
+
+        const diff = this.mergeFeatures(data);
+        this.error = null;
+        this.cachedAt = null;
+        this.lastUpdated = Date.now();
+        FeedCache.put({ key: feedUrl, data, counts: this.counts, quality: this.quality, fetchedAt: this.lastUpdated });
+        this.filterByTime(this.timeRangeDays);
+        return diff;
+    },
+
+    /**
+     * Replace raw data with a newer copy of the feed, diffing features by id
+     */
+    mergeFeatures(data) {
+        const previous = new Map(
+            (this.rawData?.features || []).map(f => [Utils.featureId(f), f])
+        );
+        const diff = { added: [], updated: [], removed: [], replaced: this.isSampleData };
+
+        data.features.forEach(feature => {
+            const id = Utils.featureId(feature);
+            const existing = previous.get(id);
+
+            if (!existing) {
+                diff.added.push(feature);
+            } else if (existing.properties.updated !== feature.properties.updated) {
+                diff.updated.push(feature);
+            }
+            previous.delete(id);
+        });
+
+        diff.removed = [...previous.values()];
+        this.rawData = data;
+        this.isSampleData = false;
+        return diff;
+    },
+
+    /**
+     * Filter data by time range and the enabled regions of interest
+     */
+    filterByTime(days) {
+        this.timeRangeDays = days;
+
+        if (!this.rawData || !this.rawData.features) {
+            return { type: 'FeatureCollection', features: [] };
+        }
+
+        const cutoff = this.getWindowEnd() - (days * 24 * 60 * 60 * 1000);
+
+        // Dropped rows without a time are never filtered out
+        const filtered = {
+            type: 'FeatureCollection',
+            features: this.rawData.features.filter(f =>
+                (f.properties.time == null || f.properties.time >= cutoff) && Regions.test(f)
+            )
+        };
+
+        this.filteredData = filtered;
+        return filtered;
+    },
+
+    /**
+     * Events in the current time window inside each region, keyed by region
+     * id, whether or not the region is filtering
+     */
+    countByRegion(regions) {
+        const counts = new Map(regions.map(region => [region.id, 0]));
+        if (!this.rawData?.features) return counts;
+
+        const cutoff = this.getWindowEnd() - (this.timeRangeDays * 24 * 60 * 60 * 1000);
+        this.rawData.features.forEach(f => {
+            if (f.properties.time != null && f.properties.time < cutoff) return;
+
+            const [lon, lat] = f.geometry.coordinates;
+            regions.forEach(region => {
+                if (Regions.contains(region, lat, lon)) {
+                    counts.set(region.id, counts.get(region.id) + 1);
+                }
+            });
+        });
+        return counts;
+    },
+
+    /**
+     * Get filtered data
+     */
+    getData() {
+        return this.filteredData;
+    },
+
+    /**
+     * Compute statistics for visible data
+     */
+    computeStats(metricId) {
+        if (!this.filteredData || !this.filteredData.features) {
+            return { total: 0, avg: 0, max: 0 };
+        }
+
+        const metric = MetricRegistry.get(metricId);
+        const values = this.filteredData.features
+            .map(f => metric.accessor(f))
+            .filter(v => v != null && !isNaN(v));
+
+        if (values.length === 0) {
+            return { total: 0, avg: 0, max: 0 };
+        }
+
+        return {
+            total: this.filteredData.features.length,
+            avg: values.reduce((a, b) => a + b, 0) / values.length,
+            max: values.reduce((a, b) => Math.max(a, b), -Infinity)
+        };
+    }
+};
+
+// ==========================================================================
+// MARKER LAYER
+// ==========================================================================
+
+/**
+ * All markers live in a single THREE.Points draw call. Each marker owns a
+ * slot in the geometry's attribute buffers (position, color, size, pulse,
+ * highlight, state) and the shader animates pulses and highlights, so the
+ * CPU never touches markers per frame. Picking intersects the ray with the
+ * marker shell and searches a lat/lon grid instead of raycasting objects;
+ * in subsurface mode, where markers sit at different depths, every marker
+ * is tested against the ray instead.
+ */
+const MarkerLayer = {
+    points: null,
+    geometry: null,
+    material: null,
+    records: [],
+    byId: new Map(),
+    capacity: 0,
+    serial: 0,
+    epoch: Date.now(),
+    grid: null,
+    gridDirty: true,
+    maxSize: 0,
+
+    // Radius of the shell markers sit on outside subsurface mode
+    shellRadius: 1.02,
+
+    // Per-marker attributes and their component counts
+    attributes: {
+        position: 3,
+        aColor: 3,
+        aSize: 1,
+        aPulse: 1,
+        aPhase: 1,
+        aHighlight: 1,
+        aState: 1,
+        aTime: 1
+    },
+
+    // Time-lapse window ({ playhead, trail, fadeIn } in ms) or null
+    playback: null,
+
+    vertexShader: `
+        uniform float uTime;
+        uniform float uPixelsPerUnit;
+        uniform float uHighlightDuration;
+        uniform float uPlayback;
+        uniform float uPlayhead;
+        uniform float uTrail;
+        uniform float uFadeIn;
+        attribute vec3 aColor;
+        attribute float aSize;
+        attribute float aPulse;
+        attribute float aPhase;
+        attribute float aHighlight;
+        attribute float aState;
+        attribute float aTime;
+        varying vec3 vColor;
+        varying float vAlpha;
+
+        void main() {
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            float highlight = clamp((aHighlight - uTime) / uHighlightDuration, 0.0, 1.0);
+            float scale = 1.0;
+            vColor = aColor;
+
+            if (aState > 0.5) {
+                // Hovered or selected
+                scale = 1.3;
+            } else if (highlight > 0.0) {
+                // New event: flash toward white and swell, fading out
+                float flash = highlight * (0.5 + 0.5 * sin(uTime * 8.0));
+                vColor = mix(aColor, vec3(1.0), flash);
+                scale = 1.0 + highlight * 1.5;
+            } else if (aPulse > 0.5) {
+                // Major earthquake pulse
+                scale = 1.0 + sin(uTime * 3.0 + aPhase) * 0.15;
+            }
+
+            // Time-lapse: swell in at the event time, then decay over the trail
+            vAlpha = 1.0;
+            if (uPlayback > 0.5) {
+                float age = uPlayhead - aTime;
+                float appear = smoothstep(0.0, uFadeIn, age);
+                vAlpha = age < 0.0 || age > uTrail ? 0.0 : appear * (1.0 - age / uTrail);
+                scale *= vAlpha > 0.0 ? 2.0 - appear : 0.0;
+            }
+
+            gl_PointSize = aSize * scale * uPixelsPerUnit / -mvPosition.z;
+            gl_Position = projectionMatrix * mvPosition;
+        }
+    `,
+
+    fragmentShader: `
+        uniform sampler2D uTexture;
+        varying vec3 vColor;
+        varying float vAlpha;
+
+        void main() {
+            vec4 glow = texture2D(uTexture, gl_PointCoord);
+            gl_FragColor = vec4(vColor, glow.a * vAlpha);
+        }
+    `,
+
+    /**
+     * Create the points object (add `points` to the globe group)
+     */
+    init(texture) {
+        this.geometry = new THREE.BufferGeometry();
+        this.ensureCapacity(1024);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uPixelsPerUnit: { value: 1 },
+                uHighlightDuration: { value: CONFIG.refresh.highlightDuration / 1000 },
+                uPlayback: { value: 0 },
+                uPlayhead: { value: 0 },
+                uTrail: { value: 1 },
+                uFadeIn: { value: 1 },
+                uTexture: { value: texture }
+            },
+            vertexShader: this.vertexShader,
+            fragmentShader: this.fragmentShader,
+            transparent: true,
+            depthTest: true,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false;
+        return this.points;
+    },
+
+    /**
+     * Grow the attribute buffers (doubling) to hold at least `count` markers
+     */
+    ensureCapacity(count) {
+        if (count <= this.capacity) return;
+
+        let capacity = Math.max(this.capacity, 1024);
+        while (capacity < count) capacity *= 2;
+
+        Object.entries(this.attributes).forEach(([name, itemSize]) => {
+            const array = new Float32Array(capacity * itemSize);
+            const previous = this.geometry.getAttribute(name);
+            if (previous) {
+                array.set(previous.array);
+            }
+            const attribute = new THREE.BufferAttribute(array, itemSize);
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            this.geometry.setAttribute(name, attribute);
+        });
+
+        this.capacity = capacity;
+    },
+
+    /**
+     * Seconds since the layer was created (the shader's clock)
+     */
+    now() {
+        return (Date.now() - this.epoch) / 1000;
+    },
+
+    /**
+     * Advance animations and keep point sizes in step with the viewport
+     */
+    update(camera, viewportHeight) {
+        const uniforms = this.material.uniforms;
+        uniforms.uTime.value = this.now();
+        uniforms.uPixelsPerUnit.value =
+            viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+    },
+
+    /**
+     * Add a marker for a feature, returning its record
+     */
+    add(id, feature) {
+        const [lon, lat] = feature.geometry.coordinates;
+        if (lon == null || lat == null) return null;
+
+        this.ensureCapacity(this.records.length + 1);
+
+        const record = { id, feature, slot: this.records.length, size: 0 };
+        this.records.push(record);
+        this.byId.set(id, record);
+
+        this.write(record.slot, 'aPhase', this.serial++);
+        this.write(record.slot, 'aHighlight', 0);
+        this.write(record.slot, 'aState', 0);
+        this.setFeature(record, feature);
+        return record;
+    },
+
+    /**
+     * Point a marker at a (possibly updated) feature
+     */
+    setFeature(record, feature) {
+        const [lon, lat, depth] = feature.geometry.coordinates;
+        const radius = Subsurface.enabled && !feature.cluster ? Subsurface.radiusFor(depth) : this.shellRadius;
+        const position = Utils.latLonToVector3(lat, lon, radius);
+
+        record.feature = feature;
+        this.write(record.slot, 'position', position.x, position.y, position.z);
+        this.write(record.slot, 'aPulse', feature.properties.mag >= 6 ? 1 : 0);
+        this.write(record.slot, 'aTime', this.toHours(feature.properties.time));
+        this.gridDirty = true;
+    },
+
+    /**
+     * Re-place every marker after subsurface mode or its exaggeration changes
+     */
+    reposition() {
+        this.records.forEach(record => this.setFeature(record, record.feature));
+    },
+
+    /**
+     * Hours since the layer epoch (keeps event times within float precision)
+     */
+    toHours(time) {
+        return (time - this.epoch) / 3600000;
+    },
+
+    /**
+     * Apply a time-lapse window, or null to show every marker
+     */
+    setPlayback(timeWindow) {
+        const uniforms = this.material.uniforms;
+        this.playback = timeWindow;
+        uniforms.uPlayback.value = timeWindow ? 1 : 0;
+        if (!timeWindow) return;
+
+        uniforms.uPlayhead.value = this.toHours(timeWindow.playhead);
+        uniforms.uTrail.value = timeWindow.trail / 3600000;
+        uniforms.uFadeIn.value = timeWindow.fadeIn / 3600000;
+    },
+
+    /**
+     * Whether a marker is currently shown (hidden outside the time-lapse window)
+     */
+    isVisible(record) {
+        if (!this.playback) return true;
+        const age = this.playback.playhead - record.feature.properties.time;
+        return age >= 0 && age <= this.playback.trail;
+    },
+
+    /**
+     * Remove a marker by moving the last marker into its slot
+     */
+    remove(record) {
+        const last = this.records.pop();
+        this.byId.delete(record.id);
+
+        if (last !== record) {
+            Object.entries(this.attributes).forEach(([name, itemSize]) => {
+                const attribute = this.geometry.getAttribute(name);
+                attribute.array.copyWithin(record.slot * itemSize, last.slot * itemSize, (last.slot + 1) * itemSize);
+                attribute.needsUpdate = true;
+            });
+            last.slot = record.slot;
+            this.records[last.slot] = last;
+        }
+
+        this.gridDirty = true;
+    },
+
+    /**
+     * Remove every marker
+     */
+    clear() {
+        this.records = [];
+        this.byId.clear();
+        this.gridDirty = true;
+    },
+
+    /**
+     * Set color (0-1 rgb) and world-space diameter for a marker
+     */
+    setStyle(record, color, size) {
+        record.size = size;
+        this.write(record.slot, 'aColor', color.r, color.g, color.b);
+        this.write(record.slot, 'aSize', size);
+    },
+
+    /**
+     * Flash a marker as a newly arrived event
+     */
+    highlight(record, duration) {
+        this.write(record.slot, 'aHighlight', this.now() + duration / 1000);
+    },
+
+    /**
+     * Mark a marker as hovered/selected (enlarged) or back to normal
+     */
+    setActive(record, active) {
+        this.write(record.slot, 'aState', active ? 1 : 0);
+    },
+
+    /**
+     * Write values into one slot of an attribute
+     */
+    write(slot, name, ...values) {
+        const attribute = this.geometry.getAttribute(name);
+        attribute.array.set(values, slot * attribute.itemSize);
+        attribute.needsUpdate = true;
+    },
+
+    /**
+     * Upload changes; call after a batch of add/remove/style calls
+     */
+    commit() {
+        this.geometry.setDrawRange(0, this.records.length);
+        this.maxSize = this.records.reduce((max, r) => Math.max(max, r.size), 0);
+    },
+
+    /**
+     * Bucket markers into a lat/lon grid for picking
+     */
+    buildGrid() {
+        const { cellSize } = CONFIG.picking;
+        this.grid = new Map();
+
+        this.records.forEach(record => {
+            const [lon, lat] = record.feature.geometry.coordinates;
+            const key = this.cellKey(
+                Math.floor((lat + 90) / cellSize),
+                Math.floor((((lon + 180) % 360) + 360) % 360 / cellSize)
+            );
+            if (!this.grid.has(key)) this.grid.set(key, []);
+            this.grid.get(key).push(record);
+        });
+
+        this.gridDirty = false;
+    },
+
+    cellKey(row, col) {
+        return row * 1000 + col;
+    },
+
+    /**
+     * Find the marker under a world-space ray. `pixelSize` is the world size
+     * of one screen pixel at the globe, used to pad small markers.
+     */
+    pick(ray, pixelSize) {
+        if (!this.records.length) return null;
+        if (this.gridDirty) this.buildGrid();
+
+        // Intersect in the globe's local frame so rotation is accounted for
+        const inverse = new THREE.Matrix4().copy(this.points.matrixWorld).invert();
+        const localRay = ray.clone().applyMatrix4(inverse);
+        if (Subsurface.enabled) {
+            return this.pickNearest(localRay, CONFIG.picking.padding * pixelSize);
+        }
+
+        const radius = this.shellRadius;
+        const hit = localRay.intersectSphere(new THREE.Sphere(new THREE.Vector3(), radius), new THREE.Vector3());
+        if (!hit) return null;
+
+        const { lat, lon } = Utils.vector3ToLatLon(hit);
+        const hitDir = hit.clone().normalize();
+        const padding = CONFIG.picking.padding * pixelSize;
+
+        // Search every cell within reach of the largest (highlighted) marker
+        const reach = (this.maxSize * 2.5) / 2 + padding;
+        const reachDeg = THREE.MathUtils.radToDeg(reach / radius);
+        const { cellSize } = CONFIG.picking;
+        const cols = Math.round(360 / cellSize);
+        const cosLat = Math.cos(THREE.MathUtils.degToRad(Math.min(Math.abs(lat) + reachDeg, 90)));
+        const lonReach = cosLat > 0.01 ? Math.min(reachDeg / cosLat, 180) : 180;
+
+        const rowMin = Math.max(0, Math.floor((lat - reachDeg + 90) / cellSize));
+        const rowMax = Math.min(Math.round(180 / cellSize) - 1, Math.floor((lat + reachDeg + 90) / cellSize));
+        const colMin = Math.floor((lon - lonReach + 180) / cellSize);
+        const colMax = Math.floor((lon + lonReach + 180) / cellSize);
+
+        let best = null;
+        let bestDistance = Infinity;
+        const position = new THREE.Vector3();
+        const visited = new Set();
+
+        for (let row = rowMin; row <= rowMax; row++) {
+            for (let col = colMin; col <= colMax; col++) {
+                const key = this.cellKey(row, ((col % cols) + cols) % cols);
+                if (visited.has(key)) continue;
+                visited.add(key);
+
+                (this.grid.get(key) || []).forEach(record => {
+                    if (!this.isVisible(record)) return;
+                    position.fromArray(this.geometry.getAttribute('position').array, record.slot * 3);
+                    const distance = Math.acos(Math.min(1, position.normalize().dot(hitDir))) * radius;
+                    if (distance <= record.size / 2 + padding && distance < bestDistance) {
+                        best = record;
+                        bestDistance = distance;
+                    }
+                });
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Subsurface picking: the visible marker closest to the camera among
+     * those the (globe-local) ray passes within reach of
+     */
+    pickNearest(localRay, padding) {
+        const positions = this.geometry.getAttribute('position').array;
+        const position = new THREE.Vector3();
+        const closest = new THREE.Vector3();
+        let best = null;
+        let bestAlong = Infinity;
+
+        this.records.forEach(record => {
+            if (!this.isVisible(record)) return;
+            position.fromArray(positions, record.slot * 3);
+            localRay.closestPointToPoint(position, closest);
+            if (closest.distanceTo(position) > record.size / 2 + padding) return;
+
+            const along = closest.distanceTo(localRay.origin);
+            if (along < bestAlong) {
+                best = record;
+                bestAlong = along;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+};
+
+// ==========================================================================
+// CLUSTERING
+// ==========================================================================
+
+/**
+ * Groups nearby features into cluster features on a roughly equal-area
+ * lat/lon grid whose cell size follows the camera distance. A cluster is a
+ * GeoJSON-like feature with a `cluster` field holding its members, so it
+ * flows through the same marker, tooltip and selection code as a single event.
+ */
+const Clustering = {
+    enabled: false,
+    aggregate: 'max',
+
+    /**
+     * Cell size in degrees for a camera distance, snapped to powers of two
+     * so small zoom changes don't re-cluster
+     */
+    cellSizeFor(distance) {
+        const { cellScale, minCellSize, maxCellSize } = CONFIG.clustering;
+        const raw = cellScale * Math.max(distance - CONFIG.globe.radius, 0.01);
+        const snapped = Math.pow(2, Math.round(Math.log2(raw)));
+        return Math.min(maxCellSize, Math.max(minCellSize, snapped));
+    },
+
+    /**
+     * Cluster features; cells holding a single feature keep the feature itself
+     */
+    build(features, cellSize) {
+        const cells = new Map();
+
+        features.forEach(feature => {
+            const [lon, lat] = feature.geometry.coordinates;
+            if (lon == null || lat == null) return;
+
+            // Narrow the longitude span of cells toward the poles
+            const row = Math.floor((Math.min(lat, 89.999) + 90) / cellSize);
+            const rowLat = (row + 0.5) * cellSize - 90;
+            const cols = Math.max(1, Math.floor(360 * Math.cos(rowLat * Math.PI / 180) / cellSize));
+            const col = Math.floor((((lon + 180) % 360) + 360) % 360 / 360 * cols);
+            const key = `${row}:${col}`;
+
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(feature);
+        });
+
+        return [...cells.entries()].map(([key, members]) =>
+            members.length === 1 ? members[0] : this.createCluster(`cluster:${cellSize}:${key}`, members)
+        );
+    },
+
+    /**
+     * Build a cluster feature centered on the mean direction of its members
+     */
+    createCluster(id, members) {
+        const center = new THREE.Vector3();
+        members.forEach(f => {
+            const [lon, lat] = f.geometry.coordinates;
+            center.add(Utils.latLonToVector3(lat, lon, 1));
+        });
+        const { lat, lon } = Utils.vector3ToLatLon(center);
+
+        return {
+            type: 'Feature',
+            id,
+            cluster: { count: members.length, members },
+            properties: {
+                place: `${members.length} earthquakes`,
+                time: members.reduce((latest, f) => Math.max(latest, f.properties.time), -Infinity)
+            },
+            geometry: { type: 'Point', coordinates: [lon, lat, null] }
+        };
+    },
+
+    /**
+     * Metric value for a feature, aggregating members for clusters
+     */
+    value(feature, metric) {
+        if (!feature.cluster) {
+            return metric.accessor(feature);
+        }
+
+        const values = feature.cluster.members
+            .map(f => metric.accessor(f))
+            .filter(v => v != null && !isNaN(v));
+        if (!values.length) return null;
+
+        return this.aggregate === 'mean'
+            ? values.reduce((a, b) => a + b, 0) / values.length
+            : values.reduce((a, b) => Math.max(a, b), -Infinity);
+    }
+};
+
+// ==========================================================================
+// HEATMAP LAYER
+// ==========================================================================
+
+/**
+ * Kernel density overlay: feature weights are smoothed with a Gaussian kernel
+ * over an equirectangular grid, painted through the heat ramp onto a canvas
+ * texture on a translucent shell just above the globe. The kernel works in
+ * local km offsets (flat-earth within a few bandwidths).
+ */
+const HeatmapLayer = {
+    enabled: false,
+    weighting: 'count',
+    mesh: null,
+    canvas: null,
+    ctx: null,
+    texture: null,
+    density: null,
+    lastInput: null,
+
+    /**
+     * Create the shell mesh (hidden until enabled)
+     */
+    init() {
+        const { width, height, radius } = CONFIG.heatmap;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d');
+        this.density = new Float32Array(width * height);
+        this.texture = new THREE.CanvasTexture(this.canvas);
+
+        this.mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, CONFIG.globe.segments, CONFIG.globe.segments),
+            new THREE.MeshBasicMaterial({
+                map: this.texture,
+                transparent: true,
+                depthWrite: false
+            })
+        );
+        this.mesh.visible = false;
+        return this.mesh;
+    },
+
+    /**
+     * Show or hide the layer
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.mesh.visible = enabled;
+    },
+
+    /**
+     * Re-rasterize if the features, metric, scale or weighting changed
+     */
+    update(features, metricId) {
+        if (!this.enabled) return;
+
+        const scale = DataService.getScale(metricId);
+        const input = { features, metricId, scale, weighting: this.weighting };
+        const last = this.lastInput;
+        if (last && last.features === features && last.metricId === metricId &&
+            last.scale === scale && last.weighting === this.weighting) {
+            return;
+        }
+        this.lastInput = input;
+
+        const metric = MetricRegistry.get(metricId);
+        const weight = this.weighting === 'metric'
+            ? (f) => scale.normalize(metric.accessor(f)) || 0
+            : () => 1;
+
+        this.paint(this.rasterize(features, weight));
+    },
+
+    /**
+     * Bin weights into grid cells, then blur with a separable Gaussian
+     * (vertical pass, then a horizontal pass whose width follows each row's
+     * latitude). Cost depends on grid size, not feature count. Returns the
+     * peak density.
+     */
+    rasterize(features, weight) {
+        const { width, height, bandwidthKm } = CONFIG.heatmap;
+        const bins = new Float32Array(width * height);
+        const column = new Float32Array(width * height);
+        const density = this.density;
+
+        features.forEach(feature => {
+            const [lon, lat] = feature.geometry.coordinates;
+            const w = weight(feature);
+            if (lon == null || lat == null || !w) return;
+
+            const x = ((Math.floor((lon + 180) / 360 * width) % width) + width) % width;
+            const y = Math.min(height - 1, Math.max(0, Math.floor((90 - lat) / 180 * height)));
+            bins[y * width + x] += w;
+        });
+
+        const reach = 3 * bandwidthKm;
+        const kernel = (step, taps) => Array.from({ length: 2 * taps + 1 }, (_, i) =>
+            Math.exp(-(((i - taps) * step) ** 2) / (2 * bandwidthKm * bandwidthKm))
+        );
+
+        // Vertical pass (rows are evenly spaced in km)
+        const kmPerRow = 20015 / height;
+        const rowTaps = Math.ceil(reach / kmPerRow);
+        const rowKernel = kernel(kmPerRow, rowTaps);
+
+        for (let y = 0; y < height; y++) {
+            for (let k = -rowTaps; k <= rowTaps; k++) {
+                const source = y + k;
+                if (source < 0 || source >= height) continue;
+                const w = rowKernel[k + rowTaps];
+                for (let x = 0; x < width; x++) {
+                    column[y * width + x] += bins[source * width + x] * w;
+                }
+            }
+        }
+
+        // Horizontal pass (columns narrow toward the poles, wrapping at ±180)
+        let peak = 0;
+        for (let y = 0; y < height; y++) {
+            const rowLat = 90 - (y + 0.5) / height * 180;
+            const kmPerCol = Math.max(40075 * Math.cos(rowLat * Math.PI / 180) / width, 1e-3);
+            const colTaps = Math.min(Math.ceil(reach / kmPerCol), Math.floor(width / 2));
+            const colKernel = kernel(kmPerCol, colTaps);
+            const row = y * width;
+
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -colTaps; k <= colTaps; k++) {
+                    sum += column[row + ((x + k) % width + width) % width] * colKernel[k + colTaps];
+                }
+                density[row + x] = sum;
+                if (sum > peak) peak = sum;
+            }
+        }
+
+        return peak;
+    },
+
+    /**
+     * Paint density through the heat ramp (square-root scaled so sparse
+     * regions stay visible next to dense swarms)
+     */
+    paint(peak) {
+        const { width, height } = CONFIG.heatmap;
+        const image = this.ctx.createImageData(width, height);
+
+        for (let i = 0; i < this.density.length; i++) {
+            if (!peak || this.density[i] <= peak * 1e-4) continue;
+            const [r, g, b, a] = this.rampColor(Math.sqrt(this.density[i] / peak));
+            image.data[i * 4] = r;
+            image.data[i * 4 + 1] = g;
+            image.data[i * 4 + 2] = b;
+            image.data[i * 4 + 3] = a * 255;
+        }
+
+        this.ctx.putImageData(image, 0, 0);
+        this.texture.needsUpdate = true;
+    },
+
+    /**
+     * Sample the heat ramp at t (0-1) as [r, g, b, alpha]
+     */
+    rampColor(t) {
+        const stops = CONFIG.heatmap.ramp;
+        const upper = stops.findIndex(stop => stop.t >= t);
+        if (upper <= 0) return stops[Math.max(upper, 0)].color;
+
+        const a = stops[upper - 1];
+        const b = stops[upper];
+        const k = (t - a.t) / (b.t - a.t);
+        return a.color.map((c, i) => c + (b.color[i] - c) * k);
+    },
+
+    /**
+     * CSS gradient matching the heat ramp, for the legend
+     */
+    cssGradient() {
+        const stops = CONFIG.heatmap.ramp.map(({ t, color: [r, g, b, a] }) =>
+            `rgba(${r}, ${g}, ${b}, ${Math.max(a, 0.15)}) ${t * 100}%`
+        );
+        return `linear-gradient(to right, ${stops.join(', ')})`;
+    }
+};
+
+// ==========================================================================
+// PLAYBACK
+// ==========================================================================
+
+/**
+ * Time-lapse playback over the visible events. A playhead sweeps from
+ * `start` to `end`; events fade in at their `properties.time` and decay over
+ * the trail length. The playhead only advances in tick(), which reads
+ * `clock.now()` (milliseconds) - tests can swap in a manual clock with
+ * setClock({ now: () => t }) and call tick() to drive playback
+ * deterministically.
+ */
+const Playback = {
+    active: false,
+    playing: false,
+    loop: true,
+    speed: 1,
+    start: 0,
+    end: 0,
+    playhead: 0,
+    customRange: false,
+    lastTick: null,
+    clock: { now: () => performance.now() },
+    onChange: null,
+
+    /**
+     * Replace the clock that drives tick()
+     */
+    setClock(clock) {
+        this.clock = clock;
+        this.lastTick = this.playing ? clock.now() : null;
+    },
+
+    /**
+     * Fit the range to the events' time extent (unless the user set one)
+     */
+    setExtent(features) {
+        if (this.customRange) return;
+
+        // A loop rather than Math.min(...times): spreads overflow the stack on large feeds
+        let start = Infinity;
+        let end = -Infinity;
+        features.forEach(f => {
+            const { time } = f.properties;
+            if (!Number.isFinite(time)) return;
+            if (time < start) start = time;
+            if (time > end) end = time;
+        });
+        if (start > end) return;
+
+        this.start = start;
+        this.end = end;
+        this.playhead = Math.min(Math.max(this.playhead, this.start), this.end);
+        this.notify();
+    },
+
+    /**
+     * Set the playback range explicitly (ms timestamps)
+     */
+    setRange(start, end) {
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+            throw new Error('Playback start must be before end');
+        }
+        this.customRange = true;
+        this.start = start;
+        this.end = end;
+        this.playhead = Math.min(Math.max(this.playhead, start), end);
+        this.notify();
+    },
+
+    /**
+     * Leave playback and return the range to the data extent
+     */
+    reset() {
+        this.customRange = false;
+        this.setActive(false);
+    },
+
+    /**
+     * Enter or leave playback mode (markers show all events when inactive)
+     */
+    setActive(active) {
+        if (active === this.active) return;
+        this.active = active;
+        this.playing = false;
+        if (active) this.playhead = this.start;
+        this.notify();
+    },
+
+    play() {
+        if (this.playhead >= this.end) this.playhead = this.start;
+        this.active = true;
+        this.playing = true;
+        this.lastTick = this.clock.now();
+        this.notify();
+    },
+
+    pause() {
+        this.playing = false;
+        this.notify();
+    },
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    },
+
+    /**
+     * Pause and move one step (a fraction of the range) back or forward
+     */
+    step(direction) {
+        this.active = true;
+        this.playing = false;
+        this.seek(this.playhead + direction * (this.end - this.start) / CONFIG.playback.steps);
+    },
+
+    /**
+     * Move the playhead to a time, clamped to the range
+     */
+    seek(time) {
+        this.active = true;
+        this.playhead = Math.min(Math.max(time, this.start), this.end);
+        this.notify();
+    },
+
+    /**
+     * Advance the playhead by the clock time elapsed since the last tick
+     */
+    tick(now = this.clock.now()) {
+        if (!this.playing) return;
+
+        const elapsed = now - (this.lastTick ?? now);
+        this.lastTick = now;
+
+        let playhead = this.playhead + elapsed * this.getRate();
+        if (playhead > this.end) {
+            if (this.loop && this.end > this.start) {
+                playhead = this.start + (playhead - this.end) % (this.end - this.start);
+            } else {
+                playhead = this.end;
+                this.playing = false;
+            }
+        }
+
+        this.playhead = playhead;
+        this.notify();
+    },
+
+    /**
+     * Event milliseconds per clock millisecond at the current speed
+     */
+    getRate() {
+        return (this.end - this.start) / CONFIG.playback.duration * this.speed;
+    },
+
+    /**
+     * How long (event time) an event stays visible after it appears
+     */
+    getTrail() {
+        return Math.max(CONFIG.playback.minTrail, (this.end - this.start) * CONFIG.playback.trailFraction);
+    },
+
+    /**
+     * Trail and fade-in lengths for the marker shader, or null when inactive
+     */
+    getWindow() {
+        if (!this.active) return null;
+        const trail = this.getTrail();
+        return { playhead: this.playhead, trail, fadeIn: trail * CONFIG.playback.fadeInFraction };
+    },
+
+    notify() {
+        if (this.onChange) this.onChange(this);
+    }
+};
+
+// ==========================================================================
+// SEARCH
+// ==========================================================================
+
+/**
+ * Fuzzy matching for the search box. Substring hits rank first (earlier and
+ * word-start hits higher); otherwise the query's characters must appear in
+ * order, scored by how tightly they cluster.
+ */
+const Search = {
+    /**
+     * Score `text` against `query` (higher is better), or null if no match
+     */
+    score(query, text) {
+        const q = query.trim().toLowerCase();
+        const t = String(text ?? '').toLowerCase();
+        if (!q || !t) return null;
+
+        const index = t.indexOf(q);
+        if (index !== -1) {
+            const wordStart = index === 0 || /[\s,(-]/.test(t[index - 1]);
+            return 1000 + (wordStart ? 100 : 0) - index;
+        }
+
+        let score = 0;
+        let position = -1;
+        let run = 0;
+        for (const ch of q.replace(/\s+/g, '')) {
+            const next = t.indexOf(ch, position + 1);
+            if (next === -1) return null;
+
+            run = next === position + 1 ? run + 1 : 0;
+            score += 10 + run * 5 - Math.min(next - position - 1, 10);
+            position = next;
+        }
+        return score;
+    },
+
+    /**
+     * Best matching features by place name or event id, strongest
+     * (then largest) first
+     */
+    find(features, query) {
+        const { minLength, maxResults } = CONFIG.search;
+        if (query.trim().length < minLength) return [];
+
+        const results = [];
+        features.forEach(feature => {
+            const score = Math.max(
+                this.score(query, feature.properties.place) ?? -Infinity,
+                this.score(query, feature.id) ?? -Infinity
+            );
+            if (score > -Infinity) {
+                results.push({ feature, score });
+            }
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score ||
+                (b.feature.properties.mag ?? -Infinity) - (a.feature.properties.mag ?? -Infinity))
+            .slice(0, maxResults)
+            .map(result => result.feature);
+    }
+};
+
+// ==========================================================================
+// REGIONS
+// ==========================================================================
+
+/**
+ * Named regions of interest drawn on the globe: circles (center + radius in
+ * km) and polygons whose edges are great-circle arcs. While any region is
+ * enabled, only events inside at least one of them are shown and counted.
+ */
+const Regions = {
+    regions: [],
+    onChange: null,
+    vertexCache: new WeakMap(),
+
+    /**
+     * Restore saved regions from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.regions.storageKey) || '[]');
+            this.regions = Array.isArray(saved) ? saved.filter(region => this.isValid(region)) : [];
+        } catch (error) {
+            console.warn('Could not restore saved regions:', error);
+            this.regions = [];
+        }
+    },
+
+    /**
+     * Persist regions and notify listeners
+     */
+    save() {
+        try {
+            localStorage.setItem(CONFIG.regions.storageKey, JSON.stringify(this.regions));
+        } catch (error) {
+            console.warn('Could not save regions:', error);
+        }
+        this.onChange?.(this.regions);
+    },
+
+    /**
+     * Whether a stored region has the fields its shape needs
+     */
+    isValid(region) {
+        if (!region || typeof region.id !== 'string') return false;
+        if (region.shape === 'circle') {
+            return Number.isFinite(region.center?.lat) && Number.isFinite(region.center?.lon) &&
+                region.radiusKm > 0;
+        }
+        return region.shape === 'polygon' && Array.isArray(region.points) && region.points.length >= 3 &&
+            region.points.every(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+    },
+
+    /**
+     * Save a drawn shape under a name; new regions start enabled
+     */
+    add({ name, shape, center, radiusKm, points }) {
+        const region = shape === 'circle'
+            ? { shape, center, radiusKm }
+            : { shape, points };
+        region.id = `region-${Date.now().toString(36)}-${this.regions.length}`;
+        region.name = name;
+        region.enabled = true;
+
+        this.regions.push(region);
+        this.save();
+        return region;
+    },
+
+    /**
+     * Delete a region by id
+     */
+    remove(id) {
+        this.regions = this.regions.filter(region => region.id !== id);
+        this.save();
+    },
+
+    /**
+     * Turn a region's filter on or off
+     */
+    setEnabled(id, enabled) {
+        const region = this.regions.find(r => r.id === id);
+        if (!region || region.enabled === enabled) return;
+
+        region.enabled = enabled;
+        this.save();
+    },
+
+    /**
+     * Whether a feature passes the region filter: inside any enabled
+     * region, or anywhere when none are enabled
+     */
+    test(feature) {
+        const enabled = this.regions.filter(region => region.enabled);
+        if (!enabled.length) return true;
+
+        const [lon, lat] = feature.geometry.coordinates;
+        return enabled.some(region => this.contains(region, lat, lon));
+    },
+
+    /**
+     * Whether lat/lon lies inside a region. Polygons use the spherical
+     * winding number: the signed angles each edge subtends around the point
+     * sum to ±2π when the outline separates the point from its antipode.
+     * That is also true on the far side of the globe from the polygon, so
+     * points more than 90° from its center are outside.
+     */
+    contains(region, lat, lon) {
+        if (region.shape === 'circle') {
+            return Utils.distanceKm(region.center.lat, region.center.lon, lat, lon) <= region.radiusKm;
+        }
+
+        const p = Utils.toUnitVector(lat, lon);
+        const { vertices, center } = this.getVertices(region);
+        if (Utils.dot(p, center) <= 0) return false;
+
+        let winding = 0;
+
+        vertices.forEach((a, i) => {
+            const b = vertices[(i + 1) % vertices.length];
+            winding += Math.atan2(
+                Utils.dot(p, Utils.cross(a, b)),
+                Utils.dot(a, b) - Utils.dot(p, a) * Utils.dot(p, b)
+            );
+        });
+
+        return Math.abs(winding) > Math.PI;
+    },
+
+    /**
+     * Polygon corners as unit vectors plus their (unnormalized) mean,
+     * cached per region
+     */
+    getVertices(region) {
+        let cached = this.vertexCache.get(region);
+        if (!cached) {
+            const vertices = region.points.map(p => Utils.toUnitVector(p.lat, p.lon));
+            const center = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0));
+            cached = { vertices, center };
+            this.vertexCache.set(region, cached);
+        }
+        return cached;
+    },
+
+    /**
+     * Outline as lat/lon points ready to draw, ending where it started when
+     * closed. `closed` is false for a polygon still being drawn.
+     */
+    outline(region, closed = true) {
+        if (region.shape === 'circle') {
+            const { circleSegments } = CONFIG.regions;
+            const { lat, lon } = region.center;
+            const points = [];
+            for (let i = 0; i <= circleSegments; i++) {
+                points.push(Utils.destination(lat, lon, i * 360 / circleSegments, region.radiusKm));
+            }
+            return points;
+        }
+
+        const corners = region.points;
+        if (corners.length < 2) return [...corners];
+
+        const points = [];
+        const edges = closed ? corners.length : corners.length - 1;
+        for (let i = 0; i < edges; i++) {
+            points.push(...Utils.greatCircle(corners[i], corners[(i + 1) % corners.length], CONFIG.regions.stepDegrees));
+        }
+        points.push(closed ? corners[0] : corners[corners.length - 1]);
+        return points;
+    },
+
+    /**
+     * Point to fly to for a region: the circle center or the normalized
+     * mean of the polygon's corners
+     */
+    center(region) {
+        if (region.shape === 'circle') return region.center;
+
+        return Utils.fromUnitVector(this.getVertices(region).center);
+    },
+
+    /**
+     * Short description of a region's shape and size
+     */
+    describe(region) {
+        if (region.shape === 'circle') {
+            return `Circle, ${Math.round(region.radiusKm).toLocaleString()} km radius`;
+        }
+        return `Polygon, ${region.points.length} corners`;
+    }
+};
+
+// ==========================================================================
+// PLATE BOUNDARIES
+// ==========================================================================
+
+/**
+ * Tectonic plate boundaries loaded from a bundled GeoJSON file, drawn as an
+ * overlay and used to find each event's nearest boundary. Boundary vertices
+ * are joined by great-circle arcs, both on the globe and in the distance
+ * calculation.
+ */
+const PlateBoundaries = {
+    lines: [],
+    segments: [],
+    status: 'idle',
+    loading: null,
+
+    /**
+     * Fetch and parse the boundary file once; resolves with the lines, or
+     * null if it couldn't be loaded (status is then 'error')
+     */
+    load() {
+        if (!this.loading) {
+            this.status = 'loading';
+            this.loading = Utils.fetchJson(CONFIG.plates.url)
+                .then(geojson => {
+                    this.setData(geojson);
+                    this.status = 'ready';
+                    return this.lines;
+                })
+                .catch(error => {
+                    console.warn('Plate boundaries not loaded:', error.message);
+                    this.status = 'error';
+                    return null;
+                });
+        }
+        return this.loading;
+    },
+
+    /**
+     * Replace the boundaries with the lines in a FeatureCollection
+     */
+    setData(geojson) {
+        this.lines = [];
+        (geojson?.features || []).forEach(feature => {
+            const { type, coordinates } = feature?.geometry || {};
+            const parts = type === 'LineString' ? [coordinates]
+                : type === 'MultiLineString' ? coordinates
+                : [];
+
+            const properties = feature.properties || {};
+            parts.forEach(part => {
+                const points = (part || [])
+                    .filter(c => Number.isFinite(c?.[0]) && Number.isFinite(c?.[1]))
+                    .map(([lon, lat]) => ({ lat, lon }));
+                if (points.length < 2) return;
+
+                this.lines.push({
+                    name: String(properties.name ?? properties.Name ?? ''),
+                    type: this.classify(properties),
+                    points
+                });
+            });
+        });
+
+        this.segments = [];
+        this.lines.forEach(line => {
+            for (let i = 1; i < line.points.length; i++) {
+                const a = Utils.toUnitVector(line.points[i - 1].lat, line.points[i - 1].lon);
+                const b = Utils.toUnitVector(line.points[i].lat, line.points[i].lon);
+                const normal = Utils.cross(a, b);
+                const length = Math.hypot(...normal);
+                if (length < 1e-12) continue;
+
+                this.segments.push({ a, b, normal: normal.map(c => c / length), line });
+            }
+        });
+    },
+
+    /**
+     * Boundary type key from a feature's properties
+     */
+    classify(properties) {
+        const value = String(properties.type ?? properties.Type ?? properties.STEPCLASS ?? '').trim().toLowerCase();
+        const { types, aliases } = CONFIG.plates;
+        if (types[value]) return value;
+        return aliases[value] || 'other';
+    },
+
+    /**
+     * Nearest boundary to lat/lon: { distanceKm, name, type }, or null
+     * before the boundaries have loaded
+     */
+    nearest(lat, lon) {
+        if (!this.segments.length) return null;
+
+        const p = Utils.toUnitVector(lat, lon);
+        let best = null;
+        let bestAngle = Infinity;
+        this.segments.forEach(segment => {
+            const angle = this.angleToSegment(p, segment);
+            if (angle < bestAngle) {
+                bestAngle = angle;
+                best = segment.line;
+            }
+        });
+
+        return { distanceKm: bestAngle * CONFIG.globe.earthRadiusKm, name: best.name, type: best.type };
+    },
+
+    /**
+     * Angular distance (radians) from unit vector p to a great-circle arc.
+     * When the foot of the perpendicular from p onto the arc's great circle
+     * lies between the ends, that is the closest point; otherwise the
+     * nearer end is.
+     */
+    angleToSegment(p, { a, b, normal }) {
+        const offset = Utils.dot(p, normal);
+        const foot = p.map((c, k) => c - offset * normal[k]);
+
+        if (Utils.dot(Utils.cross(a, foot), normal) >= 0 && Utils.dot(Utils.cross(foot, b), normal) >= 0) {
+            return Math.asin(Math.min(1, Math.abs(offset)));
+        }
+        return Math.min(this.angleBetween(p, a), this.angleBetween(p, b));
+    },
+
+    /**
+     * Angle (radians) between two unit vectors
+     */
+    angleBetween(u, v) {
+        return Math.atan2(Math.hypot(...Utils.cross(u, v)), Utils.dot(u, v));
+    }
+};
+
+// ==========================================================================
+// SUBSURFACE
+// ==========================================================================
+
+/**
+ * Subsurface mode settings. While enabled, MarkerLayer places each event at
+ * its hypocenter - depth below the surface times `exaggeration` - and
+ * GlobeRenderer fades or cuts away the globe so the markers inside show.
+ */
+const Subsurface = {
+    enabled: false,
+    exaggeration: CONFIG.subsurface.exaggeration,
+    cutaway: CONFIG.subsurface.cutaway,
+
+    /**
+     * Globe-frame radius for a depth in km (positive down); unknown depths
+     * sit on the surface
+     */
+    radiusFor(depthKm) {
+        if (depthKm == null) return CONFIG.globe.radius;
+
+        const sink = depthKm * this.exaggeration / CONFIG.globe.earthRadiusKm;
+        return Math.max(CONFIG.globe.radius * (1 - sink), CONFIG.subsurface.minRadius);
+    }
+};
+
+// ==========================================================================
+// CROSS SECTION
+// ==========================================================================
+
+/**
+ * Vertical slice along a great-circle line. Events within half the swath
+ * width either side of the line are projected onto it and plotted by
+ * distance from the start against depth, the view seismologists use to
+ * trace a subducting slab.
+ */
+const CrossSection = {
+    line: null,
+    widthKm: CONFIG.section.widthKm,
+    samples: [],
+    plot: null,
+
+    /**
+     * Set the line ({ start, end } lat/lon points) or null to clear it
+     */
+    setLine(line) {
+        this.line = line;
+        this.samples = [];
+    },
+
+    /**
+     * Lat/lon points along the line, both ends included
+     */
+    path() {
+        if (!this.line) return [];
+        const { start, end } = this.line;
+        return [...Utils.greatCircle(start, end, CONFIG.section.stepDegrees), end];
+    },
+
+    /**
+     * Length of the line in km
+     */
+    lengthKm() {
+        if (!this.line) return 0;
+        const { start, end } = this.line;
+        return Utils.distanceKm(start.lat, start.lon, end.lat, end.lon);
+    },
+
+    /**
+     * Project the events within the swath onto the line, keeping
+     * { feature, distanceKm, depthKm, offsetKm } for each; events without a
+     * depth (and clusters) are skipped
+     */
+    sample(features) {
+        if (!this.line) return (this.samples = []);
+
+        const R = CONFIG.globe.earthRadiusKm;
+        const a = Utils.toUnitVector(this.line.start.lat, this.line.start.lon);
+        const b = Utils.toUnitVector(this.line.end.lat, this.line.end.lon);
+        const c = Utils.cross(a, b);
+        const norm = Math.hypot(...c);
+        if (norm < 1e-9) return (this.samples = []);
+
+        const pole = c.map(value => value / norm);
+        const length = this.lengthKm();
+        const halfWidth = this.widthKm / 2;
+
+        this.samples = features.flatMap(feature => {
+            const [lon, lat, depth] = feature.geometry.coordinates;
+            if (depth == null || feature.cluster) return [];
+
+            const p = Utils.toUnitVector(lat, lon);
+            const offsetKm = Math.asin(Math.max(-1, Math.min(1, Utils.dot(p, pole)))) * R;
+            if (Math.abs(offsetKm) > halfWidth) return [];
+
+            // Angle from the start, measured in the line's plane
+            const distanceKm = Math.atan2(Utils.dot(Utils.cross(a, p), pole), Utils.dot(a, p)) * R;
+            if (distanceKm < 0 || distanceKm > length) return [];
+
+            return [{ feature, distanceKm, depthKm: depth, offsetKm }];
+        });
+        return this.samples;
+    },
+
+    /**
+     * Deepest depth axis value: the deepest sample (at least minDepthKm)
+     * rounded up to a whole tick
+     */
+    depthExtent() {
+        const deepest = this.samples.reduce((max, s) => Math.max(max, s.depthKm), CONFIG.section.minDepthKm);
+        const tick = this.tickStep(deepest);
+        return Math.ceil(deepest / tick) * tick;
+    },
+
+    /**
+     * A 1, 2 or 5 × 10^n step giving roughly five ticks over `span`
+     */
+    tickStep(span) {
+        const raw = span / 5;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].find(m => m * magnitude >= raw);
+        return step * magnitude;
+    },
+
+    /**
+     * Draw the samples as a distance (x) vs depth (y, down) scatter on a
+     * canvas sized `width` × `height` CSS pixels. `colorOf(feature)` gives
+     * each dot's CSS color; the selected event is ringed.
+     */
+    draw(canvas, width, height, colorOf, selectedId = null) {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = { top: 12, right: 12, bottom: 28, left: 44 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const length = this.lengthKm();
+        const maxDepth = this.depthExtent();
+        const x = km => margin.left + (km / length) * plotWidth;
+        const y = km => margin.top + (Math.max(km, 0) / maxDepth) * plotHeight;
+
+        // Grid and axis labels
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif';
+        ctx.strokeStyle = 'rgba(139, 149, 168, 0.25)';
+        ctx.fillStyle = '#8b95a8';
+        ctx.lineWidth = 1;
+
+        const depthStep = this.tickStep(maxDepth);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let depth = 0; depth <= maxDepth; depth += depthStep) {
+            ctx.beginPath();
+            ctx.moveTo(margin.left, y(depth));
+            ctx.lineTo(margin.left + plotWidth, y(depth));
+            ctx.stroke();
+            ctx.fillText(String(depth), margin.left - 6, y(depth));
+        }
+
+        const distanceStep = this.tickStep(length);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let distance = 0; distance <= length; distance += distanceStep) {
+            ctx.beginPath();
+            ctx.moveTo(x(distance), margin.top);
+            ctx.lineTo(x(distance), margin.top + plotHeight);
+            ctx.stroke();
+            ctx.fillText(distance.toLocaleString(), x(distance), margin.top + plotHeight + 4);
+        }
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('km along line', margin.left + plotWidth, height);
+        ctx.save();
+        ctx.translate(10, margin.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Depth (km)', 0, 0);
+        ctx.restore();
+
+        // Events, remembering where each was drawn for pick()
+        this.plot = this.samples.map(sample => ({
+            sample,
+            x: x(sample.distanceKm),
+            y: y(sample.depthKm)
+        }));
+        this.plot.forEach(({ sample, x: px, y: py }) => {
+            ctx.fillStyle = colorOf(sample.feature);
+            ctx.beginPath();
+            ctx.arc(px, py, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        const selected = this.plot.find(({ sample }) => Utils.featureId(sample.feature) === selectedId);
+        if (selected) {
+            ctx.strokeStyle = '#e8ecf4';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(selected.x, selected.y, 6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    },
+
+    /**
+     * The plotted sample nearest a canvas point (CSS pixels), within a few
+     * pixels, or null
+     */
+    pick(px, py) {
+        let best = null;
+        let bestDistance = 6;
+        (this.plot || []).forEach(({ sample, x, y }) => {
+            const distance = Math.hypot(px - x, py - y);
+            if (distance < bestDistance) {
+                best = sample;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+};
+
+// ==========================================================================
+// BASEMAP
+// ==========================================================================
+
+/**
+ * Land, coastlines, country borders and graticule drawn onto the globe's
+ * equirectangular texture from bundled Natural Earth TopoJSON. Until the
+ * file loads (or if it can't), the texture shows only the ocean.
+ */
+const Basemap = {
+    land: [],
+    iceCaps: [],
+    borders: [],
+    status: 'idle',
+    loading: null,
+    showBorders: true,
+    showGraticule: false,
+    graticuleStep: CONFIG.basemap.graticuleStep,
+
+    /**
+     * Fetch and decode the TopoJSON once; resolves true when loaded, false
+     * if it couldn't be (status is then 'error')
+     */
+    load() {
+        if (!this.loading) {
+            this.status = 'loading';
+            this.loading = Utils.fetchJson(CONFIG.basemap.url)
+                .then(topology => {
+                    this.setTopology(topology);
+                    this.status = 'ready';
+                    return true;
+                })
+                .catch(error => {
+                    console.warn('Basemap not loaded:', error.message);
+                    this.status = 'error';
+                    return false;
+                });
+        }
+        return this.loading;
+    },
+
+    /**
+     * Decode a world-atlas topology (`land` and `countries` objects) into
+     * land polygons, ice caps and shared country borders
+     */
+    setTopology(topology) {
+        const arcs = this.decodeArcs(topology);
+        const { land, countries } = topology.objects;
+
+        this.land = land.geometries.flatMap(geometry => this.polygons(arcs, geometry));
+        this.iceCaps = countries.geometries
+            .filter(geometry => CONFIG.basemap.iceCaps.includes(geometry.properties?.name))
+            .flatMap(geometry => this.polygons(arcs, geometry));
+
+        // A border is an arc shared by two different countries
+        const owners = new Map();
+        const shared = new Set();
+        countries.geometries.forEach((geometry, index) => {
+            this.arcIndexes(geometry).forEach(arc => {
+                if (!owners.has(arc)) {
+                    owners.set(arc, index);
+                } else if (owners.get(arc) !== index) {
+                    shared.add(arc);
+                }
+            });
+        });
+        this.borders = [...shared].map(arc => arcs[arc]);
+    },
+
+    /**
+     * Arcs as [lon, lat] point arrays, undoing quantization and delta
+     * encoding
+     */
+    decodeArcs({ arcs, transform }) {
+        const [sx, sy] = transform ? transform.scale : [1, 1];
+        const [tx, ty] = transform ? transform.translate : [0, 0];
+
+        return arcs.map(arc => {
+            let x = 0;
+            let y = 0;
+            return arc.map(([dx, dy]) => {
+                if (transform) {
+                    x += dx;
+                    y += dy;
+                } else {
+                    x = dx;
+                    y = dy;
+                }
+                return [x * sx + tx, y * sy + ty];
+            });
+        });
+    },
+
+    /**
+     * Polygons (arrays of rings) of a Polygon or MultiPolygon geometry
+     */
+    polygons(arcs, geometry) {
+        const toRing = indexes => indexes.flatMap((index, i) => {
+            const points = index < 0 ? [...arcs[~index]].reverse() : arcs[index];
+            return i === 0 ? points : points.slice(1);
+        });
+
+        if (geometry.type === 'Polygon') return [geometry.arcs.map(toRing)];
+        if (geometry.type === 'MultiPolygon') return geometry.arcs.map(polygon => polygon.map(toRing));
+        return [];
+    },
+
+    /**
+     * Indexes of every arc a geometry uses, ignoring direction
+     */
+    arcIndexes(geometry) {
+        const rings = geometry.type === 'Polygon' ? geometry.arcs
+            : geometry.type === 'MultiPolygon' ? geometry.arcs.flat()
+            : [];
+        return new Set(rings.flat().map(index => (index < 0 ? ~index : index)));
+    },
+
+    /**
+     * Paint the basemap onto a 2:1 canvas
+     */
+    draw(canvas) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const { colors } = CONFIG.basemap;
+        const line = width / 4096;
+
+        const ocean = ctx.createLinearGradient(0, 0, 0, height);
+        ocean.addColorStop(0, colors.oceanPole);
+        ocean.addColorStop(0.5, colors.oceanEquator);
+        ocean.addColorStop(1, colors.oceanPole);
+        ctx.fillStyle = ocean;
+        ctx.fillRect(0, 0, width, height);
+
+        const project = ([lon, lat]) => [(lon + 180) / 360 * width, (90 - lat) / 180 * height];
+
+        if (this.showGraticule) {
+            ctx.strokeStyle = colors.graticule;
+            ctx.lineWidth = line;
+            ctx.beginPath();
+            for (let lon = -180 + this.graticuleStep; lon < 180; lon += this.graticuleStep) {
+                const [x] = project([lon, 0]);
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+            }
+            for (let lat = -90 + this.graticuleStep; lat < 90; lat += this.graticuleStep) {
+                const [, y] = project([0, lat]);
+                ctx.moveTo(0, y);
+                ctx.lineTo(width, y);
+            }
+            ctx.stroke();
+        }
+
+        this.fillPolygons(ctx, this.land, colors.land, project);
+        this.fillPolygons(ctx, this.iceCaps, colors.ice, project);
+
+        // Coastlines, minus the seams where land is cut at the map edges
+        ctx.strokeStyle = colors.coast;
+        ctx.lineWidth = line;
+        this.strokeLines(ctx, this.land.flat(), project, true);
+
+        if (this.showBorders) {
+            ctx.strokeStyle = colors.border;
+            ctx.lineWidth = line * 1.5;
+            this.strokeLines(ctx, this.borders, project, false);
+        }
+
+        if (this.showGraticule) {
+            this.drawReferenceLines(ctx, project, line);
+        }
+    },
+
+    /**
+     * Dashed equator, tropics and prime meridian over the land, each
+     * labelled several times so a name is in view from any side
+     */
+    drawReferenceLines(ctx, project, line) {
+        const { width, height } = ctx.canvas;
+        const { referenceLines, labelSize, colors } = CONFIG.basemap;
+
+        ctx.save();
+        ctx.strokeStyle = colors.reference;
+        ctx.lineWidth = line * 2;
+        ctx.setLineDash([line * 12, line * 8]);
+        ctx.beginPath();
+        referenceLines.forEach(({ lat, lon }) => {
+            if (lat !== undefined) {
+                const [, y] = project([0, lat]);
+                ctx.moveTo(0, y);
+                ctx.lineTo(width, y);
+            } else {
+                const [x] = project([lon, 0]);
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+            }
+        });
+        ctx.stroke();
+
+        ctx.setLineDash([]);
+        ctx.fillStyle = colors.label;
+        ctx.font = `${Math.round(labelSize * line)}px sans-serif`;
+        const gap = labelSize * line * 0.4;
+
+        referenceLines.forEach(({ name, lat, lon }) => {
+            if (lat !== undefined) {
+                // Above the line in the north, below it in the south
+                ctx.textAlign = 'center';
+                ctx.textBaseline = lat < 0 ? 'top' : 'bottom';
+                [-135, -45, 45, 135].forEach(labelLon => {
+                    const [x, y] = project([labelLon, lat]);
+                    ctx.fillText(name, x, lat < 0 ? y + gap : y - gap);
+                });
+            } else {
+                // Along the meridian, reading north to south
+                [45, 15, -15, -45].forEach(labelLat => {
+                    const [x, y] = project([lon, labelLat]);
+                    ctx.save();
+                    ctx.translate(x + gap, y);
+                    ctx.rotate(Math.PI / 2);
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'bottom';
+                    ctx.fillText(name, 0, 0);
+                    ctx.restore();
+                });
+            }
+        });
+        ctx.restore();
+    },
+
+    /**
+     * Fill polygons even-odd so lakes and inland seas stay open. A ring
+     * that circles a pole (Antarctica) ends a full turn from where it
+     * started, so it is closed along that pole's edge of the map.
+     */
+    fillPolygons(ctx, polygons, color, project) {
+        ctx.fillStyle = color;
+        polygons.forEach(polygon => {
+            const rings = polygon.map(ring => {
+                const unwrapped = this.unwrap(ring);
+                const first = unwrapped[0];
+                const last = unwrapped[unwrapped.length - 1];
+                if (Math.abs(last[0] - first[0]) < 180) return unwrapped;
+
+                const pole = unwrapped.reduce((sum, point) => sum + point[1], 0) < 0 ? -90 : 90;
+                return [...unwrapped, [last[0], pole], [first[0], pole]];
+            });
+            this.shifts(rings).forEach(shift => {
+                ctx.beginPath();
+                rings.forEach(ring => {
+                    ring.forEach((point, i) => {
+                        const [x, y] = project([point[0] + shift, point[1]]);
+                        if (i === 0) ctx.moveTo(x, y);
+                        else ctx.lineTo(x, y);
+                    });
+                    ctx.closePath();
+                });
+                ctx.fill('evenodd');
+            });
+        });
+    },
+
+    /**
+     * Stroke lines; with `skipSeams`, leave out segments running along the
+     * antimeridian or the south pole edge
+     */
+    strokeLines(ctx, lines, project, skipSeams) {
+        const onSeam = (a, b) =>
+            (Math.abs(Math.abs(a[0]) - 180) < 1e-3 && Math.abs(Math.abs(b[0]) - 180) < 1e-3) ||
+            (a[1] < -89.99 && b[1] < -89.99);
+
+        ctx.beginPath();
+        lines.forEach(points => {
+            const unwrapped = this.unwrap(points);
+            this.shifts([unwrapped]).forEach(shift => {
+                unwrapped.forEach((point, i) => {
+                    const [x, y] = project([point[0] + shift, point[1]]);
+                    if (i === 0 || (skipSeams && onSeam(unwrapped[i - 1], point))) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+            });
+        });
+        ctx.stroke();
+    },
+
+    /**
+     * Make longitudes continuous across the antimeridian, so a path may run
+     * past ±180° instead of jumping across the map
+     */
+    unwrap(points) {
+        let offset = 0;
+        return points.map(([lon, lat], i) => {
+            if (i > 0) {
+                const previous = points[i - 1][0];
+                if (lon - previous > 180) offset -= 360;
+                else if (previous - lon > 180) offset += 360;
+            }
+            return [lon + offset, lat];
+        });
+    },
+
+    /**
+     * Longitude shifts that bring the parts of unwrapped paths lying past
+     * ±180° back onto the map
+     */
+    shifts(paths) {
+        let west = Infinity;
+        let east = -Infinity;
+        paths.forEach(points => points.forEach(([lon]) => {
+            if (lon < west) west = lon;
+            if (lon > east) east = lon;
+        }));
+
+        const shifts = [0];
+        if (east > 180) shifts.push(-360);
+        if (west < -180) shifts.push(360);
+        return shifts;
+    }
+};
+
+// ==========================================================================
+// SUNLIGHT
+// ==========================================================================
+
+/**
+ * Where the sun is overhead at a given UTC time, how high it stands for any
+ * place on Earth, and the globe material that shades the night side from
+ * it. Positions use the Astronomical Almanac's low-precision solar
+ * coordinates, good to about 0.01° between 1950 and 2050.
+ */
+const Sunlight = {
+    enabled: true,
+    material: null,
+
+    vertexShader: `
+        #include <clipping_planes_pars_vertex>
+        varying vec2 vUv;
+        varying vec3 vNormal;
+
+        void main() {
+            vUv = uv;
+            // Object space, so the normal stays Earth-fixed as the globe spins
+            vNormal = normal;
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            gl_Position = projectionMatrix * mvPosition;
+            #include <clipping_planes_vertex>
+        }
+    `,
+
+    fragmentShader: `
+        uniform sampler2D uMap;
+        uniform sampler2D uNightMap;
+        uniform vec3 uSunDirection;
+        uniform vec3 uTerminatorColor;
+        uniform float uEnabled;
+        uniform float uHasNightMap;
+        uniform float uNightMapIntensity;
+        uniform float uDayAmbient;
+        uniform float uDayBrightness;
+        uniform float uNightBrightness;
+        uniform float uTwilight;
+        uniform float uTerminatorWidth;
+        uniform float uTerminatorOpacity;
+        uniform float uOpacity;
+        varying vec2 vUv;
+        varying vec3 vNormal;
+        #include <clipping_planes_pars_fragment>
+
+        void main() {
+            #include <clipping_planes_fragment>
+            vec3 base = texture2D(uMap, vUv).rgb;
+
+            // Inside of a cut-away globe
+            if (!gl_FrontFacing) {
+                base *= 0.4;
+            }
+
+            if (uEnabled < 0.5) {
+                gl_FragColor = vec4(base, uOpacity);
+                return;
+            }
+
+            // Sine of the sun's elevation at this point
+            float sunHeight = dot(normalize(vNormal), uSunDirection);
+
+            vec3 day = base * mix(uDayAmbient, uDayBrightness, max(sunHeight, 0.0));
+            vec3 night = base * uNightBrightness;
+            if (uHasNightMap > 0.5) {
+                night += texture2D(uNightMap, vUv).rgb * uNightMapIntensity;
+            }
+            vec3 color = mix(night, day, smoothstep(-uTwilight, uTwilight, sunHeight));
+
+            float terminator = 1.0 - smoothstep(0.0, uTerminatorWidth, abs(sunHeight));
+            gl_FragColor = vec4(mix(color, uTerminatorColor, terminator * uTerminatorOpacity), uOpacity);
+        }
+    `,
+
+    /**
+     * Globe material drawing `map` with day/night shading
+     */
+    createMaterial(map) {
+        const sin = degrees => Math.sin(THREE.MathUtils.degToRad(degrees));
+        const config = CONFIG.sun;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uMap: { value: map },
+                uNightMap: { value: null },
+                uSunDirection: { value: new THREE.Vector3(1, 0, 0) },
+                uTerminatorColor: { value: new THREE.Color(config.terminatorColor) },
+                uEnabled: { value: this.enabled ? 1 : 0 },
+                uHasNightMap: { value: 0 },
+                uNightMapIntensity: { value: config.cityLightsIntensity },
+                uDayAmbient: { value: config.dayAmbient },
+                uDayBrightness: { value: config.dayBrightness },
+                uNightBrightness: { value: config.nightBrightness },
+                uTwilight: { value: sin(config.twilightDegrees) },
+                uTerminatorWidth: { value: sin(config.terminatorDegrees) },
+                uTerminatorOpacity: { value: config.terminatorOpacity },
+                uOpacity: { value: 1 }
+            },
+            vertexShader: this.vertexShader,
+            fragmentShader: this.fragmentShader,
+            clipping: true
+        });
+
+        if (config.cityLightsUrl) {
+            new THREE.TextureLoader().load(
+                config.cityLightsUrl,
+                texture => {
+                    this.material.uniforms.uNightMap.value = texture;
+                    this.material.uniforms.uHasNightMap.value = 1;
+                },
+                undefined,
+                () => console.warn('City lights not loaded:', config.cityLightsUrl)
+            );
+        }
+        return this.material;
+    },
+
+    /**
+     * Turn the shading on or off (off lights the whole globe evenly)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (this.material) {
+            this.material.uniforms.uEnabled.value = enabled ? 1 : 0;
+        }
+    },
+
+    /**
+     * Point the shading at the sun for a UTC time (ms); returns the
+     * direction to the sun in the globe's frame
+     */
+    update(time) {
+        const { lat, lon } = this.subsolarPoint(time);
+        const direction = Utils.latLonToVector3(lat, lon, 1);
+        if (this.material) {
+            this.material.uniforms.uSunDirection.value.copy(direction);
+        }
+        return direction;
+    },
+
+    /**
+     * Lat/lon where the sun is overhead at a UTC time (ms)
+     */
+    subsolarPoint(time) {
+        const rad = Math.PI / 180;
+        const days = (time - Date.UTC(2000, 0, 1, 12)) / 86400000;
+
+        const anomaly = (357.529 + 0.98560028 * days) * rad;
+        const meanLongitude = 280.459 + 0.98564736 * days;
+        const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(anomaly) + 0.020 * Math.sin(2 * anomaly)) * rad;
+        const obliquity = (23.439 - 0.00000036 * days) * rad;
+
+        const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+        const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+        const siderealTime = 280.46061837 + 360.98564736629 * days;
+
+        const lon = rightAscension / rad - siderealTime;
+        return { lat: declination / rad, lon: ((lon % 360) + 540) % 360 - 180 };
+    },
+
+    /**
+     * Sun at a place and UTC time (ms): `elevation` in degrees above the
+     * horizon (ignoring refraction), apparent `solarTime` in hours, and
+     * `phase` - 'day', 'twilight' (sun less than twilightDegrees below the
+     * horizon) or 'night'
+     */
+    describe(lat, lon, time) {
+        const sun = this.subsolarPoint(time);
+        const cosine = Utils.dot(Utils.toUnitVector(lat, lon), Utils.toUnitVector(sun.lat, sun.lon));
+        const elevation = Math.asin(Math.min(Math.max(cosine, -1), 1)) * 180 / Math.PI;
+        const solarTime = (((12 + (lon - sun.lon) / 15) % 24) + 24) % 24;
+
+        const phase = elevation >= 0 ? 'day'
+            : elevation >= -CONFIG.sun.twilightDegrees ? 'twilight'
+            : 'night';
+        return { elevation, solarTime, phase };
+    }
+};
+
+// ==========================================================================
+// GLOBE RENDERER
+// ==========================================================================
+
+const GlobeRenderer = {
+    scene: null,
+    camera: null,
+    renderer: null,
+    controls: null,
+    globe: null,
+    globeGroup: null,
+    textureCanvas: null,
+    globeTexture: null,
+    markerTexture: null,
+    raycaster: null,
+    mouse: null,
+    isRotating: true,
+    currentMetric: 'magnitude',
+    features: [],
+    clusterCellSize: null,
+    updateHeatmap: null,
+    onViewChange: null,
+    onFrame: null,
+    flight: null,
+    hoveredMarker: null,
+    selectedMarker: null,
+    animationId: null,
+    drawingBufferSize: null,
+    regionGroup: null,
+    draftOutline: null,
+    plateGroup: null,
+    sunLight: null,
+    sectionGroup: null,
+    clipPlane: null,
+
+    /**
+     * Initialize the Three.js scene
+     */
+    init(canvas) {
+        // Scene
+        this.scene = new THREE.Scene();
+
+        // Camera
+        const aspect = canvas.clientWidth / canvas.clientHeight;
+        this.camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 100);
+        this.camera.position.z = CONFIG.globe.cameraDistance;
+
+        // Renderer
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: canvas,
+            antialias: true,
+            alpha: true
+        });
+        this.renderer.setSize(canvas.clientWidth, canvas.clientHeight);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.localClippingEnabled = true;
+        this.clipPlane = new THREE.Plane();
+
+        // Controls
+        this.controls = new THREE.OrbitControls(this.camera, canvas);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.rotateSpeed = 0.5;
+        this.controls.minDistance = 1.5;
+        this.controls.maxDistance = 5;
+        this.controls.enablePan = false;
+
+        this.controls.addEventListener('start', () => {
+            this.cancelFlight();
+            this.isRotating = false;
+            this.notifyViewChange();
+        });
+
+        // Re-cluster when zooming crosses a cell size step
+        this.controls.addEventListener('change', () => {
+            if (this.isClustering() && this.getClusterCellSize() !== this.clusterCellSize) {
+                this.syncDataPoints(this.features);
+            }
+            this.notifyViewChange();
+        });
+
+        // Raycaster
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+
+        // Marker texture
+        this.markerTexture = Utils.createMarkerTexture();
+        this.drawingBufferSize = new THREE.Vector2();
+
+        // Create scene elements
+        this.createStarfield();
+        this.createGlobe();
+        this.createLighting();
+        this.globeGroup.add(HeatmapLayer.init());
+        this.globeGroup.add(MarkerLayer.init(this.markerTexture));
+        this.regionGroup = new THREE.Group();
+        this.globeGroup.add(this.regionGroup);
+        this.plateGroup = new THREE.Group();
+        this.plateGroup.visible = false;
+        this.globeGroup.add(this.plateGroup);
+        this.sectionGroup = new THREE.Group();
+        this.globeGroup.add(this.sectionGroup);
+        this.updateHeatmap = Utils.debounce(() => {
+            HeatmapLayer.update(this.features, this.currentMetric);
+        }, 150);
+
+        // Handle resize with debounce
+        const debouncedResize = Utils.debounce(() => this.handleResize(canvas), 100);
+        window.addEventListener('resize', debouncedResize);
+
+        // Start animation
+        this.animate();
+    },
+
+    /**
+     * Create starfield background
+     */
+    createStarfield() {
+        const geometry = new THREE.BufferGeometry();
+        const positions = [];
+        const colors = [];
+
+        for (let i = 0; i < CONFIG.starfield.count; i++) {
+            // Random position on sphere
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos(2 * Math.random() - 1);
+            const r = CONFIG.starfield.radius;
+
+            positions.push(
+                r * Math.sin(phi) * Math.cos(theta),
+                r * Math.sin(phi) * Math.sin(theta),
+                r * Math.cos(phi)
+            );
+
+            // Slight color variation
+            const brightness = 0.5 + Math.random() * 0.5;
+            colors.push(brightness, brightness, brightness + Math.random() * 0.1);
+        }
+
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 0.1,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        const stars = new THREE.Points(geometry, material);
+        this.scene.add(stars);
+    },
+
+    /**
+     * Create the Earth globe
+     */
+    createGlobe() {
+        this.globeGroup = new THREE.Group();
+
+        // Basemap texture, redrawn once the Natural Earth data arrives
+        this.textureCanvas = document.createElement('canvas');
+        this.textureCanvas.width = Math.min(CONFIG.basemap.textureWidth, this.renderer.capabilities.maxTextureSize);
+        this.textureCanvas.height = this.textureCanvas.width / 2;
+        Basemap.draw(this.textureCanvas);
+
+        const texture = new THREE.CanvasTexture(this.textureCanvas);
+        texture.anisotropy = this.renderer.capabilities.getMaxAnisotropy();
+        this.globeTexture = texture;
+
+        // Globe mesh
+        const geometry = new THREE.SphereGeometry(
+            CONFIG.globe.radius,
+            CONFIG.globe.segments,
+            CONFIG.globe.segments
+        );
+
+        this.globe = new THREE.Mesh(geometry, Sunlight.createMaterial(texture));
+        this.globeGroup.add(this.globe);
+
+        // Atmosphere
+        const atmosphereGeometry = new THREE.SphereGeometry(1.015, 64, 64);
+        const atmosphereMaterial = new THREE.MeshBasicMaterial({
+            color: 0x4a9eff,
+            transparent: true,
+            opacity: 0.08,
+            side: THREE.BackSide
+        });
+        const atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
+        this.globeGroup.add(atmosphere);
+
+        // Outer glow
+        const glowGeometry = new THREE.SphereGeometry(1.05, 64, 64);
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x4a9eff,
+            transparent: true,
+            opacity: 0.03,
+            side: THREE.BackSide
+        });
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        this.globeGroup.add(glow);
+
+        this.scene.add(this.globeGroup);
+    },
+
+    /**
+     * Repaint the globe texture after basemap data or layers change
+     */
+    redrawBasemap() {
+        Basemap.draw(this.textureCanvas);
+        this.globeTexture.needsUpdate = true;
+    },
+
+    /**
+     * Create lighting. The directional light is the sun: it rides in the
+     * globe group and is aimed from the subsolar point each frame.
+     */
+    createLighting() {
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+        this.scene.add(ambientLight);
+
+        this.sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        this.globeGroup.add(this.sunLight);
+        this.updateSun(Date.now());
+
+        const hemisphereLight = new THREE.HemisphereLight(0x6699ff, 0x444422, 0.3);
+        this.scene.add(hemisphereLight);
+    },
+
+    /**
+     * Light the globe as the sun does at a UTC time (ms)
+     */
+    updateSun(time) {
+        const direction = Sunlight.update(time);
+        this.sunLight.position.copy(direction).multiplyScalar(5);
+    },
+
+    /**
+     * Add data points to the marker layer
+     */
+    addDataPoints(features) {
+        // Clear existing markers
+        this.clearMarkers();
+        this.syncDataPoints(features);
+    },
+
+    /**
+     * Incrementally sync markers with a feature list, keyed by feature id.
+     * Existing markers (and the current selection) survive; markers whose
+     * ids are in `newIds` get a temporary "new event" highlight.
+     */
+    syncDataPoints(features, newIds = new Set()) {
+        this.features = features;
+
+        // Swap in cluster features; a cluster is new if any member is.
+        // Time-lapse and subsurface mode show individual events, so they
+        // bypass clustering.
+        let items = features;
+        if (this.isClustering()) {
+            this.clusterCellSize = this.getClusterCellSize();
+            items = Clustering.build(features, this.clusterCellSize);
+            newIds = new Set(items
+                .filter(f => f.cluster
+                    ? f.cluster.members.some(m => newIds.has(Utils.featureId(m)))
+                    : newIds.has(Utils.featureId(f)))
+                .map(f => Utils.featureId(f)));
+        }
+
+        const incoming = new Map(items.map(f => [Utils.featureId(f), f]));
+
+        // Remove markers that are no longer present, update changed ones in place
+        [...MarkerLayer.records].forEach(record => {
+            const feature = incoming.get(record.id);
+            if (!feature) {
+                this.removeMarker(record);
+            } else if (feature !== record.feature) {
+                MarkerLayer.setFeature(record, feature);
+            }
+            incoming.delete(record.id);
+        });
+
+        // Add markers for features we haven't seen
+        incoming.forEach((feature, id) => {
+            const record = MarkerLayer.add(id, feature);
+            if (record && newIds.has(id)) {
+                MarkerLayer.highlight(record, CONFIG.refresh.highlightDuration);
+            }
+        });
+
+        // Apply visualization to new and updated markers
+        this.updateVisualization(this.currentMetric);
+    },
+
+    /**
+     * Remove a single marker, dropping any hover/selection it held
+     */
+    removeMarker(record) {
+        MarkerLayer.remove(record);
+
+        if (record === this.hoveredMarker) this.hoveredMarker = null;
+        if (record === this.selectedMarker) this.selectedMarker = null;
+    },
+
+    /**
+     * Clear all markers
+     */
+    clearMarkers() {
+        MarkerLayer.clear();
+        MarkerLayer.commit();
+        this.hoveredMarker = null;
+        this.selectedMarker = null;
+    },
+
+    /**
+     * Update visualization based on metric
+     */
+    updateVisualization(metricId) {
+        this.currentMetric = metricId;
+        const metric = MetricRegistry.get(metricId);
+        const scale = DataService.getScale(metricId);
+        const ramp = ColorRamp.forMetric(metric);
+        const { min: sizeMin, max: sizeMax } = metric.sizeRange;
+        const clusterSize = CONFIG.clustering.sizeRange;
+
+        MarkerLayer.records.forEach(record => {
+            const { feature } = record;
+
+            // Normalize through the metric's scale (missing values sit at the low end)
+            const t = scale.normalize(Clustering.value(feature, metric)) ?? 0;
+
+            // Set color by metric; size by metric, or by member count for clusters
+            const color = ColorRamp.sample(ramp, t);
+            const size = feature.cluster
+                ? (clusterSize.min + (clusterSize.max - clusterSize.min) *
+                    Math.min(1, Math.log2(feature.cluster.count) / 8)) / 400
+                : (sizeMin + (sizeMax - sizeMin) * t) / 400;
+            MarkerLayer.setStyle(record, color, size);
+        });
+
+        MarkerLayer.commit();
+        this.updateHeatmap();
+    },
+
+    /**
+     * Push the time-lapse window to the marker shader, re-syncing markers
+     * when playback starts or stops (clusters are bypassed while active)
+     */
+    setPlayback(timeWindow) {
+        const wasActive = MarkerLayer.playback !== null;
+        MarkerLayer.setPlayback(timeWindow);
+
+        if (wasActive !== (timeWindow !== null) && Clustering.enabled && !Subsurface.enabled) {
+            this.syncDataPoints(this.features);
+        }
+    },
+
+    /**
+     * Show/hide the density heatmap or change its weighting
+     */
+    setHeatmap(enabled, weighting = HeatmapLayer.weighting) {
+        HeatmapLayer.setEnabled(enabled);
+        HeatmapLayer.weighting = weighting;
+        this.updateHeatmap();
+    },
+
+    /**
+     * Check for hovered marker
+     */
+    checkHover(x, y) {
+        this.mouse.x = x;
+        this.mouse.y = y;
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        // World size of one CSS pixel at the globe's distance
+        const distance = this.camera.position.length() - CONFIG.globe.radius;
+        const fov = THREE.MathUtils.degToRad(this.camera.fov);
+        const pixelSize = (2 * distance * Math.tan(fov / 2)) / this.renderer.domElement.clientHeight;
+
+        const record = MarkerLayer.pick(this.raycaster.ray, pixelSize);
+
+        // Reset previous hover
+        if (this.hoveredMarker && this.hoveredMarker !== record && this.hoveredMarker !== this.selectedMarker) {
+            MarkerLayer.setActive(this.hoveredMarker, false);
+        }
+
+        this.hoveredMarker = record;
+
+        if (record) {
+            MarkerLayer.setActive(record, true);
+            return record.feature;
+        }
+
+        return null;
+    },
+
+    /**
+     * Lat/lon of the globe surface under a screen point (normalized device
+     * coordinates), or null when the point is off the globe
+     */
+    pickSurface(x, y) {
+        this.mouse.set(x, y);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        const inverse = new THREE.Matrix4().copy(this.globeGroup.matrixWorld).invert();
+        const localRay = this.raycaster.ray.clone().applyMatrix4(inverse);
+        const hit = localRay.intersectSphere(
+            new THREE.Sphere(new THREE.Vector3(), CONFIG.globe.radius),
+            new THREE.Vector3()
+        );
+        return hit ? Utils.vector3ToLatLon(hit) : null;
+    },
+
+    /**
+     * Freeze the camera while a region is drawn so drags draw instead of
+     * orbiting
+     */
+    setDrawing(drawing) {
+        this.controls.enabled = !drawing;
+        if (drawing) {
+            this.cancelFlight();
+            this.setRotating(false);
+        }
+    },
+
+    /**
+     * Line along lat/lon points just above the globe surface
+     */
+    createOutline(points, color) {
+        const radius = CONFIG.globe.radius * CONFIG.regions.lift;
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            points.map(({ lat, lon }) => Utils.latLonToVector3(lat, lon, radius))
+        );
+        return new THREE.Line(geometry, new THREE.LineBasicMaterial({ color }));
+    },
+
+    /**
+     * Free a line's GPU resources
+     */
+    disposeLine(line) {
+        line.geometry.dispose();
+        line.material.dispose();
+    },
+
+    /**
+     * Replace the saved region outlines: [{ points: [{ lat, lon }], color }]
+     */
+    setRegionOutlines(outlines) {
+        [...this.regionGroup.children].forEach(line => {
+            if (line === this.draftOutline) return;
+            this.regionGroup.remove(line);
+            this.disposeLine(line);
+        });
+        outlines.forEach(({ points, color }) => {
+            if (points.length > 1) this.regionGroup.add(this.createOutline(points, color));
+        });
+    },
+
+    /**
+     * Show the region being drawn, or clear it with null
+     */
+    setDraftOutline(points) {
+        if (this.draftOutline) {
+            this.regionGroup.remove(this.draftOutline);
+            this.disposeLine(this.draftOutline);
+            this.draftOutline = null;
+        }
+        if (points && points.length > 1) {
+            this.draftOutline = this.createOutline(points, CONFIG.regions.colors.draft);
+            this.regionGroup.add(this.draftOutline);
+        }
+    },
+
+    /**
+     * Show the cross-section line with a translucent curtain hanging under
+     * it down to `depthKm` (seen in subsurface mode), or clear both with null
+     */
+    setSection(points, depthKm) {
+        [...this.sectionGroup.children].forEach(object => {
+            this.sectionGroup.remove(object);
+            this.disposeLine(object);
+        });
+        if (!points || points.length < 2) return;
+
+        const { color, curtainOpacity } = CONFIG.section;
+        this.sectionGroup.add(this.createOutline(points, color));
+        if (!Subsurface.enabled) return;
+
+        const bottom = Subsurface.radiusFor(depthKm);
+        const vertices = points.flatMap(({ lat, lon }) => [
+            ...Utils.latLonToVector3(lat, lon, CONFIG.globe.radius).toArray(),
+            ...Utils.latLonToVector3(lat, lon, bottom).toArray()
+        ]);
+        const indexes = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const top = i * 2;
+            indexes.push(top, top + 1, top + 2, top + 1, top + 3, top + 2);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(indexes);
+        this.sectionGroup.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: curtainOpacity,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        })));
+    },
+
+    /**
+     * Build the plate boundary overlay, one line-segments mesh per boundary
+     * type so each is a single draw call
+     */
+    setPlateBoundaries(lines) {
+        [...this.plateGroup.children].forEach(mesh => {
+            this.plateGroup.remove(mesh);
+            this.disposeLine(mesh);
+        });
+
+        const { stepDegrees, lift, types } = CONFIG.plates;
+        const radius = CONFIG.globe.radius * lift;
+        const byType = new Map();
+
+        lines.forEach(({ type, points }) => {
+            if (!byType.has(type)) byType.set(type, []);
+            const vertices = byType.get(type);
+
+            const path = [];
+            for (let i = 1; i < points.length; i++) {
+                path.push(...Utils.greatCircle(points[i - 1], points[i], stepDegrees));
+            }
+            path.push(points[points.length - 1]);
+
+            for (let i = 1; i < path.length; i++) {
+                vertices.push(
+                    Utils.latLonToVector3(path[i - 1].lat, path[i - 1].lon, radius),
+                    Utils.latLonToVector3(path[i].lat, path[i].lon, radius)
+                );
+            }
+        });
+
+        byType.forEach((vertices, type) => {
+            const geometry = new THREE.BufferGeometry().setFromPoints(vertices);
+            const material = new THREE.LineBasicMaterial({ color: types[type].color, transparent: true, opacity: 0.85 });
+            this.plateGroup.add(new THREE.LineSegments(geometry, material));
+        });
+    },
+
+    /**
+     * Show/hide the plate boundary overlay
+     */
+    setPlatesVisible(visible) {
+        this.plateGroup.visible = visible;
+    },
+
+    /**
+     * Select a marker; with `focus`, also fly to it and return the flight
+     * promise
+     */
+    selectMarker(feature, focus = false) {
+        // Reset previous selection
+        this.deselectMarker();
+
+        if (!feature) return undefined;
+
+        // Find and select new marker
+        const record = MarkerLayer.byId.get(Utils.featureId(feature));
+        if (record) {
+            this.selectedMarker = record;
+            MarkerLayer.setActive(record, true);
+        }
+
+        if (!focus) return undefined;
+
+        const [lon, lat] = feature.geometry.coordinates;
+        return this.flyTo(lat, lon, Math.min(this.camera.position.length(), CONFIG.globe.focusDistance));
+    },
+
+    /**
+     * Deselect current marker
+     */
+    deselectMarker() {
+        if (this.selectedMarker) {
+            if (this.selectedMarker !== this.hoveredMarker) {
+                MarkerLayer.setActive(this.selectedMarker, false);
+            }
+            this.selectedMarker = null;
+        }
+    },
+
+    /**
+     * Turn clustering on/off or change its aggregate, re-rendering markers
+     */
+    setClustering(enabled, aggregate = Clustering.aggregate) {
+        Clustering.enabled = enabled;
+        Clustering.aggregate = aggregate;
+        this.hoveredMarker = null;
+        this.selectedMarker = null;
+        MarkerLayer.clear();
+        this.syncDataPoints(this.features);
+    },
+
+    /**
+     * Whether markers are currently clustered
+     */
+    isClustering() {
+        return Clustering.enabled && !Playback.active && !Subsurface.enabled;
+    },
+
+    /**
+     * Apply the Subsurface settings: move markers to their hypocenters (or
+     * back onto the shell) and fade or cut away the globe to show them
+     */
+    setSubsurface() {
+        const { enabled, cutaway } = Subsurface;
+        const seeThrough = enabled && cutaway === 'transparent';
+        const cut = enabled && cutaway === 'clip';
+        const material = this.globe.material;
+
+        material.transparent = seeThrough;
+        material.depthWrite = !seeThrough;
+        material.uniforms.uOpacity.value = seeThrough ? CONFIG.subsurface.shellOpacity : 1;
+        material.clippingPlanes = cut ? [this.clipPlane] : null;
+        material.side = cut ? THREE.DoubleSide : THREE.FrontSide;
+        material.needsUpdate = true;
+
+        MarkerLayer.reposition();
+        this.syncDataPoints(this.features);
+    },
+
+    /**
+     * Cluster cell size for the current camera distance
+     */
+    getClusterCellSize() {
+        return Clustering.cellSizeFor(this.camera.position.length());
+    },
+
+    /**
+     * Animate the camera to face a lat/lon from `distance`, easing in and
+     * out over `duration` ms (0 jumps). The target goes through the globe's
+     * current world matrix, so it lands right however far rotation.y has
+     * drifted. Auto-rotation is paused. Resolves true on arrival, or false
+     * if cancelled by a user drag or a newer flight.
+     */
+    flyTo(lat, lon, distance = this.camera.position.length(), duration = CONFIG.globe.flyDuration) {
+        this.globeGroup.updateMatrixWorld();
+        const direction = Utils.latLonToVector3(lat, lon, 1)
+            .applyMatrix4(this.globeGroup.matrixWorld)
+            .normalize();
+        return this.flyToDirection(direction, distance, duration);
+    },
+
+    /**
+     * Fly the camera to look at the globe from a world-space direction:
+     * the direction is slerped while the distance is lerped
+     */
+    flyToDirection(direction, distance, duration) {
+        this.cancelFlight();
+        this.isRotating = false;
+
+        const from = this.camera.position.clone().normalize();
+        const toDistance = THREE.MathUtils.clamp(distance, this.controls.minDistance, this.controls.maxDistance);
+
+        return new Promise(resolve => {
+            this.flight = {
+                from,
+                rotation: new THREE.Quaternion().setFromUnitVectors(from, direction),
+                fromDistance: this.camera.position.length(),
+                toDistance,
+                start: performance.now(),
+                duration,
+                resolve
+            };
+            if (duration <= 0) {
+                this.updateFlight(this.flight.start);
+            }
+        });
+    },
+
+    /**
+     * Advance an in-progress flight by one frame
+     */
+    updateFlight(now) {
+        const flight = this.flight;
+        const t = flight.duration > 0 ? Math.min((now - flight.start) / flight.duration, 1) : 1;
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+        const step = new THREE.Quaternion().slerp(flight.rotation, eased);
+        const distance = THREE.MathUtils.lerp(flight.fromDistance, flight.toDistance, eased);
+        this.camera.position.copy(flight.from).applyQuaternion(step).multiplyScalar(distance);
+        this.camera.lookAt(0, 0, 0);
+
+        if (t === 1) {
+            this.flight = null;
+            this.controls.update();
+            this.notifyViewChange();
+            flight.resolve(true);
+        }
+    },
+
+    /**
+     * Stop an in-progress flight where it is (its promise resolves false)
+     */
+    cancelFlight() {
+        if (!this.flight) return;
+
+        const { resolve } = this.flight;
+        this.flight = null;
+        resolve(false);
+    },
+
+    /**
+     * Fly halfway toward a cluster so it splits into smaller clusters
+     */
+    zoomToCluster(feature) {
+        const [lon, lat] = feature.geometry.coordinates;
+        const current = this.camera.position.length();
+        const distance = Math.max(
+            this.controls.minDistance,
+            CONFIG.globe.radius + (current - CONFIG.globe.radius) / 2
+        );
+        return this.flyTo(lat, lon, distance);
+    },
+
+    /**
+     * Set rotation state
+     */
+    setRotating(rotating) {
+        this.isRotating = rotating;
+        this.notifyViewChange();
+    },
+
+    /**
+     * Fly back to the default view, resuming auto-rotation on arrival
+     */
+    async resetView() {
+        const arrived = await this.flyToDirection(
+            new THREE.Vector3(0, 0, 1),
+            CONFIG.globe.cameraDistance,
+            CONFIG.globe.flyDuration
+        );
+
+        if (arrived) {
+            this.controls.reset();
+            this.setRotating(true);
+        }
+        return arrived;
+    },
+
+    /**
+     * Restore a saved view: camera position (optional), globe rotation
+     * (optional) and spin state
+     */
+    setView({ camera, rotation, spin }) {
+        if (camera) {
+            const distance = Math.min(Math.max(
+                Math.hypot(camera.x, camera.y, camera.z),
+                this.controls.minDistance
+            ), this.controls.maxDistance);
+
+            this.camera.position.set(camera.x, camera.y, camera.z).setLength(distance);
+            this.camera.lookAt(0, 0, 0);
+            this.controls.update();
+        }
+        if (rotation != null) {
+            this.globeGroup.rotation.y = rotation;
+        }
+        this.isRotating = spin;
+    },
+
+    /**
+     * Tell the app the camera, spin or rotation changed
+     */
+    notifyViewChange() {
+        if (this.onViewChange) {
+            this.onViewChange();
+        }
+    },
+
+    /**
+     * Handle resize
+     */
+    handleResize(canvas) {
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+    },
+
+    /**
+     * Animation loop
+     */
+    animate() {
+        this.animationId = requestAnimationFrame(() => this.animate());
+
+        if (this.isRotating && this.globeGroup) {
+            this.globeGroup.rotation.y += CONFIG.globe.rotationSpeed;
+        }
+
+        Playback.tick();
+
+        // The sun follows the playhead during time-lapse, the clock otherwise
+        this.updateSun(Playback.active ? Playback.playhead : Date.now());
+
+        // The cutaway removes the half of the globe facing the camera
+        this.clipPlane.normal.copy(this.camera.position).normalize().negate();
+
+        if (this.flight) {
+            this.updateFlight(performance.now());
+        }
+
+        // Pulse (magnitude 6+) and new-event highlights run in the marker shader
+        MarkerLayer.update(this.camera, this.renderer.getDrawingBufferSize(this.drawingBufferSize).y);
+
+        this.controls.update();
+        this.renderer.render(this.scene, this.camera);
+
+        // Runs while the drawing buffer still holds this frame (recording)
+        if (this.onFrame) {
+            this.onFrame(performance.now());
+        }
+    },
+
+    /**
+     * Render one frame at a fixed pixel size, independent of the window, and
+     * pass the WebGL canvas to `draw` before the on-screen size is restored.
+     * The drawing buffer is only valid until control returns to the browser,
+     * so `draw` must copy it synchronously.
+     */
+    renderAt(width, height, draw) {
+        const canvas = this.renderer.domElement;
+        const pixelRatio = this.renderer.getPixelRatio();
+
+        try {
+            this.renderer.setPixelRatio(1);
+            this.renderer.setSize(width, height, false);
+            this.camera.aspect = width / height;
+            this.camera.updateProjectionMatrix();
+            MarkerLayer.update(this.camera, height);
+            this.renderer.render(this.scene, this.camera);
+
+            // Browsers silently shrink buffers beyond the GPU's limits
+            const gl = this.renderer.getContext();
+            if (gl.drawingBufferWidth < width || gl.drawingBufferHeight < height) {
+                throw new Error(`${width} × ${height} is larger than this GPU can render`);
+            }
+            return draw(canvas);
+        } finally {
+            this.renderer.setPixelRatio(pixelRatio);
+            this.handleResize(canvas);
+        }
+    },
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+        MarkerLayer.dispose();
+        if (this.renderer) {
+            this.renderer.dispose();
+        }
+    }
+};
+
+// ==========================================================================
+// CAPTURE
+// ==========================================================================
+
+/**
+ * PNG snapshots and WebM recordings of the globe. Both composite the WebGL
+ * canvas with a title, timestamps, the legend and the data attribution onto
+ * a 2D canvas, since the page's HTML overlays aren't part of the scene.
+ * Overlay text is described by an `info` object:
+ * { title, subtitle, lines[], metric, scale, ramp, attribution }
+ */
+const Capture = {
+    recording: null,
+
+    /**
+     * Render the globe at width × height and composite the overlay
+     * @returns {Promise<Blob>} PNG image
+     */
+    snapshot(width, height, info) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        GlobeRenderer.renderAt(width, height, source => this.compose(ctx, source, info));
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The browser could not encode the image'));
+                }
+            }, 'image/png');
+        });
+    },
+
+    /**
+     * Start recording the on-screen globe. 'rotation' turns the globe once
+     * over CONFIG.capture.turnSeconds; 'timelapse' plays the time-lapse once
+     * from the start. Either stops by itself, or early with stopRecording().
+     * @param {'rotation'|'timelapse'} mode
+     * @param {function(): Object} describe - Overlay info, read every frame
+     * @returns {Promise<Blob>} WebM video, once recording stops
+     */
+    startRecording(mode, describe) {
+        if (this.recording) {
+            throw new Error('Already recording');
+        }
+        if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+            throw new Error('This browser cannot record the canvas');
+        }
+        const mimeType = CONFIG.capture.mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('This browser cannot record WebM video');
+        }
+        if (mode === 'timelapse' && !(Playback.end > Playback.start)) {
+            throw new Error('No event times to play back');
+        }
+
+        // The frame size is fixed for the whole video; resizes are scaled into it
+        const source = GlobeRenderer.renderer.domElement;
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+
+        const recorder = new MediaRecorder(canvas.captureStream(CONFIG.capture.fps), { mimeType });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+        });
+
+        this.recording = {
+            mode,
+            describe,
+            recorder,
+            ctx: canvas.getContext('2d'),
+            started: performance.now(),
+            rotation: GlobeRenderer.globeGroup.rotation.y,
+            wasRotating: GlobeRenderer.isRotating,
+            loop: Playback.loop
+        };
+
+        if (mode === 'rotation') {
+            // recordFrame() drives the rotation so the turn takes a fixed time
+            GlobeRenderer.isRotating = false;
+        } else {
+            Playback.loop = false;
+            Playback.pause();
+            Playback.seek(Playback.start);
+            Playback.play();
+        }
+
+        GlobeRenderer.onFrame = (now) => this.recordFrame(now);
+        recorder.start(1000);
+        return stopped;
+    },
+
+    /**
+     * Copy the frame just rendered into the video, then advance the turn
+     */
+    recordFrame(now) {
+        const recording = this.recording;
+        this.compose(recording.ctx, GlobeRenderer.renderer.domElement, recording.describe());
+
+        if (recording.mode === 'rotation') {
+            const turn = Math.min((now - recording.started) / 1000 / CONFIG.capture.turnSeconds, 1);
+            GlobeRenderer.globeGroup.rotation.y = recording.rotation + turn * Math.PI * 2;
+            if (turn === 1) this.stopRecording();
+        } else if (!Playback.playing) {
+            this.stopRecording();
+        }
+    },
+
+    /**
+     * Finish the video and restore spin or loop settings
+     */
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return;
+
+        this.recording = null;
+        GlobeRenderer.onFrame = null;
+        if (recording.mode === 'rotation') {
+            GlobeRenderer.setRotating(recording.wasRotating);
+        } else {
+            Playback.loop = recording.loop;
+            Playback.pause();
+        }
+        recording.recorder.stop();
+    },
+
+    /**
+     * Draw the globe over the page background, then the overlay
+     */
+    compose(ctx, source, info) {
+        const { width, height } = ctx.canvas;
+        ctx.fillStyle = '#0a0f1a';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(source, 0, 0, width, height);
+        this.drawOverlay(ctx, info);
+    },
+
+    /**
+     * Title and timestamps top-left, legend bottom-left, attribution
+     * bottom-right; sizes are relative to a 1080-pixel-high frame
+     */
+    drawOverlay(ctx, { title, subtitle, lines, metric, scale, ramp, attribution }) {
+        const { width, height } = ctx.canvas;
+        const unit = height / 1080;
+        const margin = 32 * unit;
+        const font = (size, weight = 400) =>
+            `${weight} ${Math.round(size * unit)}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+
+        ctx.save();
+        ctx.textBaseline = 'top';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        ctx.shadowBlur = 6 * unit;
+
+        // Title block
+        let y = margin;
+        ctx.fillStyle = '#e8ecf4';
+        ctx.font = font(36, 600);
+        ctx.fillText(title, margin, y);
+        y += 48 * unit;
+        ctx.fillStyle = '#8b95a8';
+        ctx.font = font(20);
+        for (const line of [subtitle, ...lines]) {
+            ctx.fillText(line, margin, y);
+            y += 28 * unit;
+        }
+
+        // Attribution
+        ctx.font = font(16);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(attribution, width - margin, height - margin);
+        ctx.textAlign = 'left';
+
+        // Legend (text is bottom-aligned from here on): classes as swatches,
+        // continuous scales as a bar with quarter ticks
+        const barWidth = 360 * unit;
+        const barHeight = 14 * unit;
+        if (scale.breaks) {
+            const classes = scale.breaks.length - 1;
+            y = height - margin - classes * 26 * unit;
+            for (let i = 0; i < classes; i++) {
+                const row = y + i * 26 * unit;
+                ctx.shadowBlur = 0;
+                ctx.fillStyle = ColorRamp.css(ramp, i / (classes - 1));
+                ctx.fillRect(margin, row + 4 * unit, barHeight, barHeight);
+                ctx.shadowBlur = 6 * unit;
+                ctx.fillStyle = '#e8ecf4';
+                ctx.fillText(
+                    `${MetricRegistry.format(metric, scale.breaks[i])} – ${MetricRegistry.format(metric, scale.breaks[i + 1])}`,
+                    margin + barHeight * 1.8,
+                    row + 22 * unit
+                );
+            }
+        } else {
+            y = height - margin - 24 * unit - barHeight;
+            ctx.shadowBlur = 0;
+            const steps = Math.ceil(barWidth);
+            for (let x = 0; x < steps; x++) {
+                ctx.fillStyle = ColorRamp.css(ramp, x / (steps - 1));
+                ctx.fillRect(margin + x, y, 1.5, barHeight);
+            }
+            ctx.shadowBlur = 6 * unit;
+            ctx.fillStyle = '#e8ecf4';
+            [0, 0.25, 0.5, 0.75, 1].forEach(t => {
+                ctx.textAlign = t === 0 ? 'left' : t === 1 ? 'right' : 'center';
+                ctx.fillText(MetricRegistry.format(metric, scale.invert(t)), margin + t * barWidth, y + barHeight + 24 * unit);
+            });
+            ctx.textAlign = 'left';
+        }
+        ctx.font = font(18, 600);
+        ctx.fillText(metric.label, margin, y - 8 * unit);
+
+        ctx.restore();
+    }
+};
+
+// ==========================================================================
+// UI CONTROLLER
+// ==========================================================================
+
+const UIController = {
+    elements: {},
+    currentMetric: 'magnitude',
+    onMetricChange: null,
+    onScaleChange: null,
+    onPaletteChange: null,
+    onTimeFilterChange: null,
+    onFeedChange: null,
+    onSourceChange: null,
+    onQuerySubmit: null,
+    onFileDrop: null,
+    onExport: null,
+    onSnapshot: null,
+    onRecordToggle: null,
+    onLiveToggle: null,
+    onRetry: null,
+    retryTimer: null,
+    onEventSelect: null,
+    onSearchSelect: null,
+    onRegionSave: null,
+    onRegionToggle: null,
+    onRegionDelete: null,
+    onRegionFocus: null,
+    onSubsurfaceChange: null,
+    onSectionChange: null,
+    onSectionSelect: null,
+    searchResults: [],
+    searchIndex: -1,
+    mappingFormat: null,
+    drawMode: null,
+    draft: null,
+    pressPoint: null,
+    pinned: null,
+
+    /**
+     * Initialize UI
+     */
+    init() {
+        this.elements = {
+            loadingOverlay: document.getElementById('loading-overlay'),
+            loadingMessage: document.getElementById('loading-message'),
+            errorOverlay: document.getElementById('error-overlay'),
+            errorMessage: document.getElementById('error-message'),
+            retryBtn: document.getElementById('retry-btn'),
+            errorHint: document.getElementById('error-hint'),
+            dismissErrorBtn: document.getElementById('dismiss-error-btn'),
+            playPauseBtn: document.getElementById('play-pause-btn'),
+            resetViewBtn: document.getElementById('reset-view-btn'),
+            clusterBtn: document.getElementById('cluster-btn'),
+            clusterLegend: document.getElementById('cluster-legend'),
+            clusterAggregate: document.getElementById('cluster-aggregate'),
+            heatmapBtn: document.getElementById('heatmap-btn'),
+            heatmapLegend: document.getElementById('heatmap-legend'),
+            heatmapGradient: document.getElementById('heatmap-gradient'),
+            heatmapWeighting: document.getElementById('heatmap-weighting'),
+            bordersToggle: document.getElementById('borders-toggle'),
+            graticuleToggle: document.getElementById('graticule-toggle'),
+            graticuleStep: document.getElementById('graticule-step'),
+            daynightToggle: document.getElementById('daynight-toggle'),
+            basemapStatus: document.getElementById('basemap-status'),
+            platesBtn: document.getElementById('plates-btn'),
+            platesLegend: document.getElementById('plates-legend'),
+            platesTypes: document.getElementById('plates-types'),
+            platesStatus: document.getElementById('plates-status'),
+            metricButtons: document.getElementById('metric-buttons'),
+            legendGradient: document.getElementById('legend-gradient'),
+            scaleStrategy: document.getElementById('scale-strategy'),
+            paletteSelect: document.getElementById('palette-select'),
+            legendClasses: document.getElementById('legend-classes'),
+            legendLabels: document.getElementById('legend-labels'),
+            legendDescription: document.getElementById('legend-description'),
+            detailsContent: document.getElementById('details-content'),
+            statTotal: document.getElementById('stat-total'),
+            statAvg: document.getElementById('stat-avg'),
+            statMax: document.getElementById('stat-max'),
+            statAvgLabel: document.getElementById('stat-avg-label'),
+            statMaxLabel: document.getElementById('stat-max-label'),
+            timeSlider: document.getElementById('time-slider'),
+            timeMin: document.getElementById('time-min'),
+            timeValue: document.getElementById('time-value'),
+            playbackPlay: document.getElementById('playback-play'),
+            playbackBack: document.getElementById('playback-back'),
+            playbackForward: document.getElementById('playback-forward'),
+            playbackSpeed: document.getElementById('playback-speed'),
+            playbackLoop: document.getElementById('playback-loop'),
+            playbackExit: document.getElementById('playback-exit'),
+            playbackScrubber: document.getElementById('playback-scrubber'),
+            playbackTime: document.getElementById('playback-time'),
+            playbackStart: document.getElementById('playback-start'),
+            playbackEnd: document.getElementById('playback-end'),
+            playbackError: document.getElementById('playback-error'),
+            feedLevelSelect: document.getElementById('feed-level'),
+            feedPeriodSelect: document.getElementById('feed-period'),
+            liveIndicator: document.getElementById('live-indicator'),
+            liveStatus: document.getElementById('live-status'),
+            liveToggle: document.getElementById('live-toggle'),
+            sourceButtons: document.querySelectorAll('.source-btn'),
+            feedOptions: document.getElementById('feed-options'),
+            fdsnForm: document.getElementById('fdsn-form'),
+            fdsnError: document.getElementById('fdsn-error'),
+            uploadOptions: document.getElementById('upload-options'),
+            uploadInput: document.getElementById('upload-input'),
+            uploadError: document.getElementById('upload-error'),
+            uploadReport: document.getElementById('upload-report'),
+            dropOverlay: document.getElementById('drop-overlay'),
+            importDialog: document.getElementById('import-dialog'),
+            importForm: document.getElementById('import-form'),
+            importSummary: document.getElementById('import-summary'),
+            importPosition: document.getElementById('import-position'),
+            importMetrics: document.getElementById('import-metrics'),
+            importError: document.getElementById('import-error'),
+            exportScope: document.getElementById('export-scope'),
+            exportButtons: document.getElementById('export-buttons'),
+            exportStatus: document.getElementById('export-status'),
+            captureSize: document.getElementById('capture-size'),
+            snapshotBtn: document.getElementById('snapshot-btn'),
+            recordMode: document.getElementById('record-mode'),
+            recordBtn: document.getElementById('record-btn'),
+            captureStatus: document.getElementById('capture-status'),
+            dataBanner: document.getElementById('data-banner'),
+            dataQuality: document.getElementById('data-quality'),
+            fetchCount: document.getElementById('fetch-count'),
+            tooltip: document.getElementById('tooltip'),
+            coordCursor: document.getElementById('coord-cursor'),
+            coordPin: document.getElementById('coord-pin'),
+            coordPinValue: document.getElementById('coord-pin-value'),
+            coordCopyBtn: document.getElementById('coord-copy-btn'),
+            coordClearBtn: document.getElementById('coord-clear-btn'),
+            searchInput: document.getElementById('search-input'),
+            searchResults: document.getElementById('search-results'),
+            regionCircleBtn: document.getElementById('region-circle-btn'),
+            regionPolygonBtn: document.getElementById('region-polygon-btn'),
+            regionHint: document.getElementById('region-hint'),
+            regionForm: document.getElementById('region-form'),
+            regionName: document.getElementById('region-name'),
+            regionDiscardBtn: document.getElementById('region-discard-btn'),
+            regionList: document.getElementById('region-list'),
+            regionEmpty: document.getElementById('region-empty'),
+            subsurfaceToggle: document.getElementById('subsurface-toggle'),
+            subsurfaceOptions: document.getElementById('subsurface-options'),
+            subsurfaceExaggeration: document.getElementById('subsurface-exaggeration'),
+            subsurfaceCutaway: document.getElementById('subsurface-cutaway'),
+            sectionDrawBtn: document.getElementById('section-draw-btn'),
+            sectionClearBtn: document.getElementById('section-clear-btn'),
+            sectionHint: document.getElementById('section-hint'),
+            sectionPanel: document.getElementById('section-panel'),
+            sectionWidth: document.getElementById('section-width'),
+            sectionCanvas: document.getElementById('section-canvas'),
+            sectionSummary: document.getElementById('section-summary'),
+            globeContainer: document.getElementById('globe-container')
+        };
+
+        this.populateMetricButtons(DataService.getAvailableMetrics());
+        this.populatePalettes();
+        this.populateExportButtons();
+        this.populateCaptureSizes();
+        this.populatePlateTypes();
+        this.populateFeedOptions();
+        this.populatePlaybackSpeeds();
+        this.populateGraticuleSteps();
+        this.populateSubsurfaceOptions();
+        this.fillFdsnForm(DataService.fdsnQuery);
+        this.bindEvents();
+        this.configureTimeSlider(DataService.getTimeWindow());
+        this.updateLegend(this.currentMetric);
+        this.updateStatLabels(this.currentMetric);
+    },
+
+    /**
+     * Fill the plate boundary legend with a swatch per boundary type
+     */
+    populatePlateTypes() {
+        this.elements.platesTypes.innerHTML = Object.values(CONFIG.plates.types).map(({ label, color }) => `
+            <li><span class="plates-swatch" style="background: ${color}"></span>${Utils.escapeHtml(label)}</li>
+        `).join('');
+    },
+
+    /**
+     * Note while coastlines load or if they are unavailable (hidden once
+     * they're drawn)
+     */
+    updateBasemapStatus(status) {
+        const messages = {
+            loading: 'Loading coastlines…',
+            error: 'Coastlines could not be loaded; showing the ocean only'
+        };
+        const { basemapStatus, bordersToggle } = this.elements;
+        basemapStatus.textContent = messages[status] || '';
+        basemapStatus.classList.toggle('hidden', !messages[status]);
+        basemapStatus.classList.toggle('error', status === 'error');
+        bordersToggle.disabled = status !== 'ready';
+    },
+
+    /**
+     * Show whether the plate boundaries are loading, loaded or unavailable
+     */
+    updatePlateStatus(status, count = 0) {
+        const messages = {
+            loading: 'Loading plate boundaries…',
+            ready: `${count.toLocaleString()} boundary lines, simplified from Bird (2003)`,
+            error: 'Plate boundaries could not be loaded'
+        };
+        const { platesStatus } = this.elements;
+        platesStatus.textContent = messages[status] || '';
+        platesStatus.classList.toggle('error', status === 'error');
+    },
+
+    /**
+     * Fill the palette picker ('' keeps each metric's own colors)
+     */
+    populatePalettes() {
+        this.elements.paletteSelect.innerHTML = [
+            '<option value="">Metric default</option>',
+            ...Object.entries(ColorRamp.palettes).map(([id, palette]) => `<option value="${id}">${palette.label}</option>`)
+        ].join('');
+    },
+
+    /**
+     * Build a selector button for each metric the data source can show
+     */
+    populateMetricButtons(metrics) {
+        this.elements.metricButtons.innerHTML = metrics.map(metric => `
+            <button class="metric-btn${metric.id === this.currentMetric ? ' active' : ''}"
+                data-metric="${Utils.escapeHtml(metric.id)}" title="${Utils.escapeHtml(metric.description)}">
+                ${metric.icon} ${Utils.escapeHtml(metric.label)}
+            </button>
+        `).join('');
+    },
+
+    /**
+     * Build a download button for each export format
+     */
+    populateExportButtons() {
+        this.elements.exportButtons.innerHTML = Object.entries(Exporter.formats).map(([id, format]) => `
+            <button class="live-toggle export-btn" data-format="${id}" title="Download as ${format.label}">
+                ${format.label}
+            </button>
+        `).join('');
+    },
+
+    /**
+     * Fill the snapshot size selector
+     */
+    populateCaptureSizes() {
+        const select = this.elements.captureSize;
+        select.innerHTML = Object.values(CONFIG.capture.sizes)
+            .map(size => `<option value="${size.id}">${size.label}</option>`)
+            .join('');
+        select.value = CONFIG.capture.defaultSize;
+    },
+
+    /**
+     * Fill the time-lapse speed selector
+     */
+    populatePlaybackSpeeds() {
+        const select = this.elements.playbackSpeed;
+        select.innerHTML = '';
+        CONFIG.playback.speeds.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            option.selected = speed === Playback.speed;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Fill the graticule spacing dropdown
+     */
+    populateGraticuleSteps() {
+        const select = this.elements.graticuleStep;
+        select.innerHTML = '';
+        CONFIG.basemap.graticuleSteps.forEach(step => {
+            const option = document.createElement('option');
+            option.value = step;
+            option.textContent = `Every ${step}°`;
+            option.selected = step === Basemap.graticuleStep;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Fill the depth exaggeration and cross-section swath width dropdowns
+     */
+    populateSubsurfaceOptions() {
+        const { subsurfaceExaggeration, subsurfaceCutaway, sectionWidth } = this.elements;
+        subsurfaceExaggeration.innerHTML = CONFIG.subsurface.exaggerations.map(factor => `
+            <option value="${factor}" ${factor === Subsurface.exaggeration ? 'selected' : ''}>${factor}×</option>
+        `).join('');
+        sectionWidth.innerHTML = CONFIG.section.widths.map(width => `
+            <option value="${width}" ${width === CrossSection.widthKm ? 'selected' : ''}>${width} km</option>
+        `).join('');
+        subsurfaceCutaway.value = Subsurface.cutaway;
+    },
+
+    /**
+     * Fill the feed selectors from the feed catalog
+     */
+    populateFeedOptions() {
+        const fill = (select, entries, selectedId) => {
+            select.innerHTML = Object.values(entries)
+                .map(entry => `<option value="${entry.id}">${entry.label}</option>`)
+                .join('');
+            select.value = selectedId;
+        };
+
+        fill(this.elements.feedLevelSelect, CONFIG.feeds.levels, DataService.feedLevel);
+        fill(this.elements.feedPeriodSelect, CONFIG.feeds.periods, DataService.feedPeriod);
+    },
+
+    /**
+     * Populate the FDSN query form
+     */
+    fillFdsnForm(query) {
+        const form = this.elements.fdsnForm;
+        Object.entries(query).forEach(([name, value]) => {
+            if (form.elements[name]) {
+                form.elements[name].value = value;
+            }
+        });
+        this.syncRegionFields();
+    },
+
+    /**
+     * Enable only the fieldset for the selected region shape
+     */
+    syncRegionFields() {
+        const form = this.elements.fdsnForm;
+        const region = form.elements.region.value;
+        form.querySelectorAll('.region-fields').forEach(fieldset => {
+            const active = fieldset.dataset.region === region;
+            fieldset.disabled = !active;
+            fieldset.classList.toggle('hidden', !active);
+        });
+    },
+
+    /**
+     * Read and validate the FDSN query form
+     */
+    readFdsnQuery() {
+        const form = this.elements.fdsnForm;
+        const query = Object.fromEntries(new FormData(form));
+        query.pageSize = parseInt(query.pageSize, 10);
+        query.maxEvents = parseInt(query.maxEvents, 10);
+
+        const num = (name) => parseFloat(query[name]);
+        let error = null;
+
+        if (!form.checkValidity()) {
+            error = 'Please correct the highlighted fields.';
+        } else if (query.endtime && Date.parse(query.starttime) >= Date.parse(query.endtime)) {
+            error = 'Start must be before end.';
+        } else if (num('minmagnitude') > num('maxmagnitude')) {
+            error = 'Min magnitude must not exceed max magnitude.';
+        } else if (query.region === 'box' && num('minlatitude') >= num('maxlatitude')) {
+            error = 'Min latitude must be below max latitude.';
+        } else if (!query.pageSize || !query.maxEvents) {
+            error = 'Page size and max events are required.';
+        }
+
+        return { query, error };
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Play/Pause
+        this.elements.playPauseBtn.addEventListener('click', () => {
+            const isRotating = !GlobeRenderer.isRotating;
+            GlobeRenderer.setRotating(isRotating);
+            this.updatePlayPauseButton(isRotating);
+        });
+
+        // Reset view
+        this.elements.resetViewBtn.addEventListener('click', () => {
+            GlobeRenderer.resetView().then(() => this.updatePlayPauseButton(GlobeRenderer.isRotating));
+        });
+
+        // Clustering
+        this.elements.clusterBtn.addEventListener('click', () => {
+            const enabled = !Clustering.enabled;
+            GlobeRenderer.setClustering(enabled);
+            this.elements.clusterBtn.setAttribute('aria-pressed', String(enabled));
+            this.elements.clusterLegend.classList.toggle('hidden', !enabled);
+            this.resetDetails();
+        });
+
+        this.elements.clusterAggregate.addEventListener('change', (e) => {
+            GlobeRenderer.setClustering(Clustering.enabled, e.target.value);
+            this.resetDetails();
+        });
+
+        // Scale strategy for the active metric
+        this.elements.scaleStrategy.addEventListener('change', (e) => {
+            if (this.onScaleChange) {
+                this.onScaleChange(e.target.value);
+            }
+        });
+
+        this.elements.paletteSelect.addEventListener('change', (e) => {
+            if (this.onPaletteChange) {
+                this.onPaletteChange(e.target.value || null);
+            }
+        });
+
+        // Heatmap
+        this.elements.heatmapGradient.style.background = HeatmapLayer.cssGradient();
+
+        this.elements.heatmapBtn.addEventListener('click', () => {
+            const enabled = !HeatmapLayer.enabled;
+            GlobeRenderer.setHeatmap(enabled);
+            this.elements.heatmapBtn.setAttribute('aria-pressed', String(enabled));
+            this.elements.heatmapLegend.classList.toggle('hidden', !enabled);
+        });
+
+        this.elements.heatmapWeighting.addEventListener('change', (e) => {
+            GlobeRenderer.setHeatmap(HeatmapLayer.enabled, e.target.value);
+        });
+
+        // Basemap layers
+        this.elements.bordersToggle.checked = Basemap.showBorders;
+        this.elements.graticuleToggle.checked = Basemap.showGraticule;
+
+        this.elements.bordersToggle.addEventListener('change', (e) => {
+            Basemap.showBorders = e.target.checked;
+            GlobeRenderer.redrawBasemap();
+        });
+
+        this.elements.graticuleToggle.addEventListener('change', (e) => {
+            Basemap.showGraticule = e.target.checked;
+            GlobeRenderer.redrawBasemap();
+        });
+
+        this.elements.daynightToggle.checked = Sunlight.enabled;
+        this.elements.daynightToggle.addEventListener('change', (e) => {
+            Sunlight.setEnabled(e.target.checked);
+        });
+
+        this.elements.graticuleStep.addEventListener('change', (e) => {
+            Basemap.graticuleStep = parseInt(e.target.value, 10);
+            if (!Basemap.showGraticule) {
+                Basemap.showGraticule = true;
+                this.elements.graticuleToggle.checked = true;
+            }
+            GlobeRenderer.redrawBasemap();
+        });
+
+        // Plate boundaries
+        this.elements.platesBtn.addEventListener('click', () => {
+            const visible = !GlobeRenderer.plateGroup.visible;
+            GlobeRenderer.setPlatesVisible(visible);
+            this.elements.platesBtn.setAttribute('aria-pressed', String(visible));
+            this.elements.platesLegend.classList.toggle('hidden', !visible);
+        });
+
+        // Time-lapse
+        this.elements.playbackPlay.addEventListener('click', () => Playback.toggle());
+        this.elements.playbackBack.addEventListener('click', () => Playback.step(-1));
+        this.elements.playbackForward.addEventListener('click', () => Playback.step(1));
+        this.elements.playbackExit.addEventListener('click', () => Playback.setActive(false));
+
+        this.elements.playbackSpeed.addEventListener('change', (e) => {
+            Playback.speed = Number(e.target.value);
+        });
+
+        this.elements.playbackLoop.addEventListener('change', (e) => {
+            Playback.loop = e.target.checked;
+        });
+
+        this.elements.playbackScrubber.addEventListener('input', (e) => {
+            const fraction = e.target.value / e.target.max;
+            Playback.seek(Playback.start + fraction * (Playback.end - Playback.start));
+        });
+
+        const onRangeChange = () => {
+            const start = Date.parse(`${this.elements.playbackStart.value}Z`);
+            const end = Date.parse(`${this.elements.playbackEnd.value}Z`);
+            try {
+                Playback.setRange(start, end);
+                this.elements.playbackError.classList.add('hidden');
+            } catch (error) {
+                this.elements.playbackError.textContent = error.message;
+                this.elements.playbackError.classList.remove('hidden');
+            }
+        };
+        this.elements.playbackStart.addEventListener('change', onRangeChange);
+        this.elements.playbackEnd.addEventListener('change', onRangeChange);
+
+        // Export
+        this.elements.exportButtons.addEventListener('click', (e) => {
+            const btn = e.target.closest('.export-btn');
+            if (btn && this.onExport) {
+                this.onExport(btn.dataset.format, this.elements.exportScope.value);
+            }
+        });
+
+        // Capture
+        this.elements.snapshotBtn.addEventListener('click', () => {
+            if (this.onSnapshot) {
+                this.onSnapshot(this.elements.captureSize.value);
+            }
+        });
+
+        this.elements.recordBtn.addEventListener('click', () => {
+            if (this.onRecordToggle) {
+                this.onRecordToggle(this.elements.recordMode.value);
+            }
+        });
+
+        // Regions
+        this.elements.regionCircleBtn.addEventListener('click', () => this.startDrawing('circle'));
+        this.elements.regionPolygonBtn.addEventListener('click', () => this.startDrawing('polygon'));
+        this.elements.regionDiscardBtn.addEventListener('click', () => this.cancelDrawing());
+
+        this.elements.subsurfaceToggle.addEventListener('change', (e) => {
+            Subsurface.enabled = e.target.checked;
+            this.elements.subsurfaceOptions.classList.toggle('hidden', !Subsurface.enabled);
+            if (this.onSubsurfaceChange) this.onSubsurfaceChange();
+        });
+
+        this.elements.subsurfaceExaggeration.addEventListener('change', (e) => {
+            Subsurface.exaggeration = parseFloat(e.target.value);
+            if (this.onSubsurfaceChange) this.onSubsurfaceChange();
+        });
+
+        this.elements.subsurfaceCutaway.addEventListener('change', (e) => {
+            Subsurface.cutaway = e.target.value;
+            if (this.onSubsurfaceChange) this.onSubsurfaceChange();
+        });
+
+        this.elements.sectionDrawBtn.addEventListener('click', () => this.startDrawing('section'));
+        this.elements.sectionClearBtn.addEventListener('click', () => {
+            this.cancelDrawing();
+            if (this.onSectionChange) this.onSectionChange(null);
+        });
+
+        this.elements.sectionWidth.addEventListener('change', (e) => {
+            CrossSection.widthKm = parseInt(e.target.value, 10);
+            if (this.onSectionChange) this.onSectionChange(CrossSection.line);
+        });
+
+        this.elements.sectionCanvas.addEventListener('click', (e) => {
+            const sample = CrossSection.pick(e.offsetX, e.offsetY);
+            if (sample && this.onSectionSelect) this.onSectionSelect(sample.feature);
+        });
+
+        this.elements.regionForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = this.elements.regionName.value.trim() || this.elements.regionName.placeholder;
+            if (this.draft && this.onRegionSave) {
+                this.onRegionSave({ ...this.draft, name });
+            }
+            this.cancelDrawing();
+        });
+
+        this.elements.regionList.addEventListener('change', (e) => {
+            const item = e.target.closest('.region-item');
+            if (item && this.onRegionToggle) {
+                this.onRegionToggle(item.dataset.id, e.target.checked);
+            }
+        });
+
+        this.elements.regionList.addEventListener('click', (e) => {
+            const item = e.target.closest('.region-item');
+            if (!item) return;
+
+            if (e.target.closest('.region-delete') && this.onRegionDelete) {
+                this.onRegionDelete(item.dataset.id);
+            } else if (e.target.closest('.region-name') && this.onRegionFocus) {
+                this.onRegionFocus(item.dataset.id);
+            }
+        });
+
+        // Metric buttons
+        this.elements.metricButtons.addEventListener('click', (e) => {
+            const btn = e.target.closest('.metric-btn');
+            if (btn) this.setMetric(btn.dataset.metric);
+        });
+
+        // Time slider
+        this.elements.timeSlider.addEventListener('input', (e) => {
+            const { unit } = DataService.getTimeWindow();
+            const steps = parseInt(e.target.value, 10);
+            this.elements.timeValue.textContent = this.formatTimeWindow(steps, unit);
+
+            if (this.onTimeFilterChange) {
+                this.onTimeFilterChange(steps * CONFIG.timeUnits[unit]);
+            }
+        });
+
+        // Feed selectors
+        const handleFeedChange = () => {
+            if (this.onFeedChange) {
+                this.onFeedChange(
+                    this.elements.feedLevelSelect.value,
+                    this.elements.feedPeriodSelect.value
+                );
+            }
+        };
+        this.elements.feedLevelSelect.addEventListener('change', handleFeedChange);
+        this.elements.feedPeriodSelect.addEventListener('change', handleFeedChange);
+
+        // Data source buttons
+        this.elements.sourceButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.classList.contains('active')) return;
+
+                this.showSource(btn.dataset.source);
+                if (this.onSourceChange) {
+                    this.onSourceChange(btn.dataset.source);
+                }
+            });
+        });
+
+        // Dropped or chosen dataset files
+        const { globeContainer, dropOverlay, uploadInput } = this.elements;
+        const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+
+        globeContainer.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            dropOverlay.classList.remove('hidden');
+        });
+
+        globeContainer.addEventListener('dragleave', (e) => {
+            if (!globeContainer.contains(e.relatedTarget)) {
+                dropOverlay.classList.add('hidden');
+            }
+        });
+
+        globeContainer.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dropOverlay.classList.add('hidden');
+            if (e.dataTransfer.files.length && this.onFileDrop) {
+                this.onFileDrop(e.dataTransfer.files[0]);
+            }
+        });
+
+        uploadInput.addEventListener('change', () => {
+            if (uploadInput.files.length && this.onFileDrop) {
+                this.onFileDrop(uploadInput.files[0]);
+            }
+            uploadInput.value = '';
+        });
+
+        this.elements.importForm.addEventListener('submit', (e) => {
+            if (e.submitter?.value !== 'import') return;
+
+            const error = this.validateMapping();
+            this.elements.importError.textContent = error || '';
+            this.elements.importError.classList.toggle('hidden', !error);
+            if (error) e.preventDefault();
+        });
+
+        // FDSN query form
+        this.elements.fdsnForm.elements.region.addEventListener('change', () => {
+            this.syncRegionFields();
+        });
+
+        this.elements.fdsnForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const { query, error } = this.readFdsnQuery();
+
+            this.elements.fdsnError.textContent = error || '';
+            this.elements.fdsnError.classList.toggle('hidden', !error);
+
+            if (!error && this.onQuerySubmit) {
+                this.onQuerySubmit(query);
+            }
+        });
+
+        // Live updates pause toggle
+        this.elements.liveToggle.addEventListener('click', () => {
+            if (this.onLiveToggle) {
+                this.onLiveToggle();
+            }
+        });
+
+        // Retry
+        this.elements.retryBtn.addEventListener('click', () => {
+            if (this.onRetry) {
+                this.onRetry();
+            }
+        });
+
+        this.elements.dismissErrorBtn.addEventListener('click', () => this.hideError());
+
+        // Search
+        const runSearch = Utils.debounce(() => this.updateSearchResults(), 120);
+        this.elements.searchInput.addEventListener('input', runSearch);
+        this.elements.searchInput.addEventListener('keydown', (e) => this.handleSearchKey(e));
+        this.elements.searchInput.addEventListener('blur', () => this.closeSearch());
+
+        // mousedown (not click) so the choice lands before the input blurs
+        this.elements.searchResults.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                e.preventDefault();
+                this.chooseSearchResult(parseInt(option.dataset.index, 10));
+            }
+        });
+
+        // Mouse events
+        const container = this.elements.globeContainer;
+
+        container.addEventListener('mousemove', (e) => this.handlePointerMove(e));
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('dblclick', () => {
+            if (this.drawMode === 'polygon') this.finishDrawing();
+        });
+        container.addEventListener('mouseleave', () => {
+            this.hideTooltip();
+            this.updateCursorReadout(null);
+        });
+
+        // Remember where a press started so a drag that orbits the globe
+        // isn't taken for a click that pins a coordinate
+        container.addEventListener('pointerdown', (e) => {
+            this.pressPoint = { x: e.clientX, y: e.clientY };
+        });
+
+        this.elements.coordCopyBtn.addEventListener('click', () => this.copyPinnedCoordinate());
+        this.elements.coordClearBtn.addEventListener('click', () => this.pinCoordinate(null));
+
+        // Circles are drawn with pointer events so touch drags work too
+        container.addEventListener('pointerdown', (e) => this.handleCirclePointer(e));
+        container.addEventListener('pointermove', (e) => this.handleCirclePointer(e));
+        container.addEventListener('pointerup', (e) => this.handleCirclePointer(e));
+        container.addEventListener('pointerdown', (e) => this.handleSectionPointer(e));
+        container.addEventListener('pointermove', (e) => this.handleSectionPointer(e));
+        container.addEventListener('pointerup', (e) => this.handleSectionPointer(e));
+
+        // Touch support
+        let touchTimeout;
+        container.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 1) {
+                touchTimeout = setTimeout(() => {
+                    this.handleClick(e.touches[0]);
+                }, 200);
+            }
+        });
+
+        container.addEventListener('touchmove', () => {
+            clearTimeout(touchTimeout);
+        });
+
+        container.addEventListener('touchend', () => {
+            clearTimeout(touchTimeout);
+        });
+
+        // Keyboard accessibility
+        document.addEventListener('keydown', (e) => {
+            // Escape abandons a region being drawn
+            if (e.key === 'Escape' && this.draft) {
+                this.cancelDrawing();
+                return;
+            }
+
+            // Enter closes a polygon being drawn
+            if (e.key === 'Enter' && this.drawMode === 'polygon' && !this.isInteractiveElement(e.target)) {
+                this.finishDrawing();
+                return;
+            }
+
+            // Escape to deselect current marker, unpin the coordinate and
+            // reset details
+            if (e.key === 'Escape') {
+                GlobeRenderer.deselectMarker();
+                this.resetDetails();
+                this.selectEvent(null);
+                this.pinCoordinate(null);
+            }
+
+            // Space to toggle rotation (when not focused on interactive elements)
+            if (e.key === ' ' && !this.isInteractiveElement(e.target)) {
+                e.preventDefault();
+                const isRotating = !GlobeRenderer.isRotating;
+                GlobeRenderer.setRotating(isRotating);
+                this.updatePlayPauseButton(isRotating);
+            }
+
+            // R to reset view (when not focused on interactive elements)
+            if (e.key === 'r' && !this.isInteractiveElement(e.target)) {
+                GlobeRenderer.resetView().then(() => this.updatePlayPauseButton(GlobeRenderer.isRotating));
+            }
+        });
+    },
+
+    /**
+     * Match the search text against the visible events
+     */
+    updateSearchResults() {
+        const data = DataService.getData();
+        this.searchResults = Search.find(data ? data.features : [], this.elements.searchInput.value);
+        this.searchIndex = this.searchResults.length ? 0 : -1;
+        this.renderSearchResults();
+    },
+
+    /**
+     * Render the results list (or a "no matches" note)
+     */
+    renderSearchResults() {
+        const list = this.elements.searchResults;
+        const input = this.elements.searchInput;
+        const query = input.value.trim();
+        list.innerHTML = '';
+
+        this.searchResults.forEach((feature, i) => {
+            const option = document.createElement('li');
+            option.id = `search-option-${i}`;
+            option.className = 'search-option';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(i === this.searchIndex));
+            option.dataset.index = i;
+
+            const place = document.createElement('span');
+            place.className = 'search-place';
+            place.textContent = feature.properties.place || 'Unknown location';
+
+            const meta = document.createElement('span');
+            meta.className = 'search-meta';
+            const { mag, time } = feature.properties;
+            meta.textContent = [
+                Number.isFinite(mag) ? `M ${mag.toFixed(1)}` : null,
+                time != null ? new Date(time).toLocaleDateString() : null,
+                feature.id
+            ].filter(Boolean).join(' · ');
+
+            option.append(place, meta);
+            list.appendChild(option);
+        });
+
+        if (!this.searchResults.length && query.length >= CONFIG.search.minLength) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.textContent = 'No matching events';
+            list.appendChild(empty);
+        }
+
+        const open = list.children.length > 0;
+        list.classList.toggle('hidden', !open);
+        input.setAttribute('aria-expanded', String(open));
+        input.setAttribute('aria-activedescendant', this.searchIndex >= 0 ? `search-option-${this.searchIndex}` : '');
+    },
+
+    /**
+     * Arrow keys move through results, Enter picks, Escape closes
+     */
+    handleSearchKey(e) {
+        const count = this.searchResults.length;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!count) return;
+            const delta = e.key === 'ArrowDown' ? 1 : -1;
+            this.searchIndex = (this.searchIndex + delta + count) % count;
+            this.renderSearchResults();
+            this.elements.searchResults.children[this.searchIndex].scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.searchIndex >= 0) {
+                this.chooseSearchResult(this.searchIndex);
+            }
+        } else if (e.key === 'Escape') {
+            // Keep the global Escape (deselect) from firing while searching
+            e.stopPropagation();
+            this.closeSearch();
+            this.elements.searchInput.blur();
+        }
+    },
+
+    /**
+     * Fly to and select a search result
+     */
+    chooseSearchResult(index) {
+        const feature = this.searchResults[index];
+        if (!feature) return;
+
+        this.elements.searchInput.value = feature.properties.place || feature.id;
+        this.closeSearch();
+
+        if (this.onSearchSelect) {
+            this.onSearchSelect(feature);
+        }
+    },
+
+    /**
+     * Hide the results list
+     */
+    closeSearch() {
+        this.searchResults = [];
+        this.searchIndex = -1;
+        this.renderSearchResults();
+    },
+
+    /**
+     * Check if element is interactive (input, button, etc.)
+     */
+    isInteractiveElement(element) {
+        const interactiveTags = ['INPUT', 'BUTTON', 'SELECT', 'TEXTAREA'];
+        return interactiveTags.includes(element.tagName) || element.isContentEditable;
+    },
+
+    /**
+     * Reset details panel to placeholder
+     */
+    resetDetails() {
+        this.elements.detailsContent.innerHTML = '<p class="placeholder">Hover or click on a data point to see details</p>';
+    },
+
+    /**
+     * Handle pointer move
+     */
+    handlePointerMove(event) {
+        this.updateCursorReadout(this.pickSurface(event));
+
+        if (this.drawMode === 'polygon') {
+            this.previewPolygon(event);
+            return;
+        }
+        if (this.drawMode) return;
+
+        const rect = this.elements.globeContainer.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+        const feature = GlobeRenderer.checkHover(x, y);
+
+        if (feature) {
+            this.showTooltip(event.clientX, event.clientY, feature);
+            this.elements.globeContainer.style.cursor = 'pointer';
+        } else {
+            this.hideTooltip();
+            this.elements.globeContainer.style.cursor = 'grab';
+        }
+    },
+
+    /**
+     * Handle click
+     */
+    handleClick(event) {
+        if (this.drawMode === 'polygon') {
+            this.addPolygonCorner(event);
+            return;
+        }
+        if (this.drawMode) return;
+
+        const rect = this.elements.globeContainer.getBoundingClientRect();
+        const clientX = event.clientX || event.pageX;
+        const clientY = event.clientY || event.pageY;
+        const x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((clientY - rect.top) / rect.height) * 2 + 1;
+
+        const feature = GlobeRenderer.checkHover(x, y);
+
+        if (feature) {
+            if (feature.cluster) {
+                this.showClusterDetails(feature);
+            } else {
+                this.showDetails(feature);
+            }
+            GlobeRenderer.selectMarker(feature);
+            this.selectEvent(feature.cluster ? null : feature);
+        } else if (this.isGlobeClick(event)) {
+            this.pinCoordinate(this.pickSurface(event));
+        }
+    },
+
+    /**
+     * Whether a click landed on the globe itself (not an overlay) without
+     * the pointer moving far enough since the press to count as orbiting
+     */
+    isGlobeClick(event) {
+        if (event.target !== GlobeRenderer.renderer.domElement) return false;
+
+        const start = this.pressPoint;
+        if (!start) return true;
+        return Math.hypot(event.clientX - start.x, event.clientY - start.y) <= CONFIG.readout.clickTolerance;
+    },
+
+    /**
+     * Show the lat/lon under the cursor (null hides it when the pointer is
+     * off the globe)
+     */
+    updateCursorReadout(point) {
+        const { coordCursor } = this.elements;
+        coordCursor.classList.toggle('hidden', !point);
+        if (point) {
+            coordCursor.textContent = Utils.formatLatLon(point.lat, point.lon, CONFIG.readout.decimals);
+        }
+    },
+
+    /**
+     * Pin a clicked lat/lon so it can be copied (null clears the pin)
+     */
+    pinCoordinate(point) {
+        const { coordPin, coordPinValue, coordCopyBtn } = this.elements;
+        this.pinned = point;
+        coordPin.classList.toggle('hidden', !point);
+        if (point) {
+            coordPinValue.textContent = `📍 ${Utils.formatLatLon(point.lat, point.lon, CONFIG.readout.decimals)}`;
+            coordCopyBtn.textContent = 'Copy';
+        }
+    },
+
+    /**
+     * Copy the pinned coordinate as signed decimal degrees ("lat, lon"),
+     * the form most mapping tools paste
+     */
+    async copyPinnedCoordinate() {
+        if (!this.pinned) return;
+
+        const { copyDecimals } = CONFIG.readout;
+        const text = `${this.pinned.lat.toFixed(copyDecimals)}, ${this.pinned.lon.toFixed(copyDecimals)}`;
+        const button = this.elements.coordCopyBtn;
+
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = 'Copied';
+        } catch (error) {
+            console.warn('Clipboard write failed:', error.message);
+            button.textContent = 'Copy failed';
+        }
+    },
+
+    /**
+     * Globe surface lat/lon under a mouse, pointer or touch event, or null
+     */
+    pickSurface(event) {
+        const rect = this.elements.globeContainer.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        return GlobeRenderer.pickSurface(x, y);
+    },
+
+    /**
+     * Start drawing a 'circle' or 'polygon' region or a 'section' line;
+     * pressing the same shape's button again stops
+     */
+    startDrawing(shape) {
+        const restart = this.drawMode !== shape;
+        this.cancelDrawing();
+        if (!restart) return;
+
+        this.drawMode = shape;
+        this.draft = shape === 'circle' ? { shape, center: null, radiusKm: 0 }
+            : shape === 'section' ? { shape, start: null, end: null }
+            : { shape, points: [] };
+
+        GlobeRenderer.setDrawing(true);
+        this.updatePlayPauseButton(false);
+        this.hideTooltip();
+        this.elements.globeContainer.style.cursor = 'crosshair';
+        this.elements.regionCircleBtn.setAttribute('aria-pressed', String(shape === 'circle'));
+        this.elements.regionPolygonBtn.setAttribute('aria-pressed', String(shape === 'polygon'));
+        this.elements.sectionDrawBtn.setAttribute('aria-pressed', String(shape === 'section'));
+
+        if (shape === 'section') {
+            this.showSectionHint('Drag along the line to slice, or click its two ends');
+        } else {
+            this.showRegionHint(shape === 'circle'
+                ? 'Drag outward from the center, or click the center then the edge'
+                : 'Click each corner; double-click or press Enter to finish');
+        }
+    },
+
+    /**
+     * Drop the region being drawn or named and restore the camera
+     */
+    cancelDrawing() {
+        if (this.drawMode) {
+            GlobeRenderer.setDrawing(false);
+        }
+        this.drawMode = null;
+        this.draft = null;
+        GlobeRenderer.setDraftOutline(null);
+
+        this.elements.globeContainer.style.cursor = 'grab';
+        this.elements.regionCircleBtn.setAttribute('aria-pressed', 'false');
+        this.elements.regionPolygonBtn.setAttribute('aria-pressed', 'false');
+        this.elements.sectionDrawBtn.setAttribute('aria-pressed', 'false');
+        this.elements.regionForm.classList.add('hidden');
+        this.showRegionHint(null);
+        this.showSectionHint(null);
+    },
+
+    /**
+     * Stop drawing and ask for a name, unless the shape is still too small
+     */
+    finishDrawing() {
+        const { draft } = this;
+        if (draft.shape === 'polygon' && draft.points.length < 3) {
+            this.showRegionHint('A polygon needs at least 3 corners', true);
+            return;
+        }
+
+        GlobeRenderer.setDrawing(false);
+        GlobeRenderer.setDraftOutline(Regions.outline(draft));
+        this.drawMode = null;
+        this.elements.globeContainer.style.cursor = 'grab';
+        this.elements.regionCircleBtn.setAttribute('aria-pressed', 'false');
+        this.elements.regionPolygonBtn.setAttribute('aria-pressed', 'false');
+        this.showRegionHint(Regions.describe(draft));
+
+        const { regionForm, regionName } = this.elements;
+        regionName.value = '';
+        regionName.placeholder = `Region ${Regions.regions.length + 1}`;
+        regionForm.classList.remove('hidden');
+        regionName.focus();
+    },
+
+    /**
+     * Circle drawing: press sets the center, moving sizes the radius, and
+     * releasing after a drag (or pressing again) finishes
+     */
+    handleCirclePointer(event) {
+        if (this.drawMode !== 'circle') return;
+
+        const { draft } = this;
+        const point = this.pickSurface(event);
+
+        if (event.type === 'pointerdown' && !draft.center) {
+            if (!point) return;
+            draft.center = point;
+            draft.radiusKm = 0;
+            return;
+        }
+        if (!draft.center) return;
+
+        if (point) {
+            draft.radiusKm = Utils.distanceKm(draft.center.lat, draft.center.lon, point.lat, point.lon);
+            GlobeRenderer.setDraftOutline(draft.radiusKm > 0 ? Regions.outline(draft) : null);
+            this.showRegionHint(`Radius: ${Math.round(draft.radiusKm).toLocaleString()} km`);
+        }
+
+        const released = event.type === 'pointerup' || event.type === 'pointerdown';
+        if (released && draft.radiusKm >= CONFIG.regions.minVertexKm) {
+            this.finishDrawing();
+        }
+    },
+
+    /**
+     * Section drawing: press sets the start, moving stretches the line, and
+     * releasing after a drag (or pressing again) slices along it
+     */
+    handleSectionPointer(event) {
+        if (this.drawMode !== 'section') return;
+
+        const { draft } = this;
+        const point = this.pickSurface(event);
+
+        if (event.type === 'pointerdown' && !draft.start) {
+            if (!point) return;
+            draft.start = point;
+            draft.end = null;
+            return;
+        }
+        if (!draft.start) return;
+
+        let lengthKm = draft.end
+            ? Utils.distanceKm(draft.start.lat, draft.start.lon, draft.end.lat, draft.end.lon)
+            : 0;
+        if (point) {
+            draft.end = point;
+            lengthKm = Utils.distanceKm(draft.start.lat, draft.start.lon, point.lat, point.lon);
+            GlobeRenderer.setDraftOutline(lengthKm > 0
+                ? [...Utils.greatCircle(draft.start, point, CONFIG.section.stepDegrees), point]
+                : null);
+            this.showSectionHint(`Length: ${Math.round(lengthKm).toLocaleString()} km`);
+        }
+
+        const released = event.type === 'pointerup' || event.type === 'pointerdown';
+        if (released && lengthKm >= CONFIG.section.minLengthKm) {
+            const { start, end } = draft;
+            this.cancelDrawing();
+            if (this.onSectionChange) this.onSectionChange({ start, end });
+        }
+    },
+
+    /**
+     * Polygon drawing: add the clicked point as the next corner. Clicks on
+     * (or right next to) the last corner are ignored, so double-clicking to
+     * finish doesn't add a duplicate.
+     */
+    addPolygonCorner(event) {
+        const point = this.pickSurface(event);
+        if (!point) return;
+
+        const { points } = this.draft;
+        const last = points[points.length - 1];
+        if (last && Utils.distanceKm(last.lat, last.lon, point.lat, point.lon) < CONFIG.regions.minVertexKm) {
+            return;
+        }
+
+        points.push(point);
+        GlobeRenderer.setDraftOutline(Regions.outline(this.draft, false));
+        this.showRegionHint(points.length < 3
+            ? `${points.length} of at least 3 corners`
+            : `${points.length} corners; double-click or press Enter to finish`);
+    },
+
+    /**
+     * Polygon drawing: show the next edge following the cursor
+     */
+    previewPolygon(event) {
+        const { points } = this.draft;
+        const point = this.pickSurface(event);
+        if (!points.length || !point) return;
+
+        GlobeRenderer.setDraftOutline(Regions.outline({ shape: 'polygon', points: [...points, point] }, false));
+    },
+
+    /**
+     * Show drawing instructions or the draft's size (null hides the hint)
+     */
+    showRegionHint(text, isError = false) {
+        const hint = this.elements.regionHint;
+        hint.textContent = text || '';
+        hint.classList.toggle('hidden', !text);
+        hint.classList.toggle('error', isError);
+    },
+
+    /**
+     * Show cross-section drawing instructions or the line's length (null
+     * hides the hint)
+     */
+    showSectionHint(text) {
+        const hint = this.elements.sectionHint;
+        hint.textContent = text || '';
+        hint.classList.toggle('hidden', !text);
+    },
+
+    /**
+     * Plot the cross-section's events by distance and depth, colored like
+     * their markers, or hide the plot when no line is drawn
+     */
+    renderSection(metricId) {
+        const { sectionPanel, sectionCanvas, sectionSummary, sectionClearBtn } = this.elements;
+        const { line, samples, widthKm } = CrossSection;
+        sectionPanel.classList.toggle('hidden', !line);
+        sectionClearBtn.classList.toggle('hidden', !line);
+        if (!line) return;
+
+        const metric = MetricRegistry.get(metricId);
+        const scale = DataService.getScale(metricId);
+        const ramp = ColorRamp.forMetric(metric);
+        const colorOf = feature => ColorRamp.css(ramp, scale.normalize(Clustering.value(feature, metric)) ?? 0);
+        const selected = GlobeRenderer.selectedMarker?.feature;
+
+        CrossSection.draw(sectionCanvas, sectionCanvas.clientWidth, CONFIG.section.plotHeight, colorOf,
+            selected ? Utils.featureId(selected) : null);
+
+        const count = samples.length;
+        sectionSummary.textContent = `${count.toLocaleString()} ${count === 1 ? 'event' : 'events'} ` +
+            `within ${(widthKm / 2).toLocaleString()} km of the ` +
+            `${Math.round(CrossSection.lengthKm()).toLocaleString()} km line`;
+    },
+
+    /**
+     * List saved regions with their filter toggle and how many events in
+     * the time window fall inside each
+     */
+    renderRegions(regions, counts) {
+        this.elements.regionList.innerHTML = regions.map(region => `
+            <li class="region-item${region.enabled ? '' : ' disabled'}" data-id="${Utils.escapeHtml(region.id)}">
+                <input type="checkbox" ${region.enabled ? 'checked' : ''}
+                    aria-label="Filter to ${Utils.escapeHtml(region.name)}">
+                <div class="region-info">
+                    <button type="button" class="region-name" title="Fly to region">${Utils.escapeHtml(region.name)}</button>
+                    <span class="region-meta">${Regions.describe(region)}</span>
+                </div>
+                <span class="region-count" title="Events inside in the time range">${(counts.get(region.id) ?? 0).toLocaleString()}</span>
+                <button type="button" class="live-toggle region-delete" title="Delete region"
+                    aria-label="Delete ${Utils.escapeHtml(region.name)}">✕</button>
+            </li>
+        `).join('');
+        this.elements.regionEmpty.classList.toggle('hidden', regions.length > 0);
+    },
+
+    /**
+     * Report the event the user picked (null when cleared or a cluster)
+     */
+    selectEvent(feature) {
+        if (this.onEventSelect) {
+            this.onEventSelect(feature);
+        }
+    },
+
+    /**
+     * Show tooltip
+     */
+    showTooltip(x, y, feature) {
+        const tooltip = this.elements.tooltip;
+        const metric = MetricRegistry.get(this.currentMetric);
+        const value = Clustering.value(feature, metric);
+        const label = feature.cluster ? `${metric.label} (${Clustering.aggregate})` : metric.label;
+
+        tooltip.innerHTML = `
+            <div class="tooltip-title">${Utils.escapeHtml(feature.properties.place || 'Unknown Location')}</div>
+            <div class="tooltip-value">${Utils.escapeHtml(label)}: ${MetricRegistry.format(metric, value)}</div>
+        `;
+
+        const offset = 15;
+        let left = x + offset;
+        let top = y + offset;
+
+        if (left + 200 > window.innerWidth) {
+            left = x - 200 - offset;
+        }
+        if (top + 80 > window.innerHeight) {
+            top = y - 80 - offset;
+        }
+
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${top}px`;
+        tooltip.classList.remove('hidden');
+    },
+
+    /**
+     * Hide tooltip
+     */
+    hideTooltip() {
+        this.elements.tooltip.classList.add('hidden');
+    },
+
+    /**
+     * Show details panel
+     */
+    showDetails(feature) {
+        const { properties, geometry } = feature;
+        const [lon, lat] = geometry.coordinates;
+        const time = properties.time != null ? new Date(properties.time).toLocaleString() : '-';
+
+        const metricRows = DataService.getAvailableMetrics().map(metric => {
+            const value = metric.accessor(feature);
+            const valueClass = value == null ? '' : metric.className(value);
+            return `
+            <div class="detail-item">
+                <span class="detail-label">${Utils.escapeHtml(metric.label)}:</span>
+                <span class="detail-value ${valueClass}">${MetricRegistry.format(metric, value)}</span>
+            </div>`;
+        }).join('');
+
+        this.elements.detailsContent.innerHTML = `
+            <div class="detail-item">
+                <span class="detail-label">Location:</span>
+                <span class="detail-value">${Utils.escapeHtml(properties.place || 'Unknown')}</span>
+            </div>${metricRows}
+            <div class="detail-item">
+                <span class="detail-label">Coordinates:</span>
+                <span class="detail-value">${lat?.toFixed(2)}°, ${lon?.toFixed(2)}°</span>
+            </div>
+            <div class="detail-item">
+                <span class="detail-label">Time:</span>
+                <span class="detail-value">${time}</span>
+            </div>${this.daylightRow(lat, lon, properties.time)}${this.plateBoundaryRow(lat, lon)}
+        `;
+    },
+
+    /**
+     * Details row saying whether the event happened in local day, twilight
+     * or night, with the sun's elevation and the apparent solar time there
+     */
+    daylightRow(lat, lon, time) {
+        if (time == null || lat == null || lon == null) return '';
+
+        const { elevation, solarTime, phase } = Sunlight.describe(lat, lon, time);
+        const labels = { day: 'Day', twilight: 'Twilight', night: 'Night' };
+        const minutes = Math.floor(solarTime * 60);
+        const clock = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        const side = elevation >= 0 ? 'above' : 'below';
+        return `
+            <div class="detail-item">
+                <span class="detail-label">Local sun:</span>
+                <span class="detail-value">${labels[phase]} (${Math.round(Math.abs(elevation))}° ${side} the horizon,
+                    ${clock} solar time)</span>
+            </div>`;
+    },
+
+    /**
+     * Details row with the approximate distance to the nearest plate
+     * boundary, rounded to CONFIG.plates.distanceStepKm (empty until the
+     * boundaries have loaded)
+     */
+    plateBoundaryRow(lat, lon) {
+        const nearest = PlateBoundaries.nearest(lat, lon);
+        if (!nearest) return '';
+
+        const { label } = CONFIG.plates.types[nearest.type];
+        const name = nearest.name ? `${nearest.name}, ` : '';
+        const step = CONFIG.plates.distanceStepKm;
+        const rounded = Math.round(nearest.distanceKm / step) * step;
+        const distance = nearest.distanceKm < step ? `< ${step} km` : `≈ ${rounded.toLocaleString()} km`;
+        return `
+            <div class="detail-item">
+                <span class="detail-label">Nearest boundary:</span>
+                <span class="detail-value" title="Approximate: measured to a simplified boundary trace">${distance}
+                    (${Utils.escapeHtml(name)}${label.toLowerCase()})</span>
+            </div>`;
+    },
+
+    /**
+     * Show a cluster's members in the details panel, largest first by the
+     * active metric, with a button to zoom in and split the cluster
+     */
+    showClusterDetails(feature) {
+        const metric = MetricRegistry.get(this.currentMetric);
+        const { count } = feature.cluster;
+        const members = [...feature.cluster.members]
+            .sort((a, b) => (metric.accessor(b) ?? -Infinity) - (metric.accessor(a) ?? -Infinity));
+        const shown = members.slice(0, CONFIG.clustering.maxListed);
+
+        this.elements.detailsContent.innerHTML = `
+            <div class="detail-item">
+                <span class="detail-label">Cluster:</span>
+                <span class="detail-value">${count} earthquakes</span>
+            </div>
+            <div class="detail-item">
+                <span class="detail-label">${Utils.escapeHtml(metric.label)} (${Clustering.aggregate}):</span>
+                <span class="detail-value">${MetricRegistry.format(metric, Clustering.value(feature, metric))}</span>
+            </div>
+            <button class="cluster-zoom-btn">Zoom in</button>
+            <ul class="cluster-members">
+                ${shown.map((member, i) => `
+                    <li>
+                        <button class="cluster-member" data-index="${i}">
+                            <span>${Utils.escapeHtml(member.properties.place || 'Unknown Location')}</span>
+                            <span class="cluster-member-value">${MetricRegistry.format(metric, metric.accessor(member))}</span>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${count > shown.length ? `<p class="placeholder">and ${count - shown.length} more</p>` : ''}
+        `;
+
+        this.elements.detailsContent.querySelector('.cluster-zoom-btn').addEventListener('click', () => {
+            GlobeRenderer.zoomToCluster(feature);
+            this.updatePlayPauseButton(false);
+        });
+
+        this.elements.detailsContent.querySelectorAll('.cluster-member').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const member = shown[parseInt(btn.dataset.index, 10)];
+                this.showDetails(member);
+                GlobeRenderer.selectMarker(member, true);
+                this.updatePlayPauseButton(false);
+                this.selectEvent(member);
+            });
+        });
+    },
+
+    /**
+     * Switch the active metric, updating the controls and notifying the app
+     */
+    setMetric(metric) {
+        if (metric === this.currentMetric || !MetricRegistry.has(metric)) return;
+
+        this.currentMetric = metric;
+        this.updateMetricButtons(metric);
+        this.updateLegend(metric);
+        this.updateStatLabels(metric);
+
+        if (this.onMetricChange) {
+            this.onMetricChange(metric);
+        }
+    },
+
+    /**
+     * Update metric buttons
+     */
+    updateMetricButtons(activeMetric) {
+        this.elements.metricButtons.querySelectorAll('.metric-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.metric === activeMetric);
+        });
+    },
+
+    /**
+     * Update legend: a gradient with ticks at the values the scale maps to
+     * each quarter of the ramp, or one swatch per class for classed scales
+     */
+    updateLegend(metricId) {
+        const metric = MetricRegistry.get(metricId);
+        const scale = DataService.getScale(metricId);
+        const ramp = ColorRamp.forMetric(metric);
+        const { scaleStrategy, legendGradient, legendClasses, legendLabels } = this.elements;
+
+        this.elements.paletteSelect.value = ColorRamp.selected || '';
+
+        scaleStrategy.innerHTML = MetricRegistry.getStrategies(metric, DataService.getFixedRange(metricId))
+            .map(id => `<option value="${id}">${MetricRegistry.scales[id].label}</option>`)
+            .join('');
+        scaleStrategy.value = DataService.getScaleStrategy(metricId);
+
+        const classed = scale.breaks !== null;
+        legendGradient.classList.toggle('hidden', classed);
+        legendLabels.classList.toggle('hidden', classed);
+        legendClasses.classList.toggle('hidden', !classed);
+
+        if (classed) {
+            const classes = scale.breaks.length - 1;
+            legendClasses.innerHTML = scale.breaks.slice(0, -1).map((low, i) => `
+                <div class="legend-class">
+                    <span class="legend-swatch" style="background: ${ColorRamp.css(ramp, i / (classes - 1))}"></span>
+                    <span>${MetricRegistry.format(metric, low)} – ${MetricRegistry.format(metric, scale.breaks[i + 1])}</span>
+                </div>
+            `).join('');
+        } else {
+            legendGradient.style.background = ColorRamp.cssGradient(ramp);
+            legendLabels.innerHTML = [0, 0.25, 0.5, 0.75, 1]
+                .map(t => `<span>${MetricRegistry.format(metric, scale.invert(t))}</span>`)
+                .join('');
+        }
+
+        this.elements.legendDescription.textContent = metric.description;
+    },
+
+    /**
+     * Reset the time slider to span the full window of a feed period
+     */
+    configureTimeSlider(period) {
+        const slider = this.elements.timeSlider;
+        slider.max = period.max;
+        slider.value = period.max;
+        this.elements.timeMin.textContent = this.formatTimeWindow(1, period.unit);
+        this.elements.timeValue.textContent = this.formatTimeWindow(period.max, period.unit);
+    },
+
+    /**
+     * Current time slider position in window units, or null at the full window
+     */
+    getTimeSteps() {
+        const slider = this.elements.timeSlider;
+        return slider.value === slider.max ? null : parseInt(slider.value, 10);
+    },
+
+    /**
+     * Move the time slider (null = full window), returning the range in days
+     */
+    setTimeSteps(steps) {
+        const { unit, max } = DataService.getTimeWindow();
+        const value = steps ? Math.min(Math.max(steps, 1), max) : max;
+        this.elements.timeSlider.value = value;
+        this.elements.timeValue.textContent = this.formatTimeWindow(value, unit);
+        return value * CONFIG.timeUnits[unit];
+    },
+
+    /**
+     * Format a time window such as "1 day" or "24 hours"
+     */
+    formatTimeWindow(steps, unit) {
+        return steps === 1 ? `1 ${unit}` : `${steps} ${unit}s`;
+    },
+
+    /**
+     * Reflect the playback state in the time-lapse controls
+     */
+    updatePlayback(playback) {
+        const { playbackPlay, playbackScrubber, playbackTime, playbackStart, playbackEnd, playbackExit } = this.elements;
+        const span = playback.end - playback.start;
+
+        playbackPlay.querySelector('.icon').textContent = playback.playing ? '⏸' : '▶';
+        playbackPlay.setAttribute('aria-pressed', String(playback.playing));
+        playbackExit.disabled = !playback.active;
+        playbackScrubber.value = span > 0
+            ? Math.round((playback.playhead - playback.start) / span * playbackScrubber.max)
+            : 0;
+        playbackTime.textContent = playback.active
+            ? new Date(playback.playhead).toISOString().replace('T', ' ').slice(0, 16) + ' UTC'
+            : 'Showing all events';
+
+        // Don't overwrite a date the user is editing
+        if (document.activeElement !== playbackStart) {
+            playbackStart.value = this.toDateTimeInput(playback.start);
+        }
+        if (document.activeElement !== playbackEnd) {
+            playbackEnd.value = this.toDateTimeInput(playback.end);
+        }
+    },
+
+    /**
+     * Format a timestamp for a UTC datetime-local input
+     */
+    toDateTimeInput(time) {
+        return time ? new Date(time).toISOString().slice(0, 16) : '';
+    },
+
+    /**
+     * Update stat labels based on metric
+     */
+    updateStatLabels(metricId) {
+        const { label } = MetricRegistry.get(metricId);
+        this.elements.statAvgLabel.textContent = `Avg ${label}:`;
+        this.elements.statMaxLabel.textContent = `Max ${label}:`;
+    },
+
+    /**
+     * Update statistics
+     */
+    updateStats(stats, metricId) {
+        const metric = MetricRegistry.get(metricId);
+        this.elements.statTotal.textContent = stats.total;
+        this.elements.statAvg.textContent = MetricRegistry.format(metric, stats.avg);
+        this.elements.statMax.textContent = MetricRegistry.format(metric, stats.max);
+    },
+
+    /**
+     * Summarize what validation dropped or fixed in the loaded data
+     * (hidden for dropped files, which report per row in the upload panel)
+     */
+    updateDataQuality(report) {
+        const { dataQuality } = this.elements;
+        dataQuality.classList.toggle('hidden', !report);
+        if (!report) return;
+
+        const issue = (kind, label) => ({ reason, count }) => `
+            <li class="quality-${kind}">${label}: ${Utils.escapeHtml(reason)} (${count.toLocaleString()})</li>`;
+        const issues = [
+            ...report.rejected.map(issue('rejected', 'Dropped')),
+            ...report.fixed.map(issue('fixed', 'Fixed'))
+        ].join('');
+
+        const summary = report.valid === report.total
+            ? `All ${report.total.toLocaleString()} events passed validation`
+            : `${report.valid.toLocaleString()} of ${report.total.toLocaleString()} events passed validation`;
+
+        dataQuality.innerHTML = `
+            <p>${summary}</p>
+            ${issues ? `<ul class="quality-issues">${issues}</ul>` : ''}
+        `;
+    },
+
+    /**
+     * Update play/pause button
+     */
+    updatePlayPauseButton(isRotating) {
+        const btn = this.elements.playPauseBtn;
+        if (isRotating) {
+            btn.querySelector('.icon').textContent = '⏸';
+            btn.querySelector('.label').textContent = 'Pause';
+        } else {
+            btn.querySelector('.icon').textContent = '▶';
+            btn.querySelector('.label').textContent = 'Play';
+        }
+    },
+
+    /**
+     * Show the options for the active data source
+     */
+    showSource(source) {
+        this.elements.sourceButtons.forEach(btn => {
+            const active = btn.dataset.source === source;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+        this.elements.feedOptions.classList.toggle('hidden', source !== 'feed');
+        this.elements.fdsnForm.classList.toggle('hidden', source !== 'fdsn');
+        this.elements.uploadOptions.classList.toggle('hidden', source !== 'upload');
+    },
+
+    /**
+     * Ask which columns hold the position, name and time of a parsed file,
+     * preselecting guessed ones. Resolves with the mapping, or null if the
+     * dialog is cancelled.
+     * @param {Object} parsed - DatasetImport.parse() result
+     * @param {Array<{name, numeric, role}>} columns - DatasetImport.describeColumns() result
+     * @returns {Promise<?{lat, lon, name, time, metrics: string[]}>}
+     */
+    promptMapping(parsed, columns) {
+        const { importDialog, importForm, importSummary, importPosition, importMetrics, importError } = this.elements;
+        const numeric = columns.filter(column => column.numeric);
+        const guess = (role) => columns.find(column => column.role === role)?.name || '';
+        const options = (list, blank) => [
+            blank ? `<option value="">${blank}</option>` : '',
+            ...list.map(({ name }) => `<option value="${Utils.escapeHtml(name)}">${Utils.escapeHtml(name)}</option>`)
+        ].join('');
+
+        const fill = (name, list, blank) => {
+            const select = importForm.elements[name];
+            select.innerHTML = options(list, blank);
+            select.value = guess(name);
+        };
+        fill('lat', numeric, 'Choose a column');
+        fill('lon', numeric, 'Choose a column');
+        fill('name', columns, 'None');
+        fill('time', columns, 'None');
+
+        // GeoJSON positions come from the Point geometry
+        const geojson = parsed.format === 'geojson';
+        importPosition.classList.toggle('hidden', geojson);
+        importForm.elements.lat.disabled = geojson;
+        importForm.elements.lon.disabled = geojson;
+
+        importMetrics.querySelectorAll('.import-metric').forEach(label => label.remove());
+        importMetrics.insertAdjacentHTML('beforeend', numeric.map(({ name, role }) => `
+            <label class="import-metric">
+                <input type="checkbox" name="metric" value="${Utils.escapeHtml(name)}"${role ? '' : ' checked'}>
+                ${Utils.escapeHtml(name)}
+            </label>
+        `).join(''));
+        importMetrics.classList.toggle('hidden', !numeric.length);
+
+        importSummary.textContent = `${parsed.name}: ${parsed.rows.length.toLocaleString()} rows, ` +
+            `${columns.length} columns`;
+        importError.classList.add('hidden');
+        this.mappingFormat = parsed.format;
+
+        return new Promise(resolve => {
+            importDialog.addEventListener('close', () => {
+                resolve(importDialog.returnValue === 'import' ? this.readMapping() : null);
+            }, { once: true });
+            importDialog.returnValue = '';
+            importDialog.showModal();
+        });
+    },
+
+    /**
+     * Read the column mapping form (position columns are not metrics)
+     */
+    readMapping() {
+        const form = new FormData(this.elements.importForm);
+        const mapping = {
+            lat: form.get('lat') || null,
+            lon: form.get('lon') || null,
+            name: form.get('name') || null,
+            time: form.get('time') || null
+        };
+        mapping.metrics = form.getAll('metric').filter(name => name !== mapping.lat && name !== mapping.lon);
+        return mapping;
     },
 
     /**
-     * Clear all markers
+     * Check the column mapping before the dialog closes (null when valid)
      */
-    clearMarkers() {
-        this.markers.forEach(marker => {
-            this.globeGroup.remove(marker);
-            marker.material.dispose();
-        });
-        this.markers = [];
-        this.hoveredMarker = null;
-        this.selectedMarker = null;
+    validateMapping() {
+        const { lat, lon } = this.readMapping();
+        if (this.mappingFormat === 'geojson') return null;
+
+        if (!lat || !lon) return 'Choose the latitude and longitude columns.';
+        if (lat === lon) return 'Latitude and longitude must be different columns.';
+        return null;
     },
 
     /**
-     * Update visualization based on metric
+     * Summarize a loaded dataset: file name and rejected rows by reason
+     * (with the first few line numbers of each)
      */
-    updateVisualization(metricId) {
-        this.currentMetric = metricId;
-        const metric = CONFIG.metrics[metricId];
-        const [min, max] = metric.domain;
+    updateUploadReport(dataset) {
+        const { uploadReport, uploadError } = this.elements;
+        uploadError.classList.add('hidden');
 
-        this.markers.forEach(marker => {
-            const feature = marker.userData.feature;
-            const value = metric.accessor(feature);
+        if (!dataset) {
+            uploadReport.innerHTML = '';
+            return;
+        }
 
-            // Normalize value
-            let t = (value - min) / (max - min);
-            t = Math.max(0, Math.min(1, t));
+        const { unit } = dataset.report;
+        const rejected = dataset.report.rejected.map(({ reason, count, lines }) => `
+            <li>${Utils.escapeHtml(reason)}: ${count.toLocaleString()} ${count === 1 ? 'row' : 'rows'}
+                (${unit} ${lines.join(', ')}${count > lines.length ? ', …' : ''})</li>
+        `).join('');
 
-            // Set color
-            const color = Utils.interpolateColor(t, CONFIG.colors);
-            marker.material.color.setRGB(color.r, color.g, color.b);
+        uploadReport.innerHTML = `
+            <p class="upload-file">${Utils.escapeHtml(dataset.name)}</p>
+            ${rejected ? `<ul class="upload-rejected">${rejected}</ul>` : '<p>Every row was placed</p>'}
+        `;
+    },
 
-            // Set size
-            const { min: sizeMin, max: sizeMax } = CONFIG.markerSize;
-            const size = (sizeMin + (sizeMax - sizeMin) * t) / 400;
-            marker.scale.set(size, size, size);
-        });
+    /**
+     * Report the outcome of an export below the download buttons
+     */
+    showExportStatus(message, isError = false) {
+        const { exportStatus } = this.elements;
+        exportStatus.textContent = message;
+        exportStatus.classList.toggle('error', isError);
+        exportStatus.classList.remove('hidden');
     },
 
     /**
-     * Check for hovered marker
+     * Report the outcome of a snapshot or recording
      */
-    checkHover(x, y) {
-        this.mouse.x = x;
-        this.mouse.y = y;
+    showCaptureStatus(message, isError = false) {
+        const { captureStatus } = this.elements;
+        captureStatus.textContent = message;
+        captureStatus.classList.toggle('error', isError);
+        captureStatus.classList.remove('hidden');
+    },
 
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+    /**
+     * Switch the record button between Record and Stop
+     */
+    setRecording(recording) {
+        const { recordBtn, recordMode } = this.elements;
+        recordBtn.setAttribute('aria-pressed', String(recording));
+        recordBtn.textContent = recording ? 'Stop Recording' : 'Record WebM';
+        recordMode.disabled = recording;
+    },
 
-        const intersects = this.raycaster.intersectObjects(this.markers);
+    /**
+     * Show why a dropped file couldn't be loaded
+     */
+    showUploadError(message) {
+        this.elements.uploadError.textContent = message;
+        this.elements.uploadError.classList.remove('hidden');
+    },
 
-        // Reset previous hover
-        if (this.hoveredMarker && this.hoveredMarker !== this.selectedMarker) {
-            this.hoveredMarker.material.opacity = 0.9;
-            const scale = this.hoveredMarker.scale.x;
-            this.hoveredMarker.scale.set(scale / 1.3, scale / 1.3, scale / 1.3);
+    /**
+     * Show how many events were loaded versus how many the source has
+     */
+    updateFetchCount({ fetched, available }, source) {
+        const el = this.elements.fetchCount;
+
+        if (!available) {
+            el.textContent = '';
+        } else if (source === 'upload') {
+            el.textContent = `Imported ${fetched.toLocaleString()} of ${available.toLocaleString()} rows`;
+        } else if (fetched < available) {
+            el.textContent = source === 'fdsn'
+                ? `Fetched ${fetched.toLocaleString()} of ${available.toLocaleString()} available events`
+                : `Showing the ${fetched.toLocaleString()} largest of ${available.toLocaleString()} events`;
+        } else {
+            el.textContent = `Fetched all ${available.toLocaleString()} events`;
         }
+    },
 
-        if (intersects.length > 0) {
-            const marker = intersects[0].object;
-
-            if (marker !== this.hoveredMarker) {
-                this.hoveredMarker = marker;
-
-                if (marker !== this.selectedMarker) {
-                    marker.material.opacity = 1;
-                    const scale = marker.scale.x;
-                    marker.scale.set(scale * 1.3, scale * 1.3, scale * 1.3);
-                }
-            }
+    /**
+     * Report paging progress while a query loads
+     */
+    updateLoadingProgress({ fetched, available }) {
+        this.elements.loadingMessage.textContent =
+            `Fetched ${fetched.toLocaleString()} of ${Math.min(available, DataService.fdsnQuery.maxEvents).toLocaleString()} events...`;
+    },
 
-            return marker.userData.feature;
+    /**
+     * Update the live updates indicator
+     */
+    updateLiveStatus({ lastUpdated, paused, error, diff }) {
+        const { liveIndicator, liveStatus, liveToggle } = this.elements;
+
+        let text = lastUpdated
+            ? `Updated ${new Date(lastUpdated).toLocaleTimeString()}`
+            : 'Showing sample data';
+
+        if (DataService.source !== 'feed') {
+            text = 'Live updates apply to summary feeds';
+        } else if (error) {
+            text = `Update failed (${error.message}) · ${text}`;
+        } else if (diff && !diff.replaced) {
+            const changes = [];
+            if (diff.added.length) changes.push(`${diff.added.length} new`);
+            if (diff.updated.length) changes.push(`${diff.updated.length} updated`);
+            if (diff.removed.length) changes.push(`${diff.removed.length} expired`);
+            if (changes.length) text += ` · ${changes.join(', ')}`;
         }
 
-        this.hoveredMarker = null;
-        return null;
+        liveStatus.textContent = text;
+        liveIndicator.classList.toggle('paused', paused);
+        liveIndicator.classList.toggle('error', !paused && !!error);
+        liveToggle.textContent = paused ? 'Resume' : 'Pause';
+        liveToggle.setAttribute('aria-pressed', String(paused));
     },
 
     /**
-     * Select a marker
+     * Say when the globe isn't showing fresh data: a cached copy (while it's
+     * revalidated, or because the fetch failed) or the built-in samples
      */
-    selectMarker(feature) {
-        // Reset previous selection
-        if (this.selectedMarker) {
-            this.selectedMarker.material.opacity = 0.9;
-        }
-
-        if (!feature) {
-            this.selectedMarker = null;
-            return;
+    updateDataBanner({ cachedAt, isSampleData, error, revalidating }) {
+        const { dataBanner } = this.elements;
+        clearInterval(this.retryTimer);
+
+        let text = '';
+        if (cachedAt) {
+            text = `Showing cached data from ${new Date(cachedAt).toLocaleString()}`;
+            if (revalidating) {
+                text += ' · checking for updates…';
+            } else if (error) {
+                text = `${error.message} · ${text}`;
+            }
+        } else if (isSampleData) {
+            text = `${error.message} · showing sample events, not real data`;
         }
 
-        // Find and select new marker
-        const marker = this.markers.find(m => m.userData.feature === feature);
-        if (marker) {
-            this.selectedMarker = marker;
-            marker.material.opacity = 1;
-        }
+        dataBanner.textContent = text;
+        dataBanner.classList.toggle('hidden', !text);
+        dataBanner.classList.toggle('error', !revalidating && !!error);
     },
 
     /**
-     * Deselect current marker
+     * Show loading
      */
-    deselectMarker() {
-        if (this.selectedMarker) {
-            this.selectedMarker.material.opacity = 0.9;
-            this.selectedMarker = null;
-        }
+    showLoading() {
+        this.elements.loadingMessage.textContent = 'Loading globe...';
+        this.elements.loadingOverlay.classList.remove('hidden');
+        this.elements.errorOverlay.classList.add('hidden');
     },
 
     /**
-     * Set rotation state
+     * Hide loading
      */
-    setRotating(rotating) {
-        this.isRotating = rotating;
+    hideLoading() {
+        clearInterval(this.retryTimer);
+        this.elements.loadingOverlay.classList.add('hidden');
     },
 
     /**
-     * Reset camera view
+     * Count down to the next try of a failed request, in the loading
+     * overlay or (when data is already showing) the data banner
      */
-    resetView() {
-        this.camera.position.set(0, 0, CONFIG.globe.cameraDistance);
-        this.camera.lookAt(0, 0, 0);
-        this.controls.reset();
-        this.isRotating = true;
+    showRetry({ error, attempt, attempts, delay }) {
+        const { loadingOverlay, loadingMessage, dataBanner } = this.elements;
+        const target = loadingOverlay.classList.contains('hidden') ? dataBanner : loadingMessage;
+        const until = Date.now() + delay;
+
+        const render = () => {
+            const seconds = Math.ceil((until - Date.now()) / 1000);
+            const next = `attempt ${attempt + 1} of ${attempts}`;
+            target.textContent = seconds > 0
+                ? `${error.message} · retrying in ${seconds} s (${next})`
+                : `${error.message} · retrying (${next})…`;
+            if (seconds <= 0) clearInterval(this.retryTimer);
+        };
+
+        clearInterval(this.retryTimer);
+        render();
+        this.retryTimer = setInterval(render, 250);
     },
 
     /**
-     * Handle resize
+     * Show error. Dismissable errors leave sample data usable behind them.
      */
-    handleResize(canvas) {
-        const width = canvas.clientWidth;
-        const height = canvas.clientHeight;
+    showError(message, { hint = '', dismissable = false } = {}) {
+        this.hideLoading();
+        this.elements.errorMessage.textContent = message;
+        this.elements.errorHint.textContent = hint;
+        this.elements.dismissErrorBtn.classList.toggle('hidden', !dismissable);
+        this.elements.errorOverlay.classList.remove('hidden');
+    },
 
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(width, height);
+    /**
+     * Explain a failed load by its category, with Retry and (since sample
+     * data has been loaded) a way to look at the samples instead
+     */
+    showFetchError(error) {
+        const category = FetchError.categories[error.category];
+        this.showError(error.message, {
+            hint: category ? category.hint : '',
+            dismissable: true
+        });
     },
 
     /**
-     * Animation loop
+     * Hide error
      */
-    animate() {
-        this.animationId = requestAnimationFrame(() => this.animate());
+    hideError() {
+        this.elements.errorOverlay.classList.add('hidden');
+    }
+};
 
-        const time = Date.now() * 0.001; // Convert to seconds
+// ==========================================================================
+// URL STATE
+// ==========================================================================
 
-        if (this.isRotating && this.globeGroup) {
-            this.globeGroup.rotation.y += CONFIG.globe.rotationSpeed;
+/**
+ * View state <-> URL hash, so a link reopens the globe on the same metric,
+ * data source, time range, event and camera angle. Only values that differ
+ * from the defaults are written, e.g.
+ * #metric=depth&scale=quantile&palette=viridis&feed=4.5_week&range=3&event=us7000abcd&cam=0.91,0.52,2.31&rot=1.2&spin=0
+ */
+const UrlState = {
+    /**
+     * Parse a hash into a full view state (defaults fill missing keys;
+     * camera and rotation are null when absent)
+     */
+    read(hash = window.location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const numbers = (key) => (params.get(key) || '').split(',').map(Number);
+
+        const metric = params.get('metric');
+        const [level, period] = (params.get('feed') || '').split('_');
+        const range = parseInt(params.get('range'), 10);
+        const camera = numbers('cam');
+        const rotation = Number(params.get('rot'));
+
+        let query = null;
+        if (params.has('query')) {
+            query = Object.fromEntries(new URLSearchParams(params.get('query')));
+            ['pageSize', 'maxEvents'].forEach(key => {
+                query[key] = parseInt(query[key], 10) || CONFIG.fdsn.defaults[key];
+            });
         }
 
-        // Pulse animation for major earthquakes (magnitude 6+)
-        this.markers.forEach(marker => {
-            const mag = marker.userData.feature?.properties?.mag;
-            if (mag && mag >= 6) {
-                // Create subtle pulse effect
-                const baseScale = marker.userData.baseScale || marker.scale.x;
-                if (!marker.userData.baseScale) {
-                    marker.userData.baseScale = baseScale;
-                }
+        return {
+            metric: MetricRegistry.has(metric) ? metric : 'magnitude',
+            scale: Object.hasOwn(MetricRegistry.scales, params.get('scale')) ? params.get('scale') : null,
+            palette: Object.hasOwn(ColorRamp.palettes, params.get('palette')) ? params.get('palette') : null,
+            source: ['fdsn', 'upload'].includes(params.get('source')) ? params.get('source') : 'feed',
+            feed: {
+                level: CONFIG.feeds.levels[level] ? level : CONFIG.feeds.defaultLevel,
+                period: CONFIG.feeds.periods[period] ? period : CONFIG.feeds.defaultPeriod
+            },
+            query: { ...CONFIG.fdsn.defaults, ...query },
+            range: range > 0 ? range : null,
+            event: params.get('event'),
+            camera: camera.length === 3 && camera.every(Number.isFinite)
+                ? { x: camera[0], y: camera[1], z: camera[2] }
+                : null,
+            rotation: params.has('rot') && Number.isFinite(rotation) ? rotation : null,
+            spin: params.get('spin') !== '0'
+        };
+    },
 
-                // Skip if currently hovered or selected (they have modified scales)
-                if (marker !== this.hoveredMarker && marker !== this.selectedMarker) {
-                    const pulse = 1 + Math.sin(time * 3 + marker.userData.index) * 0.15;
-                    marker.scale.setScalar(baseScale * pulse);
-                }
-            }
-        });
+    /**
+     * Serialize a view state into a hash ('' when everything is default)
+     */
+    serialize(state) {
+        const params = new URLSearchParams();
+        const round = (value) => Number(value.toFixed(3));
+
+        if (state.metric !== 'magnitude') params.set('metric', state.metric);
+        if (state.scale) params.set('scale', state.scale);
+        if (state.palette) params.set('palette', state.palette);
+        if (state.source === 'fdsn') {
+            params.set('source', 'fdsn');
+            params.set('query', new URLSearchParams(state.query).toString());
+        } else if (state.source === 'upload') {
+            params.set('source', 'upload');
+        } else if (state.feed.level !== CONFIG.feeds.defaultLevel ||
+            state.feed.period !== CONFIG.feeds.defaultPeriod) {
+            params.set('feed', `${state.feed.level}_${state.feed.period}`);
+        }
+        if (state.range) params.set('range', state.range);
+        if (state.event) params.set('event', state.event);
+        if (state.camera) {
+            params.set('cam', [state.camera.x, state.camera.y, state.camera.z].map(round).join(','));
+        }
+        if (state.rotation != null) {
+            params.set('rot', round(state.rotation % (2 * Math.PI)));
+        }
+        if (!state.spin) params.set('spin', '0');
 
-        this.controls.update();
-        this.renderer.render(this.scene, this.camera);
+        // Commas are safe in a fragment; keep coordinates readable
+        const hash = params.toString().replace(/%2C/g, ',');
+        return hash ? `#${hash}` : '';
     },
 
     /**
-     * Cleanup
+     * Write a view state to the URL; `push` adds a history entry,
+     * otherwise the current entry is replaced
      */
-    dispose() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-        }
-        if (this.renderer) {
-            this.renderer.dispose();
+    write(state, push = false) {
+        const hash = this.serialize(state);
+        if (hash === window.location.hash) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        if (push) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
         }
     }
 };
 
 // ==========================================================================
-// UI CONTROLLER
+// MAIN APPLICATION
 // ==========================================================================
 
-const UIController = {
-    elements: {},
+const App = {
     currentMetric: 'magnitude',
-    onMetricChange: null,
-    onTimeFilterChange: null,
-    onRetry: null,
+    refreshTimer: null,
+    isLivePaused: false,
+    selectedEventId: null,
+    restoring: false,
 
     /**
-     * Initialize UI
+     * Initialize application
      */
-    init() {
-        this.elements = {
-            loadingOverlay: document.getElementById('loading-overlay'),
-            errorOverlay: document.getElementById('error-overlay'),
-            errorMessage: document.getElementById('error-message'),
-            retryBtn: document.getElementById('retry-btn'),
-            playPauseBtn: document.getElementById('play-pause-btn'),
-            resetViewBtn: document.getElementById('reset-view-btn'),
-            metricButtons: document.querySelectorAll('.metric-btn'),
-            legendMin: document.getElementById('legend-min'),
-            legendMax: document.getElementById('legend-max'),
-            legendDescription: document.getElementById('legend-description'),
-            detailsContent: document.getElementById('details-content'),
-            statTotal: document.getElementById('stat-total'),
-            statAvg: document.getElementById('stat-avg'),
-            statMax: document.getElementById('stat-max'),
-            statAvgLabel: document.getElementById('stat-avg-label'),
-            statMaxLabel: document.getElementById('stat-max-label'),
-            timeSlider: document.getElementById('time-slider'),
-            timeValue: document.getElementById('time-value'),
-            tooltip: document.getElementById('tooltip'),
-            globeContainer: document.getElementById('globe-container')
-        };
+    async init() {
+        try {
+            UIController.init();
+            UIController.showLoading();
 
-        this.bindEvents();
-        this.updateLegend('magnitude');
-    },
+            const canvas = document.getElementById('globe-canvas');
+            GlobeRenderer.init(canvas);
 
-    /**
-     * Bind event listeners
-     */
-    bindEvents() {
-        // Play/Pause
-        this.elements.playPauseBtn.addEventListener('click', () => {
-            const isRotating = !GlobeRenderer.isRotating;
-            GlobeRenderer.setRotating(isRotating);
-            this.updatePlayPauseButton(isRotating);
-        });
+            // Callbacks
+            UIController.onMetricChange = (metricId) => {
+                this.currentMetric = metricId;
+                GlobeRenderer.updateVisualization(metricId);
+                const stats = DataService.computeStats(metricId);
+                UIController.updateStats(stats, metricId);
+                UIController.renderSection(metricId);
+                this.saveViewState(true);
+            };
 
-        // Reset view
-        this.elements.resetViewBtn.addEventListener('click', () => {
-            GlobeRenderer.resetView();
-            this.updatePlayPauseButton(true);
-        });
+            UIController.onScaleChange = (strategy) => this.setScaleStrategy(strategy);
+            UIController.onPaletteChange = (palette) => this.setPalette(palette);
 
-        // Metric buttons
-        this.elements.metricButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const metric = btn.dataset.metric;
-                if (metric === this.currentMetric) return;
+            UIController.onTimeFilterChange = (days) => {
+                DataService.filterByTime(days);
+                this.syncVisibleData();
+                this.saveViewState();
+            };
 
-                this.currentMetric = metric;
-                this.updateMetricButtons(metric);
-                this.updateLegend(metric);
-                this.updateStatLabels(metric);
+            UIController.onFeedChange = (levelId, periodId) => {
+                DataService.setFeed(levelId, periodId);
+                this.reloadSource();
+            };
+
+            UIController.onSourceChange = (source) => {
+                // "Your File" only shows the file picker until a file is loaded
+                if (source === DataService.source || (source === 'upload' && !DataService.upload)) return;
+                DataService.setSource(source);
+                this.reloadSource();
+            };
+
+            UIController.onFileDrop = (file) => this.importFile(file);
 
-                if (this.onMetricChange) {
-                    this.onMetricChange(metric);
+            UIController.onExport = (format, scope) => this.exportData(format, scope);
+            UIController.onSnapshot = (sizeId) => this.captureSnapshot(sizeId);
+            UIController.onRecordToggle = (mode) => this.toggleRecording(mode);
+
+            UIController.onQuerySubmit = (query) => {
+                DataService.setQuery(query);
+                this.reloadSource();
+            };
+
+            UIController.onLiveToggle = () => {
+                this.isLivePaused = !this.isLivePaused;
+                if (this.isLivePaused) {
+                    this.stopLiveUpdates();
+                } else {
+                    this.refreshData();
                 }
-            });
-        });
+                this.updateLiveStatus();
+            };
 
-        // Time slider
-        this.elements.timeSlider.addEventListener('input', (e) => {
-            const days = parseInt(e.target.value, 10);
-            this.elements.timeValue.textContent = days === 1 ? '1 day' : `${days} days`;
+            UIController.onRetry = () => this.loadData();
 
-            if (this.onTimeFilterChange) {
-                this.onTimeFilterChange(days);
-            }
-        });
+            UIController.onEventSelect = (feature) => {
+                this.selectedEventId = feature ? Utils.featureId(feature) : null;
+                this.saveViewState(true);
+                UIController.renderSection(this.currentMetric);
+            };
 
-        // Retry
-        this.elements.retryBtn.addEventListener('click', () => {
-            if (this.onRetry) {
-                this.onRetry();
-            }
-        });
+            UIController.onSearchSelect = (feature) => this.focusEvent(feature);
 
-        // Mouse events
-        const container = this.elements.globeContainer;
+            UIController.onRegionSave = (region) => Regions.add(region);
+            UIController.onRegionToggle = (id, enabled) => Regions.setEnabled(id, enabled);
+            UIController.onRegionDelete = (id) => Regions.remove(id);
+            UIController.onRegionFocus = (id) => this.focusRegion(id);
 
-        container.addEventListener('mousemove', (e) => this.handlePointerMove(e));
-        container.addEventListener('click', (e) => this.handleClick(e));
-        container.addEventListener('mouseleave', () => this.hideTooltip());
+            UIController.onSubsurfaceChange = () => {
+                GlobeRenderer.setSubsurface();
+                this.updateSection();
+            };
+            UIController.onSectionChange = (line) => {
+                CrossSection.setLine(line);
+                this.updateSection();
+            };
+            UIController.onSectionSelect = (feature) => this.focusEvent(feature);
 
-        // Touch support
-        let touchTimeout;
-        container.addEventListener('touchstart', (e) => {
-            if (e.touches.length === 1) {
-                touchTimeout = setTimeout(() => {
-                    this.handleClick(e.touches[0]);
-                }, 200);
-            }
-        });
+            Regions.onChange = () => this.applyRegions();
+            Regions.load();
+            this.applyRegions();
 
-        container.addEventListener('touchmove', () => {
-            clearTimeout(touchTimeout);
-        });
+            this.loadBasemap();
+            this.loadPlateBoundaries();
 
-        container.addEventListener('touchend', () => {
-            clearTimeout(touchTimeout);
-        });
+            // Camera moves fire every frame; record the view once it settles
+            GlobeRenderer.onViewChange = Utils.debounce(() => this.saveViewState(), 500);
 
-        // Keyboard accessibility
-        document.addEventListener('keydown', (e) => {
-            // Escape to deselect current marker and reset details
-            if (e.key === 'Escape') {
-                GlobeRenderer.deselectMarker();
-                this.resetDetails();
+            window.addEventListener('popstate', () => {
+                this.restoreViewState(UrlState.read());
+            });
+
+            Playback.onChange = (playback) => {
+                GlobeRenderer.setPlayback(playback.getWindow());
+                UIController.updatePlayback(playback);
+            };
+
+            await this.restoreViewState(UrlState.read(), true);
+
+            // App shell and Three.js for offline loads (not available on file://)
+            if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+                navigator.serviceWorker.register('sw.js').catch(error => {
+                    console.warn('Service worker not registered:', error.message);
+                });
             }
 
-            // Space to toggle rotation (when not focused on interactive elements)
-            if (e.key === ' ' && !this.isInteractiveElement(e.target)) {
-                e.preventDefault();
-                const isRotating = !GlobeRenderer.isRotating;
-                GlobeRenderer.setRotating(isRotating);
-                this.updatePlayPauseButton(isRotating);
+        } catch (error) {
+            console.error('Failed to initialize app:', error);
+            UIController.showError('Failed to initialize application');
+        }
+    },
+
+    /**
+     * Load data for the active source. A cached copy is drawn at once and
+     * revalidated in the background; otherwise this waits for the network.
+     */
+    async loadData() {
+        UIController.showLoading();
+        UIController.hideError();
+        this.stopLiveUpdates();
+
+        try {
+            if (await DataService.loadCached()) {
+                this.showData();
+                this.revalidate();
+                return;
             }
 
-            // R to reset view (when not focused on interactive elements)
-            if (e.key === 'r' && !this.isInteractiveElement(e.target)) {
-                GlobeRenderer.resetView();
-                this.updatePlayPauseButton(true);
+            const data = await DataService.fetchData(
+                (progress) => UIController.updateLoadingProgress(progress),
+                (retry) => UIController.showRetry(retry)
+            );
+
+            if (data) {
+                this.showData();
+                if (DataService.isSampleData) {
+                    UIController.showFetchError(DataService.error);
+                }
             }
-        });
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            UIController.showError('Failed to load earthquake data');
+        }
     },
 
     /**
-     * Check if element is interactive (input, button, etc.)
+     * Rebuild the globe and panels from newly loaded data
      */
-    isInteractiveElement(element) {
-        const interactiveTags = ['INPUT', 'BUTTON', 'SELECT', 'TEXTAREA'];
-        return interactiveTags.includes(element.tagName) || element.isContentEditable;
+    showData() {
+        const { features } = DataService.getData();
+        Playback.setExtent(features);
+        GlobeRenderer.addDataPoints(features);
+        UIController.updateLegend(this.currentMetric);
+        const stats = DataService.computeStats(this.currentMetric);
+        UIController.updateStats(stats, this.currentMetric);
+        this.updateRegionList();
+        this.updateSection();
+
+        UIController.hideLoading();
+        UIController.updateFetchCount(DataService.counts, DataService.source);
+        UIController.updateDataQuality(DataService.quality);
+        this.updateLiveStatus(DataService.error);
+        this.updateDataBanner();
+        this.startLiveUpdates();
     },
 
     /**
-     * Reset details panel to placeholder
+     * Fetch the source behind its cached copy and merge the result in
+     * place (the cached copy stays up if the fetch fails)
      */
-    resetDetails() {
-        this.elements.detailsContent.innerHTML = '<p class="placeholder">Hover or click on a data point to see details</p>';
+    async revalidate() {
+        this.updateDataBanner(true);
+
+        const data = await DataService.fetchData(null, (retry) => UIController.showRetry(retry));
+        if (!data) return;
+
+        this.syncVisibleData();
+        UIController.updateFetchCount(DataService.counts, DataService.source);
+        UIController.updateDataQuality(DataService.quality);
+        this.updateLiveStatus(DataService.error);
+        this.updateDataBanner();
     },
 
     /**
-     * Handle pointer move
+     * Reload after the data source, feed or query changes
      */
-    handlePointerMove(event) {
-        const rect = this.elements.globeContainer.getBoundingClientRect();
-        const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-
-        const feature = GlobeRenderer.checkHover(x, y);
+    reloadSource() {
+        this.syncMetrics();
+        UIController.configureTimeSlider(DataService.getTimeWindow());
+        UIController.updateLegend(this.currentMetric);
+        UIController.resetDetails();
+        Playback.reset();
+        this.selectedEventId = null;
+        this.saveViewState(true);
+        this.loadData();
+    },
 
-        if (feature) {
-            this.showTooltip(event.clientX, event.clientY, feature);
-            this.elements.globeContainer.style.cursor = 'pointer';
-        } else {
-            this.hideTooltip();
-            this.elements.globeContainer.style.cursor = 'grab';
+    /**
+     * Offer only the metrics the active source has values for, switching
+     * away from the current one if it isn't among them
+     */
+    syncMetrics() {
+        const metrics = DataService.getAvailableMetrics();
+        UIController.populateMetricButtons(metrics);
+        if (!metrics.some(metric => metric.id === this.currentMetric)) {
+            UIController.setMetric(metrics[0].id);
         }
     },
 
     /**
-     * Handle click
+     * Parse a dropped file, confirm its column mapping and load it
      */
-    handleClick(event) {
-        const rect = this.elements.globeContainer.getBoundingClientRect();
-        const clientX = event.clientX || event.pageX;
-        const clientY = event.clientY || event.pageY;
-        const x = ((clientX - rect.left) / rect.width) * 2 - 1;
-        const y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    async importFile(file) {
+        UIController.showSource('upload');
 
-        const feature = GlobeRenderer.checkHover(x, y);
+        try {
+            if (file.size > CONFIG.upload.maxBytes) {
+                throw new Error(`File is larger than ${CONFIG.upload.maxBytes / 1e6} MB`);
+            }
 
-        if (feature) {
-            this.showDetails(feature);
-            GlobeRenderer.selectMarker(feature);
+            const parsed = DatasetImport.parse(file.name, await file.text());
+            const mapping = await UIController.promptMapping(parsed, DatasetImport.describeColumns(parsed));
+            if (!mapping) {
+                UIController.showSource(DataService.source);
+                return;
+            }
+
+            const { features, report } = DatasetImport.build(parsed, mapping);
+            if (!features.length) {
+                const reason = report.rejected[0]?.reason;
+                throw new Error(`No rows could be placed on the globe${reason ? ` (${reason})` : ''}`);
+            }
+
+            this.loadDataset({ name: file.name, features, metrics: mapping.metrics, report });
+        } catch (error) {
+            console.warn('Failed to import file:', error.message);
+            UIController.showUploadError(error.message);
         }
     },
 
     /**
-     * Show tooltip
+     * Replace any previous dataset, registering its chosen numeric columns
+     * as metrics, and make it the active source
      */
-    showTooltip(x, y, feature) {
-        const tooltip = this.elements.tooltip;
-        const metric = CONFIG.metrics[this.currentMetric];
-        const value = metric.accessor(feature);
-
-        tooltip.innerHTML = `
-            <div class="tooltip-title">${feature.properties.place || 'Unknown Location'}</div>
-            <div class="tooltip-value">${metric.label}: ${metric.format(value)}${metric.unit}</div>
-        `;
+    loadDataset(dataset) {
+        DataService.upload?.metrics.forEach(column => {
+            MetricRegistry.unregister(`data:${column}`);
+            delete DataService.scaleStrategies[`data:${column}`];
+        });
 
-        const offset = 15;
-        let left = x + offset;
-        let top = y + offset;
+        dataset.metrics.forEach(column => MetricRegistry.register({
+            id: `data:${column}`,
+            label: column,
+            accessor: (d) => d.properties[column],
+            formatter: (v) => v.toLocaleString(undefined, { maximumFractionDigits: 2 }),
+            description: `${column} from ${dataset.name}`,
+            icon: '📈',
+            dataset: true
+        }));
+
+        DataService.setUpload(dataset);
+        UIController.showSource('upload');
+        UIController.updateUploadReport(DataService.upload);
+        this.reloadSource();
+    },
 
-        if (left + 200 > window.innerWidth) {
-            left = x - 200 - offset;
+    /**
+     * Download the visible events, or just the selected event or cluster,
+     * colored and valued by the active metric
+     */
+    exportData(formatId, scope) {
+        const selected = GlobeRenderer.selectedMarker?.feature;
+        let features = DataService.getData()?.features || [];
+        if (scope === 'selection') {
+            features = selected?.cluster ? selected.cluster.members : [selected].filter(Boolean);
         }
-        if (top + 80 > window.innerHeight) {
-            top = y - 80 - offset;
+
+        if (!features.length) {
+            UIController.showExportStatus(scope === 'selection'
+                ? 'Select an event or cluster to export it'
+                : 'No events in the current time range', true);
+            return;
         }
 
-        tooltip.style.left = `${left}px`;
-        tooltip.style.top = `${top}px`;
-        tooltip.classList.remove('hidden');
+        const metric = MetricRegistry.get(this.currentMetric);
+        try {
+            const fileName = Exporter.download(formatId, features, {
+                metric,
+                scale: DataService.getScale(metric.id),
+                ramp: ColorRamp.forMetric(metric),
+                title: `PlanetPulse – ${features.length.toLocaleString()} events by ${metric.label}`
+            });
+            UIController.showExportStatus(`Saved ${features.length.toLocaleString()} events to ${fileName}`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            UIController.showExportStatus(`Export failed: ${error.message}`, true);
+        }
     },
 
     /**
-     * Hide tooltip
+     * Download a PNG of the globe at a preset size (or the window's size)
+     * with the legend, title, timestamps and attribution drawn on
      */
-    hideTooltip() {
-        this.elements.tooltip.classList.add('hidden');
+    async captureSnapshot(sizeId) {
+        const size = CONFIG.capture.sizes[sizeId];
+        const buffer = GlobeRenderer.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const width = size.width || buffer.x;
+        const height = size.height || buffer.y;
+
+        try {
+            const blob = await Capture.snapshot(width, height, this.getCaptureInfo());
+            const fileName = Utils.downloadBlob(blob, 'png');
+            UIController.showCaptureStatus(`Saved ${width} × ${height} image to ${fileName}`);
+        } catch (error) {
+            console.error('Snapshot failed:', error);
+            UIController.showCaptureStatus(`Snapshot failed: ${error.message}`, true);
+        }
     },
 
     /**
-     * Show details panel
+     * Start a rotation or time-lapse recording, or stop the current one;
+     * the WebM downloads once the recorder has flushed
      */
-    showDetails(feature) {
-        const { properties, geometry } = feature;
-        const [lon, lat, depth] = geometry.coordinates;
-        const mag = properties.mag;
-        const time = new Date(properties.time).toLocaleString();
+    async toggleRecording(mode) {
+        if (Capture.recording) {
+            Capture.stopRecording();
+            return;
+        }
 
-        let magClass = 'magnitude-low';
-        if (mag >= 6) magClass = 'magnitude-high';
-        else if (mag >= 4.5) magClass = 'magnitude-mid';
+        let stopped;
+        try {
+            stopped = Capture.startRecording(mode, () => this.getCaptureInfo());
+        } catch (error) {
+            UIController.showCaptureStatus(`Recording failed: ${error.message}`, true);
+            return;
+        }
 
-        this.elements.detailsContent.innerHTML = `
-            <div class="detail-item">
-                <span class="detail-label">Location:</span>
-                <span class="detail-value">${properties.place || 'Unknown'}</span>
-            </div>
-            <div class="detail-item">
-                <span class="detail-label">Magnitude:</span>
-                <span class="detail-value ${magClass}">${mag?.toFixed(1) || '-'}</span>
-            </div>
-            <div class="detail-item">
-                <span class="detail-label">Depth:</span>
-                <span class="detail-value">${depth?.toFixed(1) || '-'} km</span>
-            </div>
-            <div class="detail-item">
-                <span class="detail-label">Coordinates:</span>
-                <span class="detail-value">${lat?.toFixed(2)}°, ${lon?.toFixed(2)}°</span>
-            </div>
-            <div class="detail-item">
-                <span class="detail-label">Time:</span>
-                <span class="detail-value">${time}</span>
-            </div>
-        `;
+        UIController.setRecording(true);
+        UIController.showCaptureStatus(mode === 'rotation'
+            ? `Recording one rotation (${CONFIG.capture.turnSeconds} s)…`
+            : 'Recording the time-lapse…');
+
+        const blob = await stopped;
+        UIController.setRecording(false);
+        const fileName = Utils.downloadBlob(blob, 'webm');
+        UIController.showCaptureStatus(`Saved video to ${fileName}`);
     },
 
     /**
-     * Update metric buttons
+     * Overlay text for snapshots and recordings (see Capture.drawOverlay)
      */
-    updateMetricButtons(activeMetric) {
-        this.elements.metricButtons.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.metric === activeMetric);
-        });
+    getCaptureInfo() {
+        const metric = MetricRegistry.get(this.currentMetric);
+        const count = DataService.getData()?.features.length ?? 0;
+        const utc = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+        let source;
+        if (DataService.isSampleData) {
+            source = 'Sample data';
+        } else if (DataService.source === 'upload') {
+            source = DataService.upload.name;
+        } else if (DataService.source === 'fdsn') {
+            const { starttime, endtime } = DataService.fdsnQuery;
+            source = `USGS FDSN query, ${starttime || 'start'} to ${endtime || 'now'}`;
+        } else {
+            const level = CONFIG.feeds.levels[DataService.feedLevel];
+            const period = CONFIG.feeds.periods[DataService.feedPeriod];
+            source = `USGS ${level.label} earthquakes, ${period.label}`;
+        }
+
+        const lines = [`Captured ${utc(Date.now())}`];
+        if (DataService.lastUpdated) {
+            lines.push(`Data updated ${utc(DataService.lastUpdated)}`);
+        }
+        if (Playback.active) {
+            lines.push(`Time-lapse at ${utc(Playback.playhead)}`);
+        }
+
+        return {
+            title: `PlanetPulse – ${metric.label}`,
+            subtitle: `${source} · ${count.toLocaleString()} events`,
+            lines,
+            metric,
+            scale: DataService.getScale(metric.id),
+            ramp: ColorRamp.forMetric(metric),
+            attribution: DataService.source === 'upload'
+                ? `Data: ${DataService.upload.name}`
+                : 'Data: USGS Earthquake Hazards Program'
+        };
     },
 
     /**
-     * Update legend
+     * Schedule the next live refresh (unless paused or not on a summary feed)
      */
-    updateLegend(metricId) {
-        const metric = CONFIG.metrics[metricId];
-        const [min, max] = metric.domain;
+    startLiveUpdates() {
+        this.stopLiveUpdates();
+        if (this.isLivePaused || DataService.source !== 'feed') return;
 
-        this.elements.legendMin.textContent = `${min}${metric.unit}`;
-        this.elements.legendMax.textContent = `${max}${metric.unit}`;
-        this.elements.legendDescription.textContent = metric.description;
+        this.refreshTimer = setTimeout(() => this.refreshData(), CONFIG.refresh.interval);
     },
 
     /**
-     * Update stat labels based on metric
+     * Cancel any scheduled live refresh
      */
-    updateStatLabels(metricId) {
-        const metric = CONFIG.metrics[metricId];
-        this.elements.statAvgLabel.textContent = metric.statLabels.avg;
-        this.elements.statMaxLabel.textContent = metric.statLabels.max;
+    stopLiveUpdates() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
     },
 
     /**
-     * Update statistics
+     * Re-fetch the feed and merge changes into the globe in place
      */
-    updateStats(stats, metricId) {
-        const metric = CONFIG.metrics[metricId];
-        this.elements.statTotal.textContent = stats.total;
-        this.elements.statAvg.textContent = `${metric.format(stats.avg)}${metric.unit}`;
-        this.elements.statMax.textContent = `${metric.format(stats.max)}${metric.unit}`;
+    async refreshData() {
+        this.stopLiveUpdates();
+        if (DataService.source !== 'feed') return;
+
+        try {
+            const diff = await DataService.refreshData();
+
+            if (diff) {
+                const newIds = diff.replaced
+                    ? new Set()
+                    : new Set(diff.added.map(f => Utils.featureId(f)));
+                this.syncVisibleData(newIds);
+                UIController.updateFetchCount(DataService.counts, DataService.source);
+                UIController.updateDataQuality(DataService.quality);
+                this.updateLiveStatus(null, diff);
+                this.updateDataBanner();
+            }
+        } catch (error) {
+            console.warn('Live update failed, keeping current data:', error.message);
+            this.updateLiveStatus(error);
+        }
+
+        this.startLiveUpdates();
     },
 
     /**
-     * Update play/pause button
+     * Push the filtered data to the globe without rebuilding markers,
+     * keeping the details panel in step with the current selection
      */
-    updatePlayPauseButton(isRotating) {
-        const btn = this.elements.playPauseBtn;
-        if (isRotating) {
-            btn.querySelector('.icon').textContent = '⏸';
-            btn.querySelector('.label').textContent = 'Pause';
+    syncVisibleData(newIds) {
+        const selected = GlobeRenderer.selectedMarker;
+        const features = DataService.getData().features;
+        Playback.setExtent(features);
+        GlobeRenderer.syncDataPoints(features, newIds);
+
+        if (selected && GlobeRenderer.selectedMarker !== selected) {
+            UIController.resetDetails();
+        } else if (selected && selected.feature.cluster) {
+            UIController.showClusterDetails(selected.feature);
+        } else if (selected) {
+            UIController.showDetails(selected.feature);
+        }
+
+        UIController.updateLegend(this.currentMetric);
+        const stats = DataService.computeStats(this.currentMetric);
+        UIController.updateStats(stats, this.currentMetric);
+        this.updateRegionList();
+        this.updateSection();
+    },
+
+    /**
+     * Redraw region outlines and re-filter after regions are added,
+     * removed or toggled
+     */
+    applyRegions() {
+        const { colors } = CONFIG.regions;
+        GlobeRenderer.setRegionOutlines(Regions.regions.map(region => ({
+            points: Regions.outline(region),
+            color: region.enabled ? colors.active : colors.inactive
+        })));
+
+        if (DataService.getData()) {
+            DataService.filterByTime(DataService.timeRangeDays);
+            this.syncVisibleData();
         } else {
-            btn.querySelector('.icon').textContent = '▶';
-            btn.querySelector('.label').textContent = 'Play';
+            this.updateRegionList();
         }
     },
 
     /**
-     * Show loading
+     * Load the coastlines and borders in the background and repaint the
+     * globe texture with them
      */
-    showLoading() {
-        this.elements.loadingOverlay.classList.remove('hidden');
-        this.elements.errorOverlay.classList.add('hidden');
+    async loadBasemap() {
+        UIController.updateBasemapStatus('loading');
+        if (await Basemap.load()) {
+            GlobeRenderer.redrawBasemap();
+        }
+        UIController.updateBasemapStatus(Basemap.status);
     },
 
     /**
-     * Hide loading
+     * Load the plate boundary overlay in the background, then refresh an
+     * open event's details with its nearest boundary
      */
-    hideLoading() {
-        this.elements.loadingOverlay.classList.add('hidden');
+    async loadPlateBoundaries() {
+        UIController.updatePlateStatus('loading');
+        const lines = await PlateBoundaries.load();
+        UIController.updatePlateStatus(PlateBoundaries.status, lines?.length);
+        if (!lines) return;
+
+        GlobeRenderer.setPlateBoundaries(lines);
+        const selected = GlobeRenderer.selectedMarker;
+        if (selected && !selected.feature.cluster) {
+            UIController.showDetails(selected.feature);
+        }
     },
 
     /**
-     * Show error
+     * Refresh the region list's per-region event counts
      */
-    showError(message) {
-        this.elements.loadingOverlay.classList.add('hidden');
-        this.elements.errorMessage.textContent = message;
-        this.elements.errorOverlay.classList.remove('hidden');
+    updateRegionList() {
+        UIController.renderRegions(Regions.regions, DataService.countByRegion(Regions.regions));
     },
 
     /**
-     * Hide error
+     * Re-slice the cross-section from the visible events and redraw its
+     * line on the globe and its plot (or clear both with no line)
      */
-    hideError() {
-        this.elements.errorOverlay.classList.add('hidden');
-    }
-};
+    updateSection() {
+        const data = DataService.getData();
+        CrossSection.sample(data ? data.features : []);
+        GlobeRenderer.setSection(CrossSection.path(), CrossSection.depthExtent());
+        UIController.renderSection(this.currentMetric);
+    },
 
-// ==========================================================================
-// MAIN APPLICATION
-// ==========================================================================
+    /**
+     * Fly to a saved region
+     */
+    focusRegion(id) {
+        const region = Regions.regions.find(r => r.id === id);
+        if (!region) return;
 
-const App = {
-    currentMetric: 'magnitude',
+        const { lat, lon } = Regions.center(region);
+        GlobeRenderer.flyTo(lat, lon);
+        UIController.updatePlayPauseButton(false);
+    },
 
     /**
-     * Initialize application
+     * Switch the active metric's scale strategy and restyle
      */
-    async init() {
-        try {
-            UIController.init();
-            UIController.showLoading();
+    setScaleStrategy(strategy) {
+        DataService.setScaleStrategy(this.currentMetric, strategy);
+        GlobeRenderer.updateVisualization(this.currentMetric);
+        UIController.updateLegend(this.currentMetric);
+        UIController.renderSection(this.currentMetric);
+        this.saveViewState(true);
+    },
 
-            const canvas = document.getElementById('globe-canvas');
-            GlobeRenderer.init(canvas);
+    /**
+     * Switch the color palette (null for metric defaults) and restyle
+     */
+    setPalette(palette) {
+        ColorRamp.select(palette);
+        GlobeRenderer.updateVisualization(this.currentMetric);
+        UIController.updateLegend(this.currentMetric);
+        UIController.renderSection(this.currentMetric);
+        this.saveViewState(true);
+    },
 
-            // Callbacks
-            UIController.onMetricChange = (metricId) => {
-                this.currentMetric = metricId;
-                GlobeRenderer.updateVisualization(metricId);
-                const stats = DataService.computeStats(metricId);
-                UIController.updateStats(stats, metricId);
-            };
+    /**
+     * Snapshot of everything a shared link should reproduce
+     */
+    captureViewState() {
+        return {
+            metric: this.currentMetric,
+            scale: DataService.scaleStrategies[this.currentMetric] || null,
+            palette: ColorRamp.selected,
+            source: DataService.source,
+            feed: { level: DataService.feedLevel, period: DataService.feedPeriod },
+            query: DataService.fdsnQuery,
+            range: UIController.getTimeSteps(),
+            event: this.selectedEventId,
+            camera: GlobeRenderer.camera.position,
+            rotation: GlobeRenderer.globeGroup.rotation.y,
+            spin: GlobeRenderer.isRotating
+        };
+    },
 
-            UIController.onTimeFilterChange = (days) => {
-                DataService.filterByTime(days);
-                const data = DataService.getData();
-                GlobeRenderer.addDataPoints(data.features);
-                const stats = DataService.computeStats(this.currentMetric);
-                UIController.updateStats(stats, this.currentMetric);
-            };
+    /**
+     * Write the current view to the URL (`push` for discrete changes such as
+     * metric or selection; continuous ones replace the current entry)
+     */
+    saveViewState(push = false) {
+        if (this.restoring) return;
+        UrlState.write(this.captureViewState(), push);
+    },
 
-            UIController.onRetry = () => this.loadData();
+    /**
+     * Apply a view state from the URL, reloading data only when the source,
+     * feed or query differs from what is loaded (always on boot)
+     */
+    async restoreViewState(state, initial = false) {
+        const sourceKey = (view) => {
+            if (view.source === 'upload') return `upload:${DataService.upload.name}`;
+            return view.source === 'fdsn'
+                ? `fdsn?${new URLSearchParams(view.query)}`
+                : `feed:${view.feed.level}_${view.feed.period}`;
+        };
 
-            await this.loadData();
+        // Dropped files aren't kept, so a link to one opens the default feed
+        if (state.source === 'upload' && !DataService.upload) {
+            state = { ...state, source: 'feed' };
+        }
 
-        } catch (error) {
-            console.error('Failed to initialize app:', error);
-            UIController.showError('Failed to initialize application');
+        this.restoring = true;
+        try {
+            UIController.setMetric(state.metric);
+            if ((DataService.scaleStrategies[state.metric] || null) !== state.scale) {
+                this.setScaleStrategy(state.scale);
+            }
+            if (ColorRamp.selected !== state.palette) {
+                this.setPalette(state.palette);
+            }
+
+            if (initial || sourceKey(state) !== sourceKey(this.captureViewState())) {
+                DataService.setSource(state.source);
+                if (state.source === 'fdsn') {
+                    DataService.setQuery(state.query);
+                } else if (state.source === 'feed') {
+                    DataService.setFeed(state.feed.level, state.feed.period);
+                }
+
+                this.syncMetrics();
+                UIController.showSource(state.source);
+                UIController.populateFeedOptions();
+                UIController.fillFdsnForm(DataService.fdsnQuery);
+                UIController.configureTimeSlider(DataService.getTimeWindow());
+                UIController.updateLegend(this.currentMetric);
+                UIController.resetDetails();
+                Playback.reset();
+                DataService.filterByTime(UIController.setTimeSteps(state.range));
+                await this.loadData();
+            } else {
+                const days = UIController.setTimeSteps(state.range);
+                if (days !== DataService.timeRangeDays) {
+                    DataService.filterByTime(days);
+                    this.syncVisibleData();
+                }
+            }
+
+            GlobeRenderer.setView(state);
+            this.restoreSelection(state.event, !state.camera);
+            UIController.updatePlayPauseButton(GlobeRenderer.isRotating);
+        } finally {
+            this.restoring = false;
         }
     },
 
     /**
-     * Load data
+     * Select an event by id (clearing the selection if it isn't loaded),
+     * optionally turning the globe to face it
      */
-    async loadData() {
-        UIController.showLoading();
-        UIController.hideError();
+    restoreSelection(eventId, focus) {
+        const data = DataService.getData();
+        const feature = eventId && data
+            ? data.features.find(f => Utils.featureId(f) === eventId)
+            : null;
 
-        try {
-            const data = await DataService.fetchData();
+        this.selectedEventId = feature ? eventId : null;
+        if (!feature) {
+            GlobeRenderer.deselectMarker();
+            UIController.resetDetails();
+            return;
+        }
 
-            if (data && data.features) {
-                GlobeRenderer.addDataPoints(data.features);
-                const stats = DataService.computeStats(this.currentMetric);
-                UIController.updateStats(stats, this.currentMetric);
-            }
+        GlobeRenderer.selectMarker(feature, focus);
+        UIController.showDetails(feature);
+    },
 
-            UIController.hideLoading();
+    /**
+     * Fly the camera to an event and select it
+     */
+    focusEvent(feature) {
+        GlobeRenderer.selectMarker(feature, true);
+        UIController.showDetails(feature);
+        UIController.updatePlayPauseButton(false);
+        UIController.renderSection(this.currentMetric);
+
+        this.selectedEventId = Utils.featureId(feature);
+        this.saveViewState(true);
+    },
 
-        } catch (error) {
-            console.error('Failed to load data:', error);
-            UIController.showError('Failed to load earthquake data');
-        }
+    /**
+     * Refresh the live updates indicator
+     */
+    updateLiveStatus(error = null, diff = null) {
+        UIController.updateLiveStatus({
+            lastUpdated: DataService.lastUpdated,
+            paused: this.isLivePaused,
+            error,
+            diff
+        });
+    },
+
+    /**
+     * Refresh the cached / sample data banner
+     */
+    updateDataBanner(revalidating = false) {
+        UIController.updateDataBanner({
+            cachedAt: DataService.cachedAt,
+            isSampleData: DataService.isSampleData,
+            error: DataService.error,
+            revalidating
+        });
     }
 };
 
@@ -0,0 +1,447 @@
+/**
+ * ==========================================================================
+ * PlanetPulse - FDSN Fixture Server
+ * ==========================================================================
+ *
+ * Offline stand-in for the USGS `fdsnws/event/1` service and GeoJSON
+ * summary feeds so both can be exercised without network access. Serves a
+ * deterministic synthetic catalog (a dense micro-quake swarm plus global
+ * background seismicity), the app's static files, and on request the
+ * failure modes the app's retry handling has to cope with.
+ *
+ * USAGE:
+ * ------
+ *   node dev/fdsn-fixture-server.js            # listens on port 8787
+ *   PORT=9000 node dev/fdsn-fixture-server.js
+ *
+ * Then open http://localhost:8787/?fdsn=/fdsnws/event/1
+ *       or http://localhost:8787/?feed=/earthquakes/feed/v1.0/summary/
+ *
+ * Prefix either API path with /fail/<mode> to make its requests fail, e.g.
+ *   http://localhost:8787/?feed=/fail/503/earthquakes/feed/v1.0/summary/
+ *   http://localhost:8787/?fdsn=/fail/flaky/fdsnws/event/1
+ *
+ * SUPPORTED:
+ * ----------
+ * - GET /fdsnws/event/1/query  (format=geojson)
+ * - GET /fdsnws/event/1/count  (format=geojson -> { count, maxAllowed })
+ * - starttime/endtime, minmagnitude/maxmagnitude,
+ *   minlatitude/maxlatitude/minlongitude/maxlongitude,
+ *   latitude/longitude/maxradiuskm, orderby, limit, offset (1-based)
+ * - 204 No Content for empty results, 400 for invalid parameters
+ * - GET /earthquakes/feed/v1.0/summary/<level>_<period>.geojson
+ *   (level significant [M6+ here], 4.5, 2.5, 1.0 or all; period hour, day,
+ *   week or month)
+ *
+ * FAILURE MODES (/fail/<mode>/...):
+ * ---------------------------------
+ * - <status>  any 4xx/5xx status, e.g. 500, 404, 400 (503 and 429 send
+ *             Retry-After: 1)
+ * - json      200 with a truncated JSON body
+ * - slow      responds after SLOW_MS (default 15000, beyond the app's timeout)
+ * - drop      closes the connection without a response
+ * - flaky     503 for the first FLAKY_FAILURES (default 2) requests to each
+ *             URL, then the normal response
+ *
+ * ==========================================================================
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const APP_ROOT = path.resolve(__dirname, '..');
+const MAX_LIMIT = 20000;
+const DAY_MS = 86400000;
+const SLOW_MS = Number(process.env.SLOW_MS) || 15000;
+const FLAKY_FAILURES = Number(process.env.FLAKY_FAILURES) || 2;
+
+const SUMMARY_LEVELS = { significant: 6, '4.5': 4.5, '2.5': 2.5, '1.0': 1, all: null };
+const SUMMARY_PERIODS = { hour: DAY_MS / 24, day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS };
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+// ==========================================================================
+// SYNTHETIC CATALOG
+// ==========================================================================
+
+/**
+ * Small seeded PRNG (mulberry32) so every run serves the same catalog
+ */
+function createRandom(seed) {
+    return function () {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Gutenberg-Richter magnitude (b = 1) above a completeness magnitude
+ */
+function sampleMagnitude(random, minMag, maxMag) {
+    const mag = minMag - Math.log10(1 - random());
+    return Math.round(Math.min(mag, maxMag) * 100) / 100;
+}
+
+/**
+ * Build the catalog: 30 days of events ending at the current hour
+ */
+function buildCatalog() {
+    const random = createRandom(20240601);
+    const end = Math.floor(Date.now() / 3600000) * 3600000;
+    const events = [];
+
+    const addEvent = (lat, lon, depth, mag, place) => {
+        const time = end - Math.floor(random() * 30 * DAY_MS);
+        const id = `fx${String(events.length).padStart(6, '0')}`;
+        events.push({
+            type: 'Feature',
+            id,
+            properties: {
+                mag,
+                place,
+                time,
+                updated: time + 600000,
+                type: 'earthquake',
+                title: `M ${mag.toFixed(1)} - ${place}`
+            },
+            geometry: {
+                type: 'Point',
+                coordinates: [
+                    Math.round(lon * 10000) / 10000,
+                    Math.round(lat * 10000) / 10000,
+                    Math.round(depth * 100) / 100
+                ]
+            }
+        });
+    };
+
+    // Swarm: many small, shallow events within ~15 km of The Geysers, CA
+    for (let i = 0; i < 7000; i++) {
+        const lat = 38.79 + (random() - 0.5) * 0.25;
+        const lon = -122.78 + (random() - 0.5) * 0.3;
+        addEvent(lat, lon, random() * 5, sampleMagnitude(random, -0.5, 4.5), 'Swarm fixture, The Geysers, CA');
+    }
+
+    // Background: moderate events scattered worldwide
+    for (let i = 0; i < 5000; i++) {
+        const lat = Math.asin(2 * random() - 1) * 180 / Math.PI;
+        const lon = random() * 360 - 180;
+        addEvent(lat, lon, random() * 300, sampleMagnitude(random, 2.5, 8.2), 'Background fixture');
+    }
+
+    return events;
+}
+
+const CATALOG = buildCatalog();
+
+// ==========================================================================
+// QUERY HANDLING
+// ==========================================================================
+
+/**
+ * Great-circle distance in km
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Parse and validate query parameters, throwing a message for a 400
+ */
+function parseParams(searchParams) {
+    const number = (name, min, max) => {
+        if (!searchParams.has(name)) return null;
+        const value = Number(searchParams.get(name));
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`Bad ${name} value "${searchParams.get(name)}"`);
+        }
+        return value;
+    };
+    const time = (name) => {
+        if (!searchParams.has(name)) return null;
+        const value = Date.parse(searchParams.get(name));
+        if (Number.isNaN(value)) {
+            throw new Error(`Bad ${name} value "${searchParams.get(name)}"`);
+        }
+        return value;
+    };
+
+    const format = searchParams.get('format') || 'geojson';
+    if (format !== 'geojson') {
+        throw new Error(`Unsupported format "${format}" (fixture only serves geojson)`);
+    }
+
+    const orderby = searchParams.get('orderby') || 'time';
+    if (!['time', 'time-asc', 'magnitude', 'magnitude-asc'].includes(orderby)) {
+        throw new Error(`Bad orderby value "${orderby}"`);
+    }
+
+    const params = {
+        starttime: time('starttime'),
+        endtime: time('endtime'),
+        minmagnitude: number('minmagnitude', -10, 15),
+        maxmagnitude: number('maxmagnitude', -10, 15),
+        minlatitude: number('minlatitude', -90, 90),
+        maxlatitude: number('maxlatitude', -90, 90),
+        minlongitude: number('minlongitude', -360, 360),
+        maxlongitude: number('maxlongitude', -360, 360),
+        latitude: number('latitude', -90, 90),
+        longitude: number('longitude', -180, 180),
+        maxradiuskm: number('maxradiuskm', 0, 20001.6),
+        limit: number('limit', 1, MAX_LIMIT),
+        offset: number('offset', 1, Number.MAX_SAFE_INTEGER) || 1,
+        orderby
+    };
+
+    // USGS defaults to the last 30 days when no start time is given
+    if (params.starttime == null) {
+        params.starttime = (params.endtime ?? Date.now()) - 30 * DAY_MS;
+    }
+    if (params.endtime != null && params.starttime >= params.endtime) {
+        throw new Error('starttime must be before endtime');
+    }
+
+    return params;
+}
+
+/**
+ * Apply filters and ordering to the catalog
+ */
+function runQuery(params) {
+    const matches = CATALOG.filter(event => {
+        const { mag, time } = event.properties;
+        const [lon, lat] = event.geometry.coordinates;
+
+        if (time < params.starttime) return false;
+        if (params.endtime != null && time > params.endtime) return false;
+        if (params.minmagnitude != null && mag < params.minmagnitude) return false;
+        if (params.maxmagnitude != null && mag > params.maxmagnitude) return false;
+        if (params.minlatitude != null && lat < params.minlatitude) return false;
+        if (params.maxlatitude != null && lat > params.maxlatitude) return false;
+
+        if (params.minlongitude != null || params.maxlongitude != null) {
+            const minLon = params.minlongitude ?? -180;
+            const maxLon = params.maxlongitude ?? 180;
+            // Boxes may extend past ±180; test the event at each wrap
+            const inBox = [lon - 360, lon, lon + 360].some(l => l >= minLon && l <= maxLon);
+            if (!inBox) return false;
+        }
+
+        if (params.latitude != null && params.longitude != null && params.maxradiuskm != null) {
+            if (distanceKm(params.latitude, params.longitude, lat, lon) > params.maxradiuskm) {
+                return false;
+            }
+        }
+
+        return true;
+    });
+
+    const sorters = {
+        time: (a, b) => b.properties.time - a.properties.time,
+        'time-asc': (a, b) => a.properties.time - b.properties.time,
+        magnitude: (a, b) => b.properties.mag - a.properties.mag,
+        'magnitude-asc': (a, b) => a.properties.mag - b.properties.mag
+    };
+
+    return matches.sort(sorters[params.orderby]);
+}
+
+// ==========================================================================
+// HTTP SERVER
+// ==========================================================================
+
+function send(res, status, body, type = 'application/json; charset=utf-8') {
+    res.writeHead(status, {
+        'Content-Type': type,
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(body);
+}
+
+function handleEvents(res, endpoint, searchParams) {
+    let params;
+    try {
+        params = parseParams(searchParams);
+    } catch (error) {
+        send(res, 400, `Error 400: Bad Request\n\n${error.message}\n`, 'text/plain; charset=utf-8');
+        return;
+    }
+
+    const matches = runQuery(params);
+
+    if (endpoint === 'count') {
+        send(res, 200, JSON.stringify({ count: matches.length, maxAllowed: MAX_LIMIT }));
+        return;
+    }
+
+    if (params.limit == null && matches.length > MAX_LIMIT) {
+        send(res, 400, `Error 400: Bad Request\n\n${matches.length} matching events exceeds search limit of ${MAX_LIMIT}. Modify the search to match fewer events.\n`, 'text/plain; charset=utf-8');
+        return;
+    }
+
+    const start = params.offset - 1;
+    const features = matches.slice(start, params.limit == null ? undefined : start + params.limit);
+
+    if (features.length === 0) {
+        send(res, 204, '');
+        return;
+    }
+
+    send(res, 200, JSON.stringify({
+        type: 'FeatureCollection',
+        metadata: {
+            generated: Date.now(),
+            title: 'PlanetPulse FDSN fixture',
+            status: 200,
+            count: features.length
+        },
+        features
+    }));
+}
+
+/**
+ * Summary feed: every event of at least the level's magnitude in the period,
+ * newest first
+ */
+function handleSummary(res, level, period) {
+    if (!(level in SUMMARY_LEVELS) || !(period in SUMMARY_PERIODS)) {
+        send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+        return;
+    }
+
+    const searchParams = new URLSearchParams({
+        starttime: new Date(Date.now() - SUMMARY_PERIODS[period]).toISOString()
+    });
+    if (SUMMARY_LEVELS[level] != null) {
+        searchParams.set('minmagnitude', SUMMARY_LEVELS[level]);
+    }
+    const features = runQuery(parseParams(searchParams));
+
+    send(res, 200, JSON.stringify({
+        type: 'FeatureCollection',
+        metadata: {
+            generated: Date.now(),
+            title: `PlanetPulse summary fixture (${level}_${period})`,
+            status: 200,
+            count: features.length
+        },
+        features
+    }));
+}
+
+/**
+ * Route an API request (after any /fail/<mode> prefix is stripped)
+ */
+function handleApi(res, pathname, searchParams) {
+    const fdsn = pathname.match(/^\/fdsnws\/event\/1\/(query|count)$/);
+    const summary = pathname.match(/^\/earthquakes\/feed\/v1\.0\/summary\/([\w.]+)_(\w+)\.geojson$/);
+
+    if (fdsn) {
+        handleEvents(res, fdsn[1], searchParams);
+    } else if (summary) {
+        handleSummary(res, summary[1], summary[2]);
+    } else {
+        send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+    }
+}
+
+const flakyCounts = new Map();
+
+/**
+ * FDSN-style plain-text error; 503 and 429 ask the client to wait a second
+ */
+function sendError(res, status, mode) {
+    res.writeHead(status, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'Retry-After',
+        ...(status === 503 || status === 429 ? { 'Retry-After': '1' } : {})
+    });
+    res.end(`Error ${status}: ${http.STATUS_CODES[status] || 'Fixture failure'}\n\nFailure mode /fail/${mode}\n`);
+}
+
+/**
+ * Fail an API request the way `mode` describes, or pass it on to `next`
+ */
+function handleFailure(req, res, mode, key, next) {
+    if (/^[45]\d\d$/.test(mode)) {
+        sendError(res, Number(mode), mode);
+    } else if (mode === 'json') {
+        send(res, 200, '{"type":"FeatureCollection","features":[{"type":"Feat');
+    } else if (mode === 'slow') {
+        const timer = setTimeout(next, SLOW_MS);
+        res.on('close', () => clearTimeout(timer));
+    } else if (mode === 'drop') {
+        req.socket.destroy();
+    } else if (mode === 'flaky') {
+        const count = (flakyCounts.get(key) || 0) + 1;
+        flakyCounts.set(key, count);
+        if (count > FLAKY_FAILURES) {
+            next();
+        } else {
+            sendError(res, 503, mode);
+        }
+    } else {
+        send(res, 400, `Error 400: Bad Request\n\nUnknown failure mode "${mode}"\n`, 'text/plain; charset=utf-8');
+    }
+}
+
+function handleStatic(res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        send(res, 400, 'Error 400: Bad Request\n\nMalformed path\n', 'text/plain; charset=utf-8');
+        return;
+    }
+
+    const filePath = path.join(APP_ROOT, decoded === '/' ? 'index.html' : decoded);
+
+    if (filePath !== APP_ROOT && !filePath.startsWith(APP_ROOT + path.sep)) {
+        send(res, 403, 'Forbidden', 'text/plain; charset=utf-8');
+        return;
+    }
+
+    fs.readFile(filePath, (error, contents) => {
+        if (error) {
+            send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+            return;
+        }
+        send(res, 200, contents, MIME_TYPES[path.extname(filePath)] || 'application/octet-stream');
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const failure = url.pathname.match(/^\/fail\/([\w-]+)(\/.*)$/);
+    const pathname = failure ? failure[2] : url.pathname;
+
+    if (failure) {
+        const key = `${pathname}${url.search}`;
+        handleFailure(req, res, failure[1], key, () => handleApi(res, pathname, url.searchParams));
+    } else if (/^\/(fdsnws|earthquakes)\//.test(pathname)) {
+        handleApi(res, pathname, url.searchParams);
+    } else {
+        handleStatic(res, pathname);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`FDSN fixture serving ${CATALOG.length} events at http://localhost:${PORT}/?fdsn=/fdsnws/event/1`);
+    console.log(`Summary feeds at http://localhost:${PORT}/?feed=/earthquakes/feed/v1.0/summary/ (prefix /fail/<mode> to fail)`);
+});
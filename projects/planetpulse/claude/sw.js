@@ -0,0 +1,76 @@
+/**
+ * ==========================================================================
+ * PlanetPulse - Service Worker
+ * ==========================================================================
+ *
+ * Keeps the app shell (page, styles, script, bundled data) and Three.js in
+ * Cache Storage so the globe loads offline. Shell files are served
+ * stale-while-revalidate: straight from the cache, refreshed in the
+ * background for the next load.
+ *
+ * Earthquake data is not handled here: the app keeps the last successful
+ * fetch of each feed or query in IndexedDB (FeedCache in app.js), so API
+ * requests pass straight through to the network.
+ *
+ * Bump CACHE_NAME whenever SHELL changes so old caches are dropped.
+ */
+
+const CACHE_NAME = 'planetpulse-shell-v3';
+
+const SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'data/countries-50m.json',
+    'data/plate-boundaries.geojson',
+    'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+    'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/controls/OrbitControls.js'
+];
+
+const SHELL_URLS = new Set(SHELL.map(path => new URL(path, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+    // Both CDNs send CORS headers, so their scripts cache as full responses
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Query strings (e.g. ?fdsn=...) don't change the shell
+    const url = new URL(request.url);
+    url.search = '';
+
+    if (request.method !== 'GET' || !SHELL_URLS.has(url.href)) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(async cache => {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        const network = fetch(request).then(response => {
+            if (response.ok) {
+                cache.put(url.href, response.clone());
+            }
+            return response;
+        });
+
+        if (cached) {
+            event.waitUntil(network.catch(() => {}));
+            return cached;
+        }
+        return network;
+    }));
+});
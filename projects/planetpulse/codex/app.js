@@ -1,21 +1,94 @@
 /**
  * PlanetPulse Architecture
  * ------------------------
- * DataModel: Curates a small in-memory dataset plus a declarative metricsConfig
- *            used to derive color/size scales and legend content.
+ * DataModel: Curates a small in-memory dataset plus a metric registry
+ *            (registerMetric/unregisterMetric, also exported for plugin
+ *            modules) from which color/size scales (linear, sqrt, log,
+ *            quantile or Jenks), the selector, legend, summary and detail
+ *            cards are derived.
+ *            Colors come from the metric or a picked palette (viridis,
+ *            cividis, magma, diverging, categorical) blended in OKLab.
+ *            A GeoJSON/CSV file dropped on the globe replaces the dataset after
+ *            a column-mapping dialog; its numeric columns become metrics.
  * GlobeRenderer: Bootstraps Three.js (scene, camera, lights, controls) and
  *                renders the Earth sphere with animated rotation + data markers.
+ *                The Earth texture is painted from bundled Natural Earth 1:50m
+ *                TopoJSON (land, coastlines, optional borders and a graticule
+ *                with a chosen spacing and labelled equator/tropics/meridian).
+ *                It is shaded from the subsolar point at the current UTC time
+ *                (night side darkened, terminator line drawn in the shader).
+ *                An optional heatmap shell shows kernel density of the points.
  * UIController: Binds DOM controls, updates the legend + detail panel, and
- *               coordinates interaction (hover/click, spin toggle, resize).
- * Limitations: Texture loading is best-effort (falls back to a flat color), and
- *              the dataset is static so no live updates/API pagination.
+ *               coordinates interaction (hover/click, spin toggle, search
+ *               with fly-to, resize).
+ *               The lat/lon under the pointer is read off a ray-sphere hit in
+ *               the globe's own frame; clicking the globe pins it for copying.
+ *               The view (metric, pinned point, camera, spin) is mirrored in
+ *               the URL hash so links restore it on load and back/forward.
+ * Limitations: The map texture is raster (borders soften when zoomed in) and
+ *              falls back to a plain ocean if data/countries-50m.json can't be
+ *              fetched (e.g. over file://); the dataset is static so no live
+ *              updates/API pagination.
+ *              Sun position is the Almanac's low-precision formula and no
+ *              city-lights image ships (sunConfig.cityLightsUrl is optional).
+ *              Dropped files are capped at importConfig.maxPoints markers and
+ *              are not kept across reloads.
  */
 
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.161.0/examples/jsm/controls/OrbitControls.js';
 
-const TEXTURE_URL = 'https://threejs.org/examples/textures/planets/earth_atmos_2048.jpg';
-const CLOUDS_TEXTURE = 'https://threejs.org/examples/textures/planets/earth_clouds_1024.png';
+// Natural Earth land and countries (world-atlas TopoJSON), painted onto an
+// equirectangular texture; countries in iceCaps are tinted as ice. The
+// graticule spacing is one of graticuleSteps, and referenceLines are drawn
+// over the land with their names.
+const basemapConfig = {
+  url: './data/countries-50m.json',
+  textureWidth: 4096,
+  graticuleSteps: [5, 10, 15, 30],
+  referenceLines: [
+    { name: 'Equator', lat: 0 },
+    { name: 'Tropic of Cancer', lat: 23.4365 },
+    { name: 'Tropic of Capricorn', lat: -23.4365 },
+    { name: 'Prime Meridian', lon: 0 }
+  ],
+  labelSize: 22,
+  iceCaps: ['Antarctica', 'Greenland'],
+  colors: {
+    ocean: '#0d265c',
+    land: '#24513f',
+    ice: '#5d7586',
+    coast: 'rgba(220, 236, 255, 0.35)',
+    border: 'rgba(220, 236, 255, 0.5)',
+    graticule: 'rgba(220, 236, 255, 0.15)',
+    reference: 'rgba(255, 209, 102, 0.55)',
+    label: 'rgba(255, 221, 153, 0.9)'
+  }
+};
+
+// Cursor coordinate readout: decimals shown and copied, and how far (px) a
+// press may move before it is an orbit drag rather than a click.
+const readoutConfig = {
+  decimals: 2,
+  copyDecimals: 4,
+  clickTolerance: 5
+};
+
+// Day/night shading from the subsolar point at the current UTC time. Day and
+// night blend over twilightDegrees of sun elevation either side of the
+// terminator line; cityLightsUrl may name an equirectangular night-lights
+// image for the dark side.
+const sunConfig = {
+  dayAmbient: 0.7,
+  dayBrightness: 1.2,
+  nightBrightness: 0.25,
+  twilightDegrees: 6,
+  terminatorDegrees: 0.4,
+  terminatorColor: '#ffb347',
+  terminatorOpacity: 0.6,
+  cityLightsUrl: null,
+  cityLightsIntensity: 1
+};
 
 const dataPoints = [
   {
@@ -140,42 +213,88 @@ const dataPoints = [
   }
 ];
 
-const metricsConfig = {
-  population: {
-    label: 'Metro Population',
-    unit: 'millions of people',
-    colors: ['#4de3ff', '#2043ff'],
-    sizeRange: [0.7, 1.8],
-    description: 'Estimated metro population (2024, rounded to the nearest 0.1M).',
-    formatter: (value) => `${value.toFixed(1)} M`
+const clusterConfig = {
+  cellScale: 8,
+  minCellSize: 1,
+  maxCellSize: 32,
+  countScale: 0.35
+};
+
+// Colorblind-safe palette library; null in state.palette keeps each metric's
+// own colors. Stops blend in OKLab, categorical palettes step instead.
+const palettes = {
+  viridis: {
+    label: 'Viridis',
+    type: 'sequential',
+    colors: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']
   },
-  emissions: {
-    label: 'Annual CO₂ Emissions',
-    unit: 'Mt CO₂',
-    colors: ['#66ff91', '#ff8c42'],
-    sizeRange: [0.6, 1.6],
-    description: 'Total territorial emissions attributed to each metro basin.',
-    formatter: (value) => `${value.toFixed(0)} Mt`
+  cividis: {
+    label: 'Cividis',
+    type: 'sequential',
+    colors: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#e1cc55', '#fee838']
+  },
+  magma: {
+    label: 'Magma',
+    type: 'sequential',
+    colors: ['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779', '#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf']
   },
-  renewables: {
-    label: 'Renewable Share',
-    unit: '% of grid demand',
-    colors: ['#32ffba', '#1c8bff'],
-    sizeRange: [0.5, 1.4],
-    description: 'Share of electricity supplied by renewables (12-month avg).',
-    formatter: (value) => `${value.toFixed(0)}%`
+  diverging: {
+    label: 'Blue–Red',
+    type: 'diverging',
+    colors: ['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b']
+  },
+  categorical: {
+    label: 'Okabe–Ito',
+    type: 'categorical',
+    colors: ['#0072b2', '#56b4e9', '#009e73', '#f0e442', '#e69f00', '#d55e00', '#cc79a7']
   }
 };
 
-Object.keys(metricsConfig).forEach((key) => {
-  metricsConfig[key].domain = findDomain(key);
-});
+const gradientSteps = 16;
+
+// Dropped GeoJSON/CSV files replace dataPoints. Every marker is its own mesh,
+// so rows past maxPoints are rejected rather than drawn.
+const importConfig = {
+  maxPoints: 5000,
+  maxBytes: 20e6,
+  numericShare: 0.8,
+  listedRows: 5
+};
+
+const heatmapConfig = {
+  width: 256,
+  height: 128,
+  radius: 1.015,
+  bandwidthKm: 700,
+  ramp: [
+    { t: 0, color: [32, 67, 255, 0] },
+    { t: 0.35, color: [77, 227, 255, 0.35] },
+    { t: 0.7, color: [255, 140, 66, 0.6] },
+    { t: 1, color: [255, 236, 140, 0.85] }
+  ]
+};
 
 const state = {
   metricKey: 'population',
   spinning: true,
   userInteracting: false,
-  selectedPoint: null
+  selectedPoint: null,
+  clustering: false,
+  clusterAggregate: 'max',
+  clusterCellSize: null,
+  heatmap: false,
+  heatmapWeighting: 'count',
+  borders: true,
+  graticule: false,
+  graticuleStep: 15,
+  sunlight: true,
+  pinnedCoordinate: null,
+  scaleStrategies: {},
+  palette: null,
+  dataset: null,
+  pinnedPointId: null,
+  searchResults: [],
+  searchIndex: -1
 };
 
 const elements = {};
@@ -186,17 +305,147 @@ let camera;
 let controls;
 let globeGroup;
 let markerGroup;
+let heatmapMesh;
+let heatmapContext;
+let heatmapTexture;
+let basemap = null;
+let basemapCanvas;
+let basemapTexture;
+let globeMaterial;
+let sunLight;
 let raycaster;
 let pointer;
 let hoveredMarker = null;
+let pressPosition = null;
 let spinVelocity = 0.0008;
 
 const baseMarkerSize = 0.02;
+const flyDuration = 1500;
 const tooltipOffset = { x: 18, y: 18 };
 const tooltipPadding = 12;
 
 let reducedMotionNoticeShown = false;
 let motionPreferenceQuery = null;
+let restoringView = false;
+let viewStateTimer = null;
+let flight = null;
+
+// Metric plugins: one registerMetric() call drives marker color/size plus the
+// selector, legend, summary cards, tooltip and detail cards.
+const metricRegistry = new Map();
+
+// Scale strategies map a metric's values to 0..1 for color and size. Each
+// gets the metric's finite values sorted ascending; classed strategies also
+// return `breaks` (min first, max last) and map class i of n to i / (n - 1).
+const scaleClasses = 5;
+
+const scaleStrategies = {
+  fixed: {
+    label: 'Scale: Linear (fixed)',
+    needsRange: true,
+    create: (values, metric) => continuousScale('fixed', metric.domain.range)
+  },
+  extent: {
+    label: 'Scale: Linear (min/max)',
+    create: (values, metric) => continuousScale('extent', valueExtent(values, metric))
+  },
+  sqrt: {
+    label: 'Scale: Square root',
+    create: (values, metric) =>
+      continuousScale('sqrt', valueExtent(values, metric), Math.sqrt, (t) => t * t)
+  },
+  log: {
+    // log1p of the offset from the minimum, so zero and negatives still work
+    label: 'Scale: Logarithmic',
+    create: (values, metric) => {
+      const [min, max] = valueExtent(values, metric);
+      const span = Math.log1p(max - min);
+      return continuousScale(
+        'log',
+        [min, max],
+        (t) => Math.log1p(t * (max - min)) / span,
+        (t) => Math.expm1(t * span) / (max - min)
+      );
+    }
+  },
+  quantile: {
+    label: 'Scale: Quantiles',
+    create: (values, metric) => classedScale('quantile', quantileBreaks(values, scaleClasses), values, metric)
+  },
+  jenks: {
+    label: 'Scale: Natural breaks',
+    create: (values, metric) => classedScale('jenks', jenksBreaks(values, scaleClasses), values, metric)
+  }
+};
+
+export function registerMetric(definition) {
+  const { id, label, accessor } = definition;
+  if (!id || !label || typeof accessor !== 'function') {
+    throw new Error('Metric needs an id, label and accessor');
+  }
+  if (metricRegistry.has(id)) {
+    throw new Error(`Metric "${id}" is already registered`);
+  }
+  const metric = {
+    domain: { strategy: 'extent' },
+    formatter: (value) => value.toFixed(1),
+    unit: '',
+    colors: ['#4de3ff', '#2043ff'],
+    sizeRange: [0.6, 1.6],
+    description: label,
+    ...definition
+  };
+  if (!Object.hasOwn(scaleStrategies, metric.domain.strategy)) {
+    throw new Error(`Metric "${id}" has unknown domain strategy "${metric.domain.strategy}"`);
+  }
+  if (metric.colors.length < 2) {
+    throw new Error(`Metric "${id}" needs at least two colors`);
+  }
+  metricRegistry.set(id, metric);
+  // Late registrations (e.g. from a plugin module) still reach the selector
+  if (elements.metricSelect) renderMetricOptions();
+  return metric;
+}
+
+export function unregisterMetric(id) {
+  const removed = metricRegistry.delete(id);
+  delete state.scaleStrategies[id];
+  if (removed && elements.metricSelect) renderMetricOptions();
+  return removed;
+}
+
+registerMetric({
+  id: 'population',
+  label: 'Metro Population',
+  accessor: (point) => point.metrics.population,
+  unit: 'millions of people',
+  colors: ['#4de3ff', '#2043ff'],
+  sizeRange: [0.7, 1.8],
+  description: 'Estimated metro population (2024, rounded to the nearest 0.1M).',
+  formatter: (value) => `${value.toFixed(1)} M`
+});
+
+registerMetric({
+  id: 'emissions',
+  label: 'Annual CO₂ Emissions',
+  accessor: (point) => point.metrics.emissions,
+  unit: 'Mt CO₂',
+  colors: ['#66ff91', '#ff8c42'],
+  sizeRange: [0.6, 1.6],
+  description: 'Total territorial emissions attributed to each metro basin.',
+  formatter: (value) => `${value.toFixed(0)} Mt`
+});
+
+registerMetric({
+  id: 'renewables',
+  label: 'Renewable Share',
+  accessor: (point) => point.metrics.renewables,
+  unit: '% of grid demand',
+  colors: ['#32ffba', '#1c8bff'],
+  sizeRange: [0.5, 1.4],
+  description: 'Share of electricity supplied by renewables (12-month avg).',
+  formatter: (value) => `${value.toFixed(0)}%`
+});
 
 window.addEventListener('DOMContentLoaded', () => {
   if (!isWebGlAvailable()) {
@@ -215,10 +464,16 @@ async function bootstrap() {
   try {
     initScene();
     await buildGlobe();
+    buildHeatmap();
     buildMarkers();
     updateMetric(state.metricKey);
+    applyViewState(readViewState());
     animate();
-    showStatus('Globe ready. Drag to explore.', false, 2200);
+    if (basemap) {
+      showStatus('Globe ready. Drag to explore.', false, 2200);
+    } else {
+      showStatus('Globe ready, but the coastline data failed to load.', true, 4000);
+    }
   } catch (error) {
     console.error('PlanetPulse failed to start', error);
     showStatus('Unable to render globe – please refresh.', true);
@@ -230,35 +485,178 @@ function cacheDom() {
   elements.metricSelect = document.getElementById('metricSelect');
   elements.spinToggle = document.getElementById('spinToggle');
   elements.resetView = document.getElementById('resetView');
+  elements.clusterToggle = document.getElementById('clusterToggle');
+  elements.clusterAggregate = document.getElementById('clusterAggregate');
+  elements.heatmapToggle = document.getElementById('heatmapToggle');
+  elements.heatmapWeighting = document.getElementById('heatmapWeighting');
+  elements.heatmapLegend = document.getElementById('heatmapLegend');
+  elements.heatmapGradient = document.getElementById('heatmapGradient');
+  elements.bordersToggle = document.getElementById('bordersToggle');
+  elements.graticuleToggle = document.getElementById('graticuleToggle');
+  elements.graticuleStep = document.getElementById('graticuleStep');
+  elements.sunToggle = document.getElementById('sunToggle');
+  elements.coordCursor = document.getElementById('coordCursor');
+  elements.coordPin = document.getElementById('coordPin');
+  elements.coordPinValue = document.getElementById('coordPinValue');
+  elements.coordCopy = document.getElementById('coordCopy');
+  elements.coordClear = document.getElementById('coordClear');
   elements.legendTitle = document.getElementById('legendTitle');
   elements.legendRange = document.getElementById('legendRange');
   elements.legendGradient = document.getElementById('legendGradient');
-  elements.legendMin = document.getElementById('legendMin');
-  elements.legendMax = document.getElementById('legendMax');
+  elements.legendScale = document.getElementById('legendScale');
+  elements.legendClasses = document.getElementById('legendClasses');
+  elements.scaleStrategy = document.getElementById('scaleStrategy');
+  elements.paletteSelect = document.getElementById('paletteSelect');
   elements.legendDescription = document.getElementById('legendDescription');
   elements.infoTitle = document.getElementById('infoTitle');
   elements.infoContent = document.getElementById('infoContent');
   elements.statusBanner = document.getElementById('statusBanner');
   elements.summaryGrid = document.getElementById('summaryGrid');
   elements.tooltip = document.getElementById('globeTooltip');
+  elements.searchInput = document.getElementById('searchInput');
+  elements.searchResults = document.getElementById('searchResults');
+  elements.globePanel = document.querySelector('.globe-panel');
+  elements.dropHint = document.getElementById('dropHint');
+  elements.importButton = document.getElementById('importButton');
+  elements.fileInput = document.getElementById('fileInput');
+  elements.importDialog = document.getElementById('importDialog');
+  elements.importForm = document.getElementById('importForm');
+  elements.importSummary = document.getElementById('importSummary');
+  elements.importPosition = document.getElementById('importPosition');
+  elements.importMetrics = document.getElementById('importMetrics');
+  elements.importError = document.getElementById('importError');
 }
 
 function bindUI() {
+  renderMetricOptions();
   elements.metricSelect.addEventListener('change', (event) => {
     updateMetric(event.target.value);
+    writeViewState(true);
   });
 
   elements.spinToggle.addEventListener('click', () => {
     state.spinning = !state.spinning;
     syncSpinToggle();
+    writeViewState();
   });
 
   if (elements.resetView) {
     elements.resetView.addEventListener('click', resetView);
   }
 
+  elements.clusterToggle.addEventListener('click', () => {
+    state.clustering = !state.clustering;
+    syncClusterControls();
+    rebuildMarkers();
+  });
+
+  elements.clusterAggregate.addEventListener('change', (event) => {
+    state.clusterAggregate = event.target.value;
+    rebuildMarkers();
+  });
+
+  elements.heatmapToggle.addEventListener('click', () => {
+    state.heatmap = !state.heatmap;
+    syncHeatmapControls();
+    updateHeatmap();
+  });
+
+  elements.bordersToggle.addEventListener('click', () => {
+    state.borders = !state.borders;
+    syncBasemapControls();
+    drawBasemap();
+  });
+
+  elements.graticuleToggle.addEventListener('click', () => {
+    state.graticule = !state.graticule;
+    syncBasemapControls();
+    drawBasemap();
+  });
+
+  elements.graticuleStep.innerHTML = basemapConfig.graticuleSteps
+    .map((step) => `<option value="${step}">Grid: ${step}°</option>`)
+    .join('');
+  elements.graticuleStep.value = state.graticuleStep;
+  elements.graticuleStep.addEventListener('change', (event) => {
+    state.graticuleStep = Number(event.target.value);
+    drawBasemap();
+  });
+
+  elements.sunToggle.addEventListener('click', () => {
+    state.sunlight = !state.sunlight;
+    syncSunControls();
+  });
+
+  elements.coordCopy.addEventListener('click', copyPinnedCoordinate);
+  elements.coordClear.addEventListener('click', () => pinCoordinate(null));
+
+  elements.paletteSelect.innerHTML = [
+    '<option value="">Palette: Metric default</option>',
+    ...Object.entries(palettes).map(([id, palette]) => `<option value="${id}">Palette: ${palette.label}</option>`)
+  ].join('');
+  elements.paletteSelect.addEventListener('change', (event) => {
+    state.palette = event.target.value || null;
+    updateMetric(state.metricKey);
+    writeViewState(true);
+  });
+
+  elements.scaleStrategy.addEventListener('change', (event) => {
+    setScaleStrategy(event.target.value);
+    writeViewState(true);
+  });
+
+  elements.heatmapWeighting.addEventListener('change', (event) => {
+    state.heatmapWeighting = event.target.value;
+    updateHeatmap();
+  });
+
+  elements.heatmapGradient.style.background = heatmapGradientCss();
+
+  elements.searchInput.addEventListener('input', updateSearchResults);
+  elements.searchInput.addEventListener('keydown', handleSearchKey);
+  elements.searchInput.addEventListener('blur', closeSearch);
+  // mousedown so the pick lands before the input blurs
+  elements.searchResults.addEventListener('mousedown', (event) => {
+    const option = event.target.closest('[role="option"]');
+    if (!option) return;
+    event.preventDefault();
+    chooseSearchResult(Number(option.dataset.index));
+  });
+
+  // Files dropped on the globe (or picked with Load Data) replace the dataset
+  const hasFiles = (event) => [...(event.dataTransfer?.types || [])].includes('Files');
+  elements.globePanel.addEventListener('dragover', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    elements.dropHint.hidden = false;
+  });
+  elements.globePanel.addEventListener('dragleave', (event) => {
+    if (!elements.globePanel.contains(event.relatedTarget)) elements.dropHint.hidden = true;
+  });
+  elements.globePanel.addEventListener('drop', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    elements.dropHint.hidden = true;
+    if (event.dataTransfer.files.length) importFile(event.dataTransfer.files[0]);
+  });
+  elements.importButton.addEventListener('click', () => elements.fileInput.click());
+  elements.fileInput.addEventListener('change', () => {
+    if (elements.fileInput.files.length) importFile(elements.fileInput.files[0]);
+    elements.fileInput.value = '';
+  });
+  elements.importForm.addEventListener('submit', (event) => {
+    if (event.submitter?.value !== 'import') return;
+    const error = mappingError(readMapping());
+    elements.importError.textContent = error || '';
+    elements.importError.hidden = !error;
+    if (error) event.preventDefault();
+  });
+
   window.addEventListener('resize', handleResize);
+  window.addEventListener('popstate', () => applyViewState(readViewState()));
   syncSpinToggle();
+  syncBasemapControls();
+  syncSunControls();
 }
 
 function setupMotionPreference() {
@@ -290,15 +688,92 @@ function syncSpinToggle() {
   elements.spinToggle.setAttribute('aria-pressed', state.spinning);
 }
 
-function resetView() {
-  if (!controls || !camera || !globeGroup) return;
+// Flies home while unwinding the globe's spin; spin resumes if it was on.
+async function resetView() {
+  if (!controls || !camera || !globeGroup) return false;
+  const wasSpinning = state.spinning;
+  clearHover();
+  const arrived = await flyToDirection(new THREE.Vector3(0, 0, 1), 3, flyDuration, 0);
+  if (!arrived) return false;
   controls.reset();
-  camera.position.set(0, 0, 3);
-  camera.lookAt(0, 0, 0);
-  globeGroup.rotation.set(0, 0, 0);
   state.userInteracting = false;
-  clearHover();
+  state.spinning = wasSpinning;
+  syncSpinToggle();
   showStatus('View reset', false, 1600);
+  writeViewState();
+  return true;
+}
+
+// View state lives in the URL hash (metric, pinned point, camera, rotation,
+// spin, scale, palette) so links reopen the same view, e.g. #metric=emissions&scale=jenks&point=tok&cam=0.4,1.1,2.5
+function readViewState() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const metric = params.get('metric');
+  const cam = (params.get('cam') || '').split(',').map(Number);
+  const rotation = Number(params.get('rot'));
+  return {
+    metricKey: metricRegistry.has(metric) ? metric : 'population',
+    scale: Object.hasOwn(scaleStrategies, params.get('scale')) ? params.get('scale') : null,
+    palette: Object.hasOwn(palettes, params.get('palette')) ? params.get('palette') : null,
+    pointId: params.get('point'),
+    camera: cam.length === 3 && cam.every(Number.isFinite) ? new THREE.Vector3(...cam) : null,
+    rotation: params.has('rot') && Number.isFinite(rotation) ? rotation : null,
+    spinning: params.get('spin') !== '0'
+  };
+}
+
+function writeViewState(push = false) {
+  if (restoringView || !camera) return;
+  const round = (value) => Number(value.toFixed(3));
+  const params = new URLSearchParams();
+  if (state.metricKey !== 'population') params.set('metric', state.metricKey);
+  if (state.scaleStrategies[state.metricKey]) params.set('scale', state.scaleStrategies[state.metricKey]);
+  if (state.palette) params.set('palette', state.palette);
+  if (state.pinnedPointId) params.set('point', state.pinnedPointId);
+  params.set('cam', camera.position.toArray().map(round).join(','));
+  params.set('rot', round(globeGroup.rotation.y % (Math.PI * 2)));
+  if (!state.spinning) params.set('spin', '0');
+
+  const hash = `#${params.toString().replace(/%2C/g, ',')}`;
+  if (hash === window.location.hash) return;
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  window.history[push ? 'pushState' : 'replaceState'](null, '', url);
+}
+
+// Camera changes fire every frame while dragging/damping; record once settled.
+function scheduleViewStateWrite() {
+  clearTimeout(viewStateTimer);
+  viewStateTimer = setTimeout(() => writeViewState(), 500);
+}
+
+function applyViewState(view) {
+  restoringView = true;
+  state.metricKey = view.metricKey;
+  state.palette = view.palette;
+  setScaleStrategy(view.scale);
+  state.spinning = view.spinning && !motionPreferenceQuery?.matches;
+  syncSpinToggle();
+  if (view.camera) {
+    camera.position.copy(view.camera).clampLength(controls.minDistance, controls.maxDistance);
+    camera.lookAt(0, 0, 0);
+    controls.update();
+  }
+  if (view.rotation != null) {
+    globeGroup.rotation.y = view.rotation;
+  }
+
+  const point = dataPoints.find((candidate) => candidate.id === view.pointId) || null;
+  state.pinnedPointId = point ? point.id : null;
+  renderInfo(point);
+  if (point && !view.camera) {
+    flyTo(point.lat, point.lon, camera.position.length());
+  }
+  restoringView = false;
+}
+
+function pinPoint(point) {
+  state.pinnedPointId = point && !point.cluster ? point.id : null;
+  writeViewState(true);
 }
 
 function initScene() {
@@ -318,9 +793,6 @@ function initScene() {
 
   const ambient = new THREE.AmbientLight(0xffffff, 0.6);
   scene.add(ambient);
-  const dirLight = new THREE.DirectionalLight(0xffffff, 1);
-  dirLight.position.set(5, 3, 5);
-  scene.add(dirLight);
 
   controls = new OrbitControls(camera, renderer.domElement);
   controls.enableDamping = true;
@@ -330,17 +802,30 @@ function initScene() {
   controls.maxDistance = 6;
   controls.autoRotate = false;
   controls.addEventListener('start', () => {
+    cancelFlight();
     state.userInteracting = true;
   });
   controls.addEventListener('end', () => {
     state.userInteracting = false;
   });
+  controls.addEventListener('change', () => {
+    if (state.clustering && clusterCellSize() !== state.clusterCellSize) {
+      rebuildMarkers();
+    }
+    scheduleViewStateWrite();
+  });
 
   raycaster = new THREE.Raycaster();
   pointer = new THREE.Vector2();
 
+  renderer.domElement.addEventListener('pointerdown', (event) => {
+    pressPosition = { x: event.clientX, y: event.clientY };
+  });
   renderer.domElement.addEventListener('pointermove', handlePointerMove);
-  renderer.domElement.addEventListener('pointerleave', clearHover);
+  renderer.domElement.addEventListener('pointerleave', () => {
+    clearHover();
+    updateCursorReadout(null);
+  });
   renderer.domElement.addEventListener('pointerup', handlePointerSelection);
 }
 
@@ -348,34 +833,28 @@ async function buildGlobe() {
   globeGroup = new THREE.Group();
   scene.add(globeGroup);
 
-  const loader = new THREE.TextureLoader();
-  const [earthTexture, cloudTexture] = await Promise.all([
-    loadTexture(loader, TEXTURE_URL).catch(() => null),
-    loadTexture(loader, CLOUDS_TEXTURE).catch(() => null)
-  ]);
+  basemapCanvas = document.createElement('canvas');
+  basemapCanvas.width = Math.min(basemapConfig.textureWidth, renderer.capabilities.maxTextureSize);
+  basemapCanvas.height = basemapCanvas.width / 2;
+  basemapTexture = new THREE.CanvasTexture(basemapCanvas);
+  basemapTexture.colorSpace = THREE.SRGBColorSpace;
+  basemapTexture.anisotropy = renderer.capabilities.getMaxAnisotropy();
 
-  const sphereMaterial = new THREE.MeshPhongMaterial({
-    color: '#0d265c',
-    specular: '#123',
-    shininess: 8,
-    map: earthTexture || null
+  basemap = await loadBasemap().catch((error) => {
+    console.warn('Basemap unavailable', error);
+    return null;
   });
+  syncBasemapControls();
+  drawBasemap();
 
-  const sphere = new THREE.Mesh(new THREE.SphereGeometry(1, 64, 64), sphereMaterial);
+  globeMaterial = createGlobeMaterial(basemapTexture);
+  const sphere = new THREE.Mesh(new THREE.SphereGeometry(1, 64, 64), globeMaterial);
   globeGroup.add(sphere);
 
-  if (cloudTexture) {
-    const clouds = new THREE.Mesh(
-      new THREE.SphereGeometry(1.01, 64, 64),
-      new THREE.MeshLambertMaterial({
-        map: cloudTexture,
-        transparent: true,
-        opacity: 0.25,
-        depthWrite: false
-      })
-    );
-    globeGroup.add(clouds);
-  }
+  // The sun rides with the globe so its light stays Earth-fixed while spinning
+  sunLight = new THREE.DirectionalLight(0xffffff, 1);
+  globeGroup.add(sunLight);
+  updateSun(Date.now());
 
   const atmosphere = new THREE.Mesh(
     new THREE.SphereGeometry(1.05, 64, 64),
@@ -384,9 +863,386 @@ async function buildGlobe() {
   globeGroup.add(atmosphere);
 }
 
+// Basemap with night-side darkening and a terminator line. Normals stay in
+// object space, so the shading is Earth-fixed like the texture.
+function createGlobeMaterial(map) {
+  const sin = (degrees) => Math.sin(THREE.MathUtils.degToRad(degrees));
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uMap: { value: map },
+      uNightMap: { value: null },
+      uSunDirection: { value: new THREE.Vector3(1, 0, 0) },
+      uTerminatorColor: { value: new THREE.Color(sunConfig.terminatorColor) },
+      uEnabled: { value: state.sunlight ? 1 : 0 },
+      uHasNightMap: { value: 0 },
+      uNightMapIntensity: { value: sunConfig.cityLightsIntensity },
+      uDayAmbient: { value: sunConfig.dayAmbient },
+      uDayBrightness: { value: sunConfig.dayBrightness },
+      uNightBrightness: { value: sunConfig.nightBrightness },
+      uTwilight: { value: sin(sunConfig.twilightDegrees) },
+      uTerminatorWidth: { value: sin(sunConfig.terminatorDegrees) },
+      uTerminatorOpacity: { value: sunConfig.terminatorOpacity }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      varying vec3 vNormal;
+
+      void main() {
+        vUv = uv;
+        vNormal = normal;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D uMap;
+      uniform sampler2D uNightMap;
+      uniform vec3 uSunDirection;
+      uniform vec3 uTerminatorColor;
+      uniform float uEnabled;
+      uniform float uHasNightMap;
+      uniform float uNightMapIntensity;
+      uniform float uDayAmbient;
+      uniform float uDayBrightness;
+      uniform float uNightBrightness;
+      uniform float uTwilight;
+      uniform float uTerminatorWidth;
+      uniform float uTerminatorOpacity;
+      varying vec2 vUv;
+      varying vec3 vNormal;
+
+      void main() {
+        vec3 base = texture2D(uMap, vUv).rgb;
+        if (uEnabled < 0.5) {
+          gl_FragColor = vec4(base, 1.0);
+        } else {
+          // Sine of the sun's elevation at this point
+          float sunHeight = dot(normalize(vNormal), uSunDirection);
+          vec3 day = base * mix(uDayAmbient, uDayBrightness, max(sunHeight, 0.0));
+          vec3 night = base * uNightBrightness;
+          if (uHasNightMap > 0.5) {
+            night += texture2D(uNightMap, vUv).rgb * uNightMapIntensity;
+          }
+          vec3 color = mix(night, day, smoothstep(-uTwilight, uTwilight, sunHeight));
+          float terminator = 1.0 - smoothstep(0.0, uTerminatorWidth, abs(sunHeight));
+          gl_FragColor = vec4(mix(color, uTerminatorColor, terminator * uTerminatorOpacity), 1.0);
+        }
+        #include <colorspace_fragment>
+      }
+    `
+  });
+
+  if (sunConfig.cityLightsUrl) {
+    new THREE.TextureLoader().load(
+      sunConfig.cityLightsUrl,
+      (texture) => {
+        texture.colorSpace = THREE.SRGBColorSpace;
+        material.uniforms.uNightMap.value = texture;
+        material.uniforms.uHasNightMap.value = 1;
+      },
+      undefined,
+      (error) => console.warn('City lights unavailable', error)
+    );
+  }
+  return material;
+}
+
+// Aims the shading and the sun light from the subsolar point at a UTC time.
+function updateSun(time) {
+  const { lat, lon } = subsolarPoint(time);
+  const direction = surfaceVector(lat, lon);
+  globeMaterial.uniforms.uSunDirection.value.copy(direction);
+  sunLight.position.copy(direction).multiplyScalar(5);
+}
+
+// Where the sun is overhead at a UTC time (ms), from the Astronomical
+// Almanac's low-precision solar coordinates (about 0.01° for 1950-2050).
+function subsolarPoint(time) {
+  const rad = Math.PI / 180;
+  const days = (time - Date.UTC(2000, 0, 1, 12)) / 86400000;
+  const anomaly = (357.529 + 0.98560028 * days) * rad;
+  const meanLongitude = 280.459 + 0.98564736 * days;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly)) * rad;
+  const obliquity = (23.439 - 0.00000036 * days) * rad;
+
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const siderealTime = 280.46061837 + 360.98564736629 * days;
+  const lon = THREE.MathUtils.euclideanModulo(rightAscension / rad - siderealTime + 180, 360) - 180;
+  return { lat: declination / rad, lon };
+}
+
+// Sun elevation (degrees, no refraction), apparent solar time (hours) and
+// 'day' / 'twilight' / 'night' at a place and UTC time.
+function describeSun(lat, lon, time) {
+  const sun = subsolarPoint(time);
+  const cosine = THREE.MathUtils.clamp(surfaceVector(lat, lon).dot(surfaceVector(sun.lat, sun.lon)), -1, 1);
+  const elevation = THREE.MathUtils.radToDeg(Math.asin(cosine));
+  const solarTime = THREE.MathUtils.euclideanModulo(12 + (lon - sun.lon) / 15, 24);
+  const phase = elevation >= 0 ? 'day' : elevation >= -sunConfig.twilightDegrees ? 'twilight' : 'night';
+  return { elevation, solarTime, phase };
+}
+
+function syncSunControls() {
+  elements.sunToggle.textContent = state.sunlight ? 'Even Light' : 'Day/Night';
+  elements.sunToggle.setAttribute('aria-pressed', state.sunlight);
+  if (globeMaterial) globeMaterial.uniforms.uEnabled.value = state.sunlight ? 1 : 0;
+}
+
+async function loadBasemap() {
+  const response = await fetch(basemapConfig.url);
+  if (!response.ok) throw new Error(`${basemapConfig.url}: HTTP ${response.status}`);
+  return decodeBasemap(await response.json());
+}
+
+// Land polygons, ice caps and country borders (arcs shared by two different
+// countries) from a world-atlas topology.
+function decodeBasemap(topology) {
+  const arcs = decodeArcs(topology);
+  const { land, countries } = topology.objects;
+
+  const owners = new Map();
+  const shared = new Set();
+  countries.geometries.forEach((geometry, index) => {
+    topologyArcIndexes(geometry).forEach((arc) => {
+      if (!owners.has(arc)) owners.set(arc, index);
+      else if (owners.get(arc) !== index) shared.add(arc);
+    });
+  });
+
+  return {
+    land: land.geometries.flatMap((geometry) => topologyPolygons(arcs, geometry)),
+    iceCaps: countries.geometries
+      .filter((geometry) => basemapConfig.iceCaps.includes(geometry.properties?.name))
+      .flatMap((geometry) => topologyPolygons(arcs, geometry)),
+    borders: [...shared].map((arc) => arcs[arc])
+  };
+}
+
+// Arcs as [lon, lat] arrays, undoing quantization and delta encoding.
+function decodeArcs({ arcs, transform }) {
+  const [sx, sy] = transform ? transform.scale : [1, 1];
+  const [tx, ty] = transform ? transform.translate : [0, 0];
+  return arcs.map((arc) => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x = transform ? x + dx : dx;
+      y = transform ? y + dy : dy;
+      return [x * sx + tx, y * sy + ty];
+    });
+  });
+}
+
+function topologyPolygons(arcs, geometry) {
+  const toRing = (indexes) => indexes.flatMap((index, i) => {
+    const points = index < 0 ? [...arcs[~index]].reverse() : arcs[index];
+    return i === 0 ? points : points.slice(1);
+  });
+  if (geometry.type === 'Polygon') return [geometry.arcs.map(toRing)];
+  if (geometry.type === 'MultiPolygon') return geometry.arcs.map((polygon) => polygon.map(toRing));
+  return [];
+}
+
+function topologyArcIndexes(geometry) {
+  const rings = geometry.type === 'Polygon' ? geometry.arcs
+    : geometry.type === 'MultiPolygon' ? geometry.arcs.flat()
+    : [];
+  return new Set(rings.flat().map((index) => (index < 0 ? ~index : index)));
+}
+
+// Repaints the Earth texture: ocean, graticule, land, ice, coastlines,
+// (optionally) borders and the labelled reference lines. Without data only
+// the ocean and graticule show.
+function drawBasemap() {
+  const ctx = basemapCanvas.getContext('2d');
+  const { width, height } = basemapCanvas;
+  const { colors } = basemapConfig;
+  const graticuleStep = state.graticuleStep;
+  const line = width / 4096;
+  const project = ([lon, lat]) => [((lon + 180) / 360) * width, ((90 - lat) / 180) * height];
+
+  ctx.fillStyle = colors.ocean;
+  ctx.fillRect(0, 0, width, height);
+
+  if (state.graticule) {
+    ctx.strokeStyle = colors.graticule;
+    ctx.lineWidth = line;
+    ctx.beginPath();
+    for (let lon = -180 + graticuleStep; lon < 180; lon += graticuleStep) {
+      const [x] = project([lon, 0]);
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    }
+    for (let lat = -90 + graticuleStep; lat < 90; lat += graticuleStep) {
+      const [, y] = project([0, lat]);
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+  }
+
+  if (basemap) {
+    fillPolygons(ctx, basemap.land, colors.land, project);
+    fillPolygons(ctx, basemap.iceCaps, colors.ice, project);
+    ctx.strokeStyle = colors.coast;
+    ctx.lineWidth = line;
+    strokePaths(ctx, basemap.land.flat(), project, true);
+    if (state.borders) {
+      ctx.strokeStyle = colors.border;
+      ctx.lineWidth = line * 1.5;
+      strokePaths(ctx, basemap.borders, project, false);
+    }
+  }
+  if (state.graticule) {
+    drawReferenceLines(ctx, project, line);
+  }
+  basemapTexture.needsUpdate = true;
+}
+
+// Dashed equator, tropics and prime meridian with their names repeated
+// around the globe so one is always in view.
+function drawReferenceLines(ctx, project, line) {
+  const { width, height } = ctx.canvas;
+  const { referenceLines, labelSize, colors } = basemapConfig;
+
+  ctx.save();
+  ctx.strokeStyle = colors.reference;
+  ctx.lineWidth = line * 2;
+  ctx.setLineDash([line * 12, line * 8]);
+  ctx.beginPath();
+  referenceLines.forEach(({ lat, lon }) => {
+    if (lat !== undefined) {
+      const [, y] = project([0, lat]);
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    } else {
+      const [x] = project([lon, 0]);
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    }
+  });
+  ctx.stroke();
+
+  ctx.setLineDash([]);
+  ctx.fillStyle = colors.label;
+  ctx.font = `${Math.round(labelSize * line)}px sans-serif`;
+  const gap = labelSize * line * 0.4;
+  referenceLines.forEach(({ name, lat, lon }) => {
+    if (lat !== undefined) {
+      // Parallels: above the line in the north, below it in the south
+      ctx.textAlign = 'center';
+      ctx.textBaseline = lat < 0 ? 'top' : 'bottom';
+      [-135, -45, 45, 135].forEach((labelLon) => {
+        const [x, y] = project([labelLon, lat]);
+        ctx.fillText(name, x, lat < 0 ? y + gap : y - gap);
+      });
+    } else {
+      // Meridians: written along the line, reading north to south
+      [45, 15, -15, -45].forEach((labelLat) => {
+        const [x, y] = project([lon, labelLat]);
+        ctx.save();
+        ctx.translate(x + gap, y);
+        ctx.rotate(Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(name, 0, 0);
+        ctx.restore();
+      });
+    }
+  });
+  ctx.restore();
+}
+
+// Even-odd fill keeps lakes open. Rings circling a pole (Antarctica) end a
+// full turn from their start, so they're closed along that pole's edge.
+function fillPolygons(ctx, polygons, color, project) {
+  ctx.fillStyle = color;
+  polygons.forEach((polygon) => {
+    const rings = polygon.map((ring) => {
+      const unwrapped = unwrapLongitudes(ring);
+      const first = unwrapped[0];
+      const last = unwrapped[unwrapped.length - 1];
+      if (Math.abs(last[0] - first[0]) < 180) return unwrapped;
+      const pole = unwrapped.reduce((sum, point) => sum + point[1], 0) < 0 ? -90 : 90;
+      return [...unwrapped, [last[0], pole], [first[0], pole]];
+    });
+    wrapShifts(rings).forEach((shift) => {
+      ctx.beginPath();
+      rings.forEach((ring) => {
+        ring.forEach(([lon, lat], i) => {
+          const [x, y] = project([lon + shift, lat]);
+          if (i === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+      });
+      ctx.fill('evenodd');
+    });
+  });
+}
+
+// skipSeams leaves out segments along the antimeridian or south-pole edge,
+// where Natural Earth cuts land rather than following a coast.
+function strokePaths(ctx, paths, project, skipSeams) {
+  const onEdge = (lon) => Math.abs(Math.abs(lon) - 180) < 1e-3;
+  const onSeam = (a, b) => (onEdge(a[0]) && onEdge(b[0])) || (a[1] < -89.99 && b[1] < -89.99);
+
+  ctx.beginPath();
+  paths.forEach((points) => {
+    const unwrapped = unwrapLongitudes(points);
+    wrapShifts([unwrapped]).forEach((shift) => {
+      unwrapped.forEach(([lon, lat], i) => {
+        const [x, y] = project([lon + shift, lat]);
+        if (i === 0 || (skipSeams && onSeam(unwrapped[i - 1], [lon, lat]))) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+    });
+  });
+  ctx.stroke();
+}
+
+// Keeps longitudes continuous across the antimeridian (a path may run past
+// ±180° instead of jumping across the map).
+function unwrapLongitudes(points) {
+  let offset = 0;
+  return points.map(([lon, lat], i) => {
+    if (i > 0) {
+      const previous = points[i - 1][0];
+      if (lon - previous > 180) offset -= 360;
+      else if (previous - lon > 180) offset += 360;
+    }
+    return [lon + offset, lat];
+  });
+}
+
+// Longitude shifts that bring parts of unwrapped paths past ±180° back onto
+// the map.
+function wrapShifts(paths) {
+  let west = Infinity;
+  let east = -Infinity;
+  paths.forEach((points) => points.forEach(([lon]) => {
+    if (lon < west) west = lon;
+    if (lon > east) east = lon;
+  }));
+
+  const shifts = [0];
+  if (east > 180) shifts.push(-360);
+  if (west < -180) shifts.push(360);
+  return shifts;
+}
+
+function syncBasemapControls() {
+  elements.bordersToggle.textContent = state.borders ? 'Hide Borders' : 'Borders';
+  elements.bordersToggle.setAttribute('aria-pressed', state.borders);
+  elements.bordersToggle.disabled = !basemap;
+  elements.graticuleToggle.textContent = state.graticule ? 'Hide Graticule' : 'Graticule';
+  elements.graticuleToggle.setAttribute('aria-pressed', state.graticule);
+  elements.graticuleStep.hidden = !state.graticule;
+}
+
 function buildMarkers() {
   markerGroup = new THREE.Group();
-  dataPoints.forEach((point) => {
+  visiblePoints().forEach((point) => {
     const geometry = new THREE.SphereGeometry(baseMarkerSize, 16, 16);
     const material = new THREE.MeshStandardMaterial({
       color: '#ffffff',
@@ -402,56 +1258,470 @@ function buildMarkers() {
   globeGroup.add(markerGroup);
 }
 
+function rebuildMarkers() {
+  if (!markerGroup) return;
+  clearHover();
+  markerGroup.children.forEach((marker) => {
+    marker.geometry.dispose();
+    marker.material.dispose();
+  });
+  globeGroup.remove(markerGroup);
+  buildMarkers();
+  updateMetric(state.metricKey);
+}
+
+function visiblePoints() {
+  if (!state.clustering) return dataPoints;
+  state.clusterCellSize = clusterCellSize();
+  return clusterPoints(dataPoints, state.clusterCellSize);
+}
+
+function clusterCellSize() {
+  const raw = clusterConfig.cellScale * Math.max(camera.position.length() - 1, 0.01);
+  const snapped = Math.pow(2, Math.round(Math.log2(raw)));
+  return THREE.MathUtils.clamp(snapped, clusterConfig.minCellSize, clusterConfig.maxCellSize);
+}
+
+function clusterPoints(points, cellSize) {
+  const cells = new Map();
+  points.forEach((point) => {
+    const row = Math.floor((Math.min(point.lat, 89.999) + 90) / cellSize);
+    const rowLat = (row + 0.5) * cellSize - 90;
+    const cols = Math.max(1, Math.floor((360 * Math.cos(THREE.MathUtils.degToRad(rowLat))) / cellSize));
+    const col = Math.floor(((((point.lon + 180) % 360) + 360) % 360 / 360) * cols);
+    const key = `${row}:${col}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  });
+  return [...cells.entries()].map(([key, members]) =>
+    members.length === 1 ? members[0] : createCluster(`cluster-${cellSize}-${key}`, members)
+  );
+}
+
+function createCluster(id, members) {
+  const center = new THREE.Vector3();
+  members.forEach((point) => {
+    const probe = new THREE.Object3D();
+    positionMarker(probe, point.lat, point.lon, 1);
+    center.add(probe.position);
+  });
+  center.normalize();
+  const lat = 90 - THREE.MathUtils.radToDeg(Math.acos(center.y));
+  const lon = THREE.MathUtils.radToDeg(Math.atan2(center.z, -center.x)) - 180;
+  const metrics = {};
+  metricRegistry.forEach((metric, key) => {
+    metrics[key] = aggregateMetric(members, key);
+  });
+  return {
+    id,
+    name: `${members.length} ${state.dataset ? 'locations' : 'cities'}`,
+    lat,
+    lon: lon < -180 ? lon + 360 : lon,
+    metrics,
+    cluster: members
+  };
+}
+
+function aggregateMetric(points, metricKey) {
+  const values = points.map((point) => metricValue(point, metricKey)).filter(Number.isFinite);
+  if (!values.length) return null;
+  if (state.clusterAggregate === 'mean') {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+  return values.reduce((max, value) => Math.max(max, value), -Infinity);
+}
+
+function syncClusterControls() {
+  elements.clusterToggle.textContent = state.clustering ? 'Uncluster' : 'Cluster';
+  elements.clusterToggle.setAttribute('aria-pressed', state.clustering);
+  elements.clusterAggregate.hidden = !state.clustering;
+}
+
+function buildHeatmap() {
+  const canvas = document.createElement('canvas');
+  canvas.width = heatmapConfig.width;
+  canvas.height = heatmapConfig.height;
+  heatmapContext = canvas.getContext('2d');
+  heatmapTexture = new THREE.CanvasTexture(canvas);
+  heatmapTexture.colorSpace = THREE.SRGBColorSpace;
+  heatmapMesh = new THREE.Mesh(
+    new THREE.SphereGeometry(heatmapConfig.radius, 64, 64),
+    new THREE.MeshBasicMaterial({ map: heatmapTexture, transparent: true, depthWrite: false })
+  );
+  heatmapMesh.visible = state.heatmap;
+  globeGroup.add(heatmapMesh);
+}
+
+function updateHeatmap() {
+  if (!heatmapMesh) return;
+  heatmapMesh.visible = state.heatmap;
+  if (!state.heatmap) return;
+
+  const scale = metricScale(state.metricKey);
+  const weight = state.heatmapWeighting === 'metric'
+    ? (point) => scale.normalize(metricValue(point, state.metricKey)) ?? 0
+    : () => 1;
+  const { density, peak } = rasterizeHeatmap(dataPoints, weight);
+
+  const { width, height } = heatmapConfig;
+  const image = heatmapContext.createImageData(width, height);
+  density.forEach((value, index) => {
+    if (!peak || value <= peak * 1e-4) return;
+    const [r, g, b, a] = heatColor(Math.sqrt(value / peak));
+    image.data.set([r, g, b, a * 255], index * 4);
+  });
+  heatmapContext.putImageData(image, 0, 0);
+  heatmapTexture.needsUpdate = true;
+}
+
+// Gaussian kernel density over the equirectangular grid. Weights are binned
+// first, then blurred separably (rows, then latitude-scaled columns) so cost
+// tracks the grid size rather than the point count.
+function rasterizeHeatmap(points, weight) {
+  const { width, height, bandwidthKm } = heatmapConfig;
+  const bins = new Float32Array(width * height);
+  const column = new Float32Array(width * height);
+  const density = new Float32Array(width * height);
+
+  points.forEach((point) => {
+    const w = weight(point);
+    if (!Number.isFinite(w) || w <= 0) return;
+    const x = heatmapColumn(point.lon);
+    const y = THREE.MathUtils.clamp(Math.floor(((90 - point.lat) / 180) * height), 0, height - 1);
+    bins[y * width + x] += w;
+  });
+
+  const reach = 3 * bandwidthKm;
+  const kernel = (step, taps) => Array.from({ length: 2 * taps + 1 }, (_, i) =>
+    Math.exp(-(((i - taps) * step) ** 2) / (2 * bandwidthKm * bandwidthKm))
+  );
+
+  const kmPerRow = 20015 / height;
+  const rowTaps = Math.ceil(reach / kmPerRow);
+  const rowKernel = kernel(kmPerRow, rowTaps);
+  for (let y = 0; y < height; y += 1) {
+    for (let k = -rowTaps; k <= rowTaps; k += 1) {
+      const source = y + k;
+      if (source < 0 || source >= height) continue;
+      for (let x = 0; x < width; x += 1) {
+        column[y * width + x] += bins[source * width + x] * rowKernel[k + rowTaps];
+      }
+    }
+  }
+
+  let peak = 0;
+  for (let y = 0; y < height; y += 1) {
+    const rowLat = 90 - ((y + 0.5) / height) * 180;
+    const kmPerCol = Math.max((40075 * Math.cos(THREE.MathUtils.degToRad(rowLat))) / width, 1e-3);
+    const colTaps = Math.min(Math.ceil(reach / kmPerCol), Math.floor(width / 2));
+    const colKernel = kernel(kmPerCol, colTaps);
+    for (let x = 0; x < width; x += 1) {
+      let sum = 0;
+      for (let k = -colTaps; k <= colTaps; k += 1) {
+        sum += column[y * width + (((x + k) % width) + width) % width] * colKernel[k + colTaps];
+      }
+      density[y * width + x] = sum;
+      peak = Math.max(peak, sum);
+    }
+  }
+
+  return { density, peak };
+}
+
+// Texture column for a longitude: SphereGeometry's u runs eastward from the
+// antimeridian, matching positionMarker and the basemap texture.
+function heatmapColumn(lon) {
+  const u = (((lon + 180) / 360) % 1 + 1) % 1;
+  return Math.min(Math.floor(u * heatmapConfig.width), heatmapConfig.width - 1);
+}
+
+function heatColor(t) {
+  const stops = heatmapConfig.ramp;
+  const upper = stops.findIndex((stop) => stop.t >= t);
+  if (upper <= 0) return stops[Math.max(upper, 0)].color;
+  const from = stops[upper - 1];
+  const to = stops[upper];
+  const k = (t - from.t) / (to.t - from.t);
+  return from.color.map((channel, i) => channel + (to.color[i] - channel) * k);
+}
+
+function heatmapGradientCss() {
+  const stops = heatmapConfig.ramp.map(({ t, color: [r, g, b, a] }) =>
+    `rgba(${r}, ${g}, ${b}, ${Math.max(a, 0.15)}) ${t * 100}%`
+  );
+  return `linear-gradient(90deg, ${stops.join(', ')})`;
+}
+
+function syncHeatmapControls() {
+  elements.heatmapToggle.textContent = state.heatmap ? 'Hide Heatmap' : 'Heatmap';
+  elements.heatmapToggle.setAttribute('aria-pressed', state.heatmap);
+  elements.heatmapWeighting.hidden = !state.heatmap;
+  elements.heatmapLegend.hidden = !state.heatmap;
+}
+
+// Eased camera flight to face a lat/lon. The target is resolved through the
+// globe's current world matrix, so spin drift in rotation.y is accounted for;
+// spin pauses for the move. Resolves true on arrival, false if cancelled by a
+// drag or a newer flight. duration 0 jumps.
+function flyTo(lat, lon, distance = camera.position.length(), duration = flyDuration) {
+  const target = new THREE.Object3D();
+  positionMarker(target, lat, lon, 1);
+  globeGroup.updateMatrixWorld();
+  const direction = target.position.applyMatrix4(globeGroup.matrixWorld).normalize();
+  return flyToDirection(direction, distance, duration);
+}
+
+// Slerps the camera direction and lerps distance; optionally eases the
+// globe's rotation.y to `globeRotation` along the way (used by resetView).
+function flyToDirection(direction, distance, duration, globeRotation = null) {
+  cancelFlight();
+  state.spinning = false;
+  syncSpinToggle();
+  const from = camera.position.clone().normalize();
+  const spin = globeGroup.rotation.y;
+  return new Promise((resolve) => {
+    flight = {
+      from,
+      rotation: new THREE.Quaternion().setFromUnitVectors(from, direction),
+      fromDistance: camera.position.length(),
+      toDistance: THREE.MathUtils.clamp(distance, controls.minDistance, controls.maxDistance),
+      // Unwind along the shorter way round
+      fromSpin: globeRotation === null ? null : Math.atan2(Math.sin(spin), Math.cos(spin)),
+      toSpin: globeRotation,
+      start: performance.now(),
+      duration,
+      resolve
+    };
+    if (duration <= 0) updateFlight(flight.start);
+  });
+}
+
+function updateFlight(now) {
+  const current = flight;
+  const t = current.duration > 0 ? Math.min((now - current.start) / current.duration, 1) : 1;
+  const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  const step = new THREE.Quaternion().slerp(current.rotation, eased);
+  const distance = THREE.MathUtils.lerp(current.fromDistance, current.toDistance, eased);
+  camera.position.copy(current.from).applyQuaternion(step).multiplyScalar(distance);
+  camera.lookAt(0, 0, 0);
+  if (current.fromSpin !== null) {
+    globeGroup.rotation.y = THREE.MathUtils.lerp(current.fromSpin, current.toSpin, eased);
+  }
+  if (t === 1) {
+    flight = null;
+    current.resolve(true);
+  }
+}
+
+function cancelFlight() {
+  if (!flight) return;
+  const { resolve } = flight;
+  flight = null;
+  resolve(false);
+}
+
+// Substring hits rank first (word starts and earlier hits higher); otherwise
+// the query's characters must appear in order, scored by how tightly.
+function fuzzyScore(query, text) {
+  const q = query.trim().toLowerCase();
+  const t = String(text ?? '').toLowerCase();
+  if (!q || !t) return null;
+
+  const index = t.indexOf(q);
+  if (index !== -1) {
+    const wordStart = index === 0 || /[\s,(-]/.test(t[index - 1]);
+    return 1000 + (wordStart ? 100 : 0) - index;
+  }
+
+  let score = 0;
+  let position = -1;
+  let run = 0;
+  for (const char of q.replace(/\s+/g, '')) {
+    const next = t.indexOf(char, position + 1);
+    if (next === -1) return null;
+    run = next === position + 1 ? run + 1 : 0;
+    score += 10 + run * 5 - Math.min(next - position - 1, 10);
+    position = next;
+  }
+  return score;
+}
+
+function searchPoints(query) {
+  if (query.trim().length < 2) return [];
+  return dataPoints
+    .map((point) => ({
+      point,
+      // Name hits outrank country/region hits
+      score: Math.max(
+        (fuzzyScore(query, point.name) ?? -Infinity) + 50,
+        fuzzyScore(query, point.country) ?? -Infinity,
+        fuzzyScore(query, point.region) ?? -Infinity
+      )
+    }))
+    .filter((result) => result.score > -Infinity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 8)
+    .map((result) => result.point);
+}
+
+function updateSearchResults() {
+  state.searchResults = searchPoints(elements.searchInput.value);
+  state.searchIndex = state.searchResults.length ? 0 : -1;
+  renderSearchResults();
+}
+
+function renderSearchResults() {
+  const list = elements.searchResults;
+  const query = elements.searchInput.value.trim();
+  list.innerHTML = '';
+
+  state.searchResults.forEach((point, index) => {
+    const option = document.createElement('li');
+    option.id = `searchOption${index}`;
+    option.className = 'search-option';
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', index === state.searchIndex);
+    option.dataset.index = index;
+    const name = document.createElement('span');
+    name.textContent = point.name;
+    const meta = document.createElement('span');
+    meta.className = 'search-meta';
+    meta.textContent = [point.country, point.region].filter(Boolean).join(' · ') || point.category;
+    option.append(name, meta);
+    list.appendChild(option);
+  });
+
+  if (!state.searchResults.length && query.length >= 2) {
+    const empty = document.createElement('li');
+    empty.className = 'search-meta';
+    empty.textContent = 'No matching cities';
+    list.appendChild(empty);
+  }
+
+  list.hidden = list.children.length === 0;
+  elements.searchInput.setAttribute('aria-expanded', !list.hidden);
+  elements.searchInput.setAttribute(
+    'aria-activedescendant',
+    state.searchIndex >= 0 ? `searchOption${state.searchIndex}` : ''
+  );
+}
+
+function handleSearchKey(event) {
+  const count = state.searchResults.length;
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (!count) return;
+    const delta = event.key === 'ArrowDown' ? 1 : -1;
+    state.searchIndex = (state.searchIndex + delta + count) % count;
+    renderSearchResults();
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    if (state.searchIndex >= 0) chooseSearchResult(state.searchIndex);
+  } else if (event.key === 'Escape') {
+    closeSearch();
+    elements.searchInput.blur();
+  }
+}
+
+function chooseSearchResult(index) {
+  const point = state.searchResults[index];
+  if (!point) return;
+  elements.searchInput.value = point.name;
+  closeSearch();
+  flyTo(point.lat, point.lon, Math.min(camera.position.length(), 2));
+  renderInfo(point);
+  pinPoint(point);
+}
+
+function closeSearch() {
+  state.searchResults = [];
+  state.searchIndex = -1;
+  renderSearchResults();
+}
+
 function animate() {
   requestAnimationFrame(animate);
+  if (flight) {
+    updateFlight(performance.now());
+  }
   if (state.spinning && !state.userInteracting) {
     globeGroup.rotation.y += spinVelocity;
   }
+  updateSun(Date.now());
   controls.update();
   renderer.render(scene, camera);
 }
 
 function updateMetric(metricKey) {
-  if (!metricsConfig[metricKey]) return;
+  const config = metricRegistry.get(metricKey);
+  if (!config) return;
   state.metricKey = metricKey;
   elements.metricSelect.value = metricKey;
-  const config = metricsConfig[metricKey];
-  const [min, max] = config.domain;
+  const scale = metricScale(metricKey);
+  const ramp = metricRamp(config);
+  renderScaleOptions();
 
   if (!markerGroup) {
-    updateLegend(config, min, max);
+    updateLegend(config, scale);
     updateSummary(metricKey);
     return;
   }
 
   markerGroup.children.forEach((marker) => {
-    const value = marker.userData.metrics[metricKey];
-    const t = normalize(value, min, max);
-    const color = interpolateColor(config.colors[0], config.colors[1], t);
+    const t = scale.normalize(metricValue(marker.userData, metricKey)) ?? 0;
+    const color = rampColor(ramp, t);
     marker.material.color.set(color);
     marker.material.emissive.set(color);
-    const scale = THREE.MathUtils.lerp(config.sizeRange[0], config.sizeRange[1], t);
-    marker.scale.setScalar(scale);
+    const size = THREE.MathUtils.lerp(config.sizeRange[0], config.sizeRange[1], t);
+    const clusterBoost = marker.userData.cluster
+      ? 1 + Math.log2(marker.userData.cluster.length) * clusterConfig.countScale
+      : 1;
+    marker.scale.setScalar(size * clusterBoost);
   });
 
-  updateLegend(config, min, max);
+  updateLegend(config, scale);
   updateSummary(metricKey);
   renderInfo(state.selectedPoint);
+  updateHeatmap();
 }
 
-function updateLegend(config, min, max) {
+// Gradient with ticks at the values each quarter of the ramp maps to, or one
+// swatch per class (labelled with its break values) for classed scales.
+function updateLegend(config, scale) {
+  const ramp = metricRamp(config);
+  elements.paletteSelect.value = state.palette || '';
   elements.legendTitle.textContent = config.label;
   elements.legendRange.textContent = config.unit;
-  elements.legendMin.textContent = config.formatter ? config.formatter(min) : min.toFixed(1);
-  elements.legendMax.textContent = config.formatter ? config.formatter(max) : max.toFixed(1);
   elements.legendDescription.textContent = config.description;
-  elements.legendGradient.style.background = `linear-gradient(90deg, ${config.colors[0]}, ${config.colors[1]})`;
+  const classed = scale.breaks !== null;
+  elements.legendGradient.hidden = classed;
+  elements.legendScale.hidden = classed;
+  elements.legendClasses.hidden = !classed;
+
+  if (classed) {
+    const classes = scale.breaks.length - 1;
+    elements.legendClasses.innerHTML = scale.breaks
+      .slice(0, -1)
+      .map(
+        (low, index) => `
+        <div class="legend-class">
+          <span class="legend-swatch" style="background: ${rampColor(ramp, index / (classes - 1))}"></span>
+          <span>${config.formatter(low)}–${config.formatter(scale.breaks[index + 1])}</span>
+        </div>`
+      )
+      .join('');
+    return;
+  }
+  elements.legendGradient.style.background = rampGradientCss(ramp);
+  elements.legendScale.innerHTML = [0, 0.25, 0.5, 0.75, 1]
+    .map((t) => `<span>${config.formatter(scale.invert(t))}</span>`)
+    .join('');
 }
 
 function updateSummary(metricKey) {
-  if (!elements.summaryGrid || !metricsConfig[metricKey]) return;
+  const config = metricRegistry.get(metricKey);
+  if (!elements.summaryGrid || !config) return;
   const stats = computeMetricStats(metricKey);
-  const config = metricsConfig[metricKey];
   if (!stats) {
     elements.summaryGrid.innerHTML = '<p>No data available for this metric.</p>';
     return;
@@ -463,8 +1733,8 @@ function updateSummary(metricKey) {
 
   elements.summaryGrid.innerHTML = `
     <div class="summary-card accent">
-      <span class="label">Top City</span>
-      <span class="value">${stats.topPoint.name}</span>
+      <span class="label">Top ${state.dataset ? 'Location' : 'City'}</span>
+      <span class="value">${escapeHtml(stats.topPoint.name)}</span>
       <span class="description">${topValue}</span>
     </div>
     <div class="summary-card">
@@ -475,37 +1745,193 @@ function updateSummary(metricKey) {
     <div class="summary-card">
       <span class="label">Spread</span>
       <span class="value">${spread}</span>
-      <span class="description">${stats.count} cities tracked</span>
+      <span class="description">${stats.count} ${state.dataset ? 'locations' : 'cities'} tracked</span>
     </div>
   `;
 }
 
 function computeMetricStats(metricKey) {
-  if (!metricsConfig[metricKey]) return null;
-  const validPoints = dataPoints.filter((point) => Number.isFinite(point.metrics[metricKey]));
+  if (!metricRegistry.has(metricKey)) return null;
+  const value = (point) => metricValue(point, metricKey);
+  const validPoints = dataPoints.filter((point) => Number.isFinite(value(point)));
   if (!validPoints.length) return null;
-  const topPoint = validPoints.reduce((prev, curr) =>
-    curr.metrics[metricKey] > (prev?.metrics[metricKey] ?? -Infinity) ? curr : prev
-  );
-  const minPoint = validPoints.reduce((prev, curr) =>
-    curr.metrics[metricKey] < (prev?.metrics[metricKey] ?? Infinity) ? curr : prev
-  );
-  const total = validPoints.reduce((sum, point) => sum + point.metrics[metricKey], 0);
+  const topPoint = validPoints.reduce((prev, curr) => (value(curr) > value(prev) ? curr : prev));
+  const minPoint = validPoints.reduce((prev, curr) => (value(curr) < value(prev) ? curr : prev));
+  const total = validPoints.reduce((sum, point) => sum + value(point), 0);
   const average = total / validPoints.length;
   return {
     topPoint,
     minPoint,
-    topValue: topPoint.metrics[metricKey],
-    minValue: minPoint.metrics[metricKey],
-    range: topPoint.metrics[metricKey] - minPoint.metrics[metricKey],
+    topValue: value(topPoint),
+    minValue: value(minPoint),
+    range: value(topPoint) - value(minPoint),
     average,
     count: validPoints.length
   };
 }
 
 function formatMetricValue(metricKey, value) {
-  if (!metricsConfig[metricKey] || typeof value !== 'number') return '--';
-  return metricsConfig[metricKey].formatter ? metricsConfig[metricKey].formatter(value) : value.toFixed(1);
+  const metric = metricRegistry.get(metricKey);
+  if (!metric || !Number.isFinite(value)) return '--';
+  return metric.formatter(value);
+}
+
+// Clusters carry pre-aggregated values; points go through the accessor
+function metricValue(point, metricKey) {
+  if (point.cluster) return point.metrics[metricKey];
+  return metricRegistry.get(metricKey)?.accessor(point) ?? null;
+}
+
+function metricStrategy(metricKey) {
+  return state.scaleStrategies[metricKey] || metricRegistry.get(metricKey).domain.strategy;
+}
+
+// Strategies offered for a metric (fixed needs a range)
+function availableStrategies(metric) {
+  return Object.keys(scaleStrategies).filter((id) => metric.domain.range || !scaleStrategies[id].needsRange);
+}
+
+function metricScale(metricKey) {
+  const metric = metricRegistry.get(metricKey);
+  const values = dataPoints.map(metric.accessor).filter(Number.isFinite).sort((a, b) => a - b);
+  const strategy = availableStrategies(metric).includes(metricStrategy(metricKey))
+    ? metricStrategy(metricKey)
+    : 'extent';
+  return scaleStrategies[strategy].create(values, metric);
+}
+
+function valueExtent(values, metric) {
+  if (!values.length) return metric.domain.range || [0, 1];
+  const min = values[0];
+  const max = values[values.length - 1];
+  return min === max ? [min, min + 1] : [min, max];
+}
+
+function continuousScale(strategy, domain, transform = (t) => t, inverse = (t) => t) {
+  const [min, max] = domain;
+  return {
+    strategy,
+    domain,
+    breaks: null,
+    normalize: (value) => (Number.isFinite(value) ? transform(normalize(value, min, max)) : null),
+    invert: (t) => min + inverse(t) * (max - min)
+  };
+}
+
+// Duplicate breaks collapse; under two classes falls back to linear
+function classedScale(strategy, breaks, values, metric) {
+  const unique = breaks.filter((value, index) => index === 0 || value > breaks[index - 1]);
+  if (unique.length < 3) return continuousScale(strategy, valueExtent(values, metric));
+  const classes = unique.length - 1;
+  const classOf = (value) => {
+    let index = 0;
+    while (index < classes - 1 && value > unique[index + 1]) index += 1;
+    return index;
+  };
+  return {
+    strategy,
+    domain: [unique[0], unique[classes]],
+    breaks: unique,
+    normalize: (value) => (Number.isFinite(value) ? classOf(value) / (classes - 1) : null),
+    invert: (t) => unique[Math.round(t * classes)]
+  };
+}
+
+function quantileBreaks(values, classes) {
+  if (!values.length) return [];
+  return Array.from({ length: classes + 1 }, (_, i) =>
+    values[Math.min(values.length - 1, Math.round((i / classes) * (values.length - 1)))]
+  );
+}
+
+// Fisher-Jenks natural breaks: minimum summed within-class variance via DP.
+// lower[l][j] is the 1-based start of the last class when the first l values
+// form j classes. The dataset is small, so no sampling is needed.
+function jenksBreaks(values, classes) {
+  const n = values.length;
+  if (n <= classes) return [...values];
+  const lower = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+  const cost = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+  for (let j = 1; j <= classes; j += 1) {
+    lower[1][j] = 1;
+    cost[1][j] = 0;
+  }
+  for (let l = 2; l <= n; l += 1) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m += 1) {
+      const start = l - m + 1;
+      const value = values[start - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+      if (start > 1) {
+        for (let j = 2; j <= classes; j += 1) {
+          const candidate = variance + cost[start - 1][j - 1];
+          if (cost[l][j] >= candidate) {
+            lower[l][j] = start;
+            cost[l][j] = candidate;
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    cost[l][1] = variance;
+  }
+
+  const breaks = new Array(classes + 1);
+  breaks[0] = values[0];
+  breaks[classes] = values[n - 1];
+  let end = n;
+  for (let j = classes; j > 1; j -= 1) {
+    const start = lower[end][j];
+    breaks[j - 1] = values[start - 2];
+    end = start - 1;
+  }
+  return breaks;
+}
+
+function renderScaleOptions() {
+  const metric = metricRegistry.get(state.metricKey);
+  elements.scaleStrategy.innerHTML = availableStrategies(metric)
+    .map((id) => `<option value="${id}">${scaleStrategies[id].label}</option>`)
+    .join('');
+  elements.scaleStrategy.value = metricScale(state.metricKey).strategy;
+}
+
+// Choosing the metric's own strategy clears the override
+function setScaleStrategy(strategy) {
+  if (!Object.hasOwn(scaleStrategies, strategy) || strategy === metricRegistry.get(state.metricKey).domain.strategy) {
+    delete state.scaleStrategies[state.metricKey];
+  } else {
+    state.scaleStrategies[state.metricKey] = strategy;
+  }
+  updateMetric(state.metricKey);
+}
+
+function renderMetricOptions() {
+  elements.metricSelect.innerHTML = availableMetrics()
+    .map((metric) => `<option value="${escapeHtml(metric.id)}">${escapeHtml(metric.label)}</option>`)
+    .join('');
+  elements.metricSelect.value = state.metricKey;
+}
+
+// Metrics with at least one value in the loaded points (all of them if none do)
+function availableMetrics() {
+  const metrics = [...metricRegistry.values()];
+  const present = metrics.filter((metric) => dataPoints.some((point) => Number.isFinite(metric.accessor(point))));
+  return present.length ? present : metrics;
+}
+
+// "Night (sun 23° below the horizon, 02:14 solar time)" for a timed point.
+function localSunNote(point) {
+  const { elevation, solarTime, phase } = describeSun(point.lat, point.lon, point.time);
+  const labels = { day: 'Day', twilight: 'Twilight', night: 'Night' };
+  const minutes = Math.floor(solarTime * 60);
+  const clock = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  const side = elevation >= 0 ? 'above' : 'below';
+  return `Local ${labels[phase].toLowerCase()}: sun ${Math.round(Math.abs(elevation))}° ${side} the horizon, ${clock} solar time`;
 }
 
 function renderInfo(point) {
@@ -517,30 +1943,20 @@ function renderInfo(point) {
   }
 
   state.selectedPoint = point;
-  const activeConfig = metricsConfig[state.metricKey];
-  const cards = [
-    {
-      label: activeConfig.label,
-      value: formatMetricValue(state.metricKey, point.metrics[state.metricKey]),
-      hint: activeConfig.unit,
-      accent: true
-    },
-    {
-      label: 'Population',
-      value: formatMetricValue('population', point.metrics.population),
-      hint: metricsConfig.population.unit
-    },
-    {
-      label: 'CO₂ Emissions',
-      value: formatMetricValue('emissions', point.metrics.emissions),
-      hint: metricsConfig.emissions.unit
-    },
-    {
-      label: 'Renewable Share',
-      value: formatMetricValue('renewables', point.metrics.renewables),
-      hint: 'Rolling average'
-    }
-  ];
+  if (point.cluster) {
+    renderClusterInfo(point);
+    return;
+  }
+  // Active metric first and accented, then every other metric the data has
+  const active = metricRegistry.get(state.metricKey);
+  const cards = [active, ...availableMetrics().filter((metric) => metric !== active)].map(
+    (metric) => ({
+      label: escapeHtml(metric.label),
+      value: formatMetricValue(metric.id, metricValue(point, metric.id)),
+      hint: metric.unit,
+      accent: metric === active
+    })
+  );
 
   const cardsMarkup = cards
     .map(
@@ -553,15 +1969,371 @@ function renderInfo(point) {
     )
     .join('');
 
+  const meta = [point.country, point.region, point.lastUpdated && `Updated ${point.lastUpdated}`]
+    .filter(Boolean)
+    .join(' · ');
   elements.infoTitle.textContent = point.name;
   elements.infoContent.innerHTML = `
-    <p class="location-meta">${point.country} · ${point.region} · Updated ${point.lastUpdated}</p>
-    <span class="badge">${point.category}</span>
+    ${meta ? `<p class="location-meta">${escapeHtml(meta)}</p>` : ''}
+    ${point.time != null ? `<p class="location-meta">${localSunNote(point)}</p>` : ''}
+    <span class="badge">${escapeHtml(point.category)}</span>
     <div class="info-grid">${cardsMarkup}</div>
-    <p>${point.footprint}</p>
+    ${point.footprint ? `<p>${escapeHtml(point.footprint)}</p>` : ''}
+  `;
+}
+
+function renderClusterInfo(cluster) {
+  const activeConfig = metricRegistry.get(state.metricKey);
+  const members = [...cluster.cluster].sort(
+    (a, b) => (metricValue(b, state.metricKey) ?? -Infinity) - (metricValue(a, state.metricKey) ?? -Infinity)
+  );
+  const rows = members
+    .map(
+      (point, index) => `
+      <li>
+        <button type="button" class="cluster-member" data-index="${index}">
+          <span>${escapeHtml([point.name, point.country].filter(Boolean).join(', '))}</span>
+          <span>${formatMetricValue(state.metricKey, metricValue(point, state.metricKey))}</span>
+        </button>
+      </li>`
+    )
+    .join('');
+
+  elements.infoTitle.textContent = cluster.name;
+  elements.infoContent.innerHTML = `
+    <p class="location-meta">${escapeHtml(activeConfig.label)} (${state.clusterAggregate}): ${formatMetricValue(state.metricKey, metricValue(cluster, state.metricKey))}</p>
+    <ul class="cluster-list">${rows}</ul>
+    <button type="button" class="cluster-zoom">Zoom in</button>
+  `;
+
+  elements.infoContent.querySelectorAll('.cluster-member').forEach((button) => {
+    button.addEventListener('click', () => {
+      const member = members[Number(button.dataset.index)];
+      renderInfo(member);
+      pinPoint(member);
+    });
+  });
+  elements.infoContent.querySelector('.cluster-zoom').addEventListener('click', () => {
+    flyTo(cluster.lat, cluster.lon, 1 + (camera.position.length() - 1) / 2);
+  });
+}
+
+// Dropped datasets: parse a GeoJSON FeatureCollection or CSV into rows, confirm
+// which columns hold position/name/time, then rebuild dataPoints from the rows
+// that validate. Rejected rows are counted per reason for the report.
+async function importFile(file) {
+  try {
+    if (file.size > importConfig.maxBytes) {
+      throw new Error(`File is larger than ${importConfig.maxBytes / 1e6} MB`);
+    }
+    const parsed = parseDataset(file.name, await file.text());
+    const columns = describeColumns(parsed);
+    const mapping = await promptMapping(parsed, columns);
+    if (!mapping) return;
+    const { points, report } = buildPoints(parsed, columns, mapping);
+    if (!points.length) {
+      const reason = report.rejected[0]?.reason;
+      throw new Error(`No rows could be placed on the globe${reason ? ` (${reason})` : ''}`);
+    }
+    loadDataset({ name: file.name, points, metrics: mapping.metrics, report });
+  } catch (error) {
+    console.warn('PlanetPulse import failed', error);
+    showStatus(`Couldn't load ${file.name}: ${error.message}`, true, 6000);
+  }
+}
+
+function parseDataset(name, text) {
+  const body = text.replace(/^\uFEFF/, '');
+  const isJson = /\.(geo)?json$/i.test(name) || body.trimStart().startsWith('{');
+  return { name, ...(isJson ? parseGeoJson(body) : parseCsv(body)) };
+}
+
+function parseGeoJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`not valid JSON (${error.message})`);
+  }
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('GeoJSON must be a FeatureCollection');
+  }
+  const rejected = new Map();
+  const columns = new Set();
+  const rows = [];
+  data.features.forEach((feature, index) => {
+    const geometry = feature?.geometry;
+    if (!geometry) return rejectRow(rejected, 'Missing geometry', index + 1);
+    if (geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      return rejectRow(rejected, `Geometry is ${geometry.type}, not Point`, index + 1);
+    }
+    const values = feature.properties || {};
+    Object.keys(values).forEach((key) => columns.add(key));
+    rows.push({ line: index + 1, id: feature.id, values, position: geometry.coordinates });
+  });
+  return { format: 'geojson', columns: [...columns], rows, rejected };
+}
+
+// Quote-aware CSV with a header row; the delimiter (comma, semicolon or tab)
+// is whichever splits the header into the most fields
+function parseCsv(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best));
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Line numbers count the header as line 1; blank lines are skipped
+  const lines = records
+    .map((fields, index) => ({ fields, line: index + 1 }))
+    .filter(({ fields }) => fields.length > 1 || fields[0].trim() !== '');
+  if (lines.length < 2) throw new Error('CSV needs a header row and at least one data row');
+
+  const columns = lines[0].fields.map((name) => name.trim());
+  const rejected = new Map();
+  const rows = [];
+  lines.slice(1).forEach(({ fields, line }) => {
+    if (fields.length !== columns.length) return rejectRow(rejected, `Expected ${columns.length} columns`, line);
+    rows.push({ line, values: Object.fromEntries(columns.map((name, i) => [name, fields[i].trim()])) });
+  });
+  return { format: 'csv', columns, rows, rejected };
+}
+
+// A column is numeric when most of its filled values parse; roles are guessed
+// from common header names to preselect the mapping
+function describeColumns(parsed) {
+  const roles = {
+    lat: /^(lat|latitude|y)$/i,
+    lon: /^(lon|lng|long|longitude|x)$/i,
+    name: /^(name|title|place|label|station|site|city)$/i,
+    time: /^(time|date|datetime|timestamp|updated)$/i
+  };
+  return parsed.columns.map((name) => {
+    const filled = parsed.rows.map((row) => row.values[name]).filter((value) => value != null && value !== '');
+    const numeric = filled.filter((value) => Number.isFinite(toNumber(value))).length;
+    return {
+      name,
+      numeric: filled.length > 0 && numeric / filled.length >= importConfig.numericShare,
+      role: Object.keys(roles).find((role) => roles[role].test(name)) || null
+    };
+  });
+}
+
+function buildPoints(parsed, columns, mapping) {
+  const rejected = new Map(parsed.rejected);
+  const numeric = columns.filter((column) => column.numeric).map((column) => column.name);
+  const points = [];
+  parsed.rows.forEach(({ line, id, values, position }) => {
+    const [lon, lat] = parsed.format === 'geojson'
+      ? position
+      : [toNumber(values[mapping.lon]), toNumber(values[mapping.lat])];
+    if (!Number.isFinite(lat)) return rejectRow(rejected, 'Missing or non-numeric latitude', line);
+    if (!Number.isFinite(lon)) return rejectRow(rejected, 'Missing or non-numeric longitude', line);
+    if (Math.abs(lat) > 90) return rejectRow(rejected, 'Latitude outside ±90°', line);
+    if (Math.abs(lon) > 180) return rejectRow(rejected, 'Longitude outside ±180°', line);
+
+    const rawTime = mapping.time ? values[mapping.time] : '';
+    const time = rawTime == null || rawTime === '' ? null : toTime(rawTime);
+    if (Number.isNaN(time)) return rejectRow(rejected, 'Unreadable time', line);
+    if (points.length >= importConfig.maxPoints) {
+      return rejectRow(rejected, `Over the ${importConfig.maxPoints.toLocaleString()} point limit`, line);
+    }
+
+    points.push({
+      id: String(id ?? `${parsed.name}#${line}`),
+      name: mapping.name && values[mapping.name] !== '' ? String(values[mapping.name]) : `Row ${line}`,
+      country: '',
+      region: '',
+      lat,
+      lon,
+      metrics: Object.fromEntries(numeric.map((column) => [column, toNumber(values[column])])),
+      footprint: '',
+      category: parsed.name,
+      lastUpdated: time === null ? '' : new Date(time).toISOString().slice(0, 10),
+      time
+    });
+  });
+
+  const rejectedCount = [...rejected.values()].reduce((sum, lines) => sum + lines.length, 0);
+  return {
+    points,
+    report: {
+      total: points.length + rejectedCount,
+      imported: points.length,
+      unit: parsed.format === 'geojson' ? 'feature' : 'line',
+      rejected: [...rejected.entries()]
+        .map(([reason, lines]) => ({ reason, count: lines.length, lines: lines.slice(0, importConfig.listedRows) }))
+        .sort((a, b) => b.count - a.count)
+    }
+  };
+}
+
+function rejectRow(rejected, reason, line) {
+  if (!rejected.has(reason)) rejected.set(reason, []);
+  rejected.get(reason).push(line);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Dates parse as strings; bare numbers are epoch seconds (below 1e11) or ms,
+// except four-digit years. NaN when unreadable or outside the Date range.
+function toTime(value) {
+  const number = toNumber(value);
+  const time = number !== null && !/^\d{4}$/.test(String(value).trim())
+    ? (Math.abs(number) < 1e11 ? number * 1000 : number)
+    : Date.parse(value);
+  return Math.abs(time) <= 8.64e15 ? time : NaN;
+}
+
+// Resolves with { lat, lon, name, time, metrics } or null when cancelled
+function promptMapping(parsed, columns) {
+  const form = elements.importForm;
+  const numeric = columns.filter((column) => column.numeric);
+  const fill = (name, options, blank) => {
+    form.elements[name].innerHTML = [`<option value="">${blank}</option>`]
+      .concat(options.map((column) => `<option value="${escapeHtml(column.name)}">${escapeHtml(column.name)}</option>`))
+      .join('');
+    form.elements[name].value = columns.find((column) => column.role === name)?.name || '';
+  };
+  fill('lat', numeric, 'Choose a column');
+  fill('lon', numeric, 'Choose a column');
+  fill('name', columns, 'None');
+  fill('time', columns, 'None');
+
+  // GeoJSON positions come from the Point geometry
+  const geojson = parsed.format === 'geojson';
+  elements.importPosition.hidden = geojson;
+  form.elements.lat.disabled = geojson;
+  form.elements.lon.disabled = geojson;
+  form.dataset.format = parsed.format;
+
+  elements.importMetrics.querySelectorAll('label').forEach((label) => label.remove());
+  elements.importMetrics.insertAdjacentHTML(
+    'beforeend',
+    numeric
+      .map(
+        (column) => `
+        <label>
+          <input type="checkbox" name="metric" value="${escapeHtml(column.name)}" ${column.role ? '' : 'checked'} />
+          ${escapeHtml(column.name)}
+        </label>`
+      )
+      .join('')
+  );
+  elements.importMetrics.hidden = !numeric.length;
+  elements.importSummary.textContent = `${parsed.name}: ${parsed.rows.length.toLocaleString()} rows, ${columns.length} columns`;
+  elements.importError.hidden = true;
+
+  return new Promise((resolve) => {
+    elements.importDialog.addEventListener(
+      'close',
+      () => resolve(elements.importDialog.returnValue === 'import' ? readMapping() : null),
+      { once: true }
+    );
+    elements.importDialog.returnValue = '';
+    elements.importDialog.showModal();
+  });
+}
+
+function readMapping() {
+  const data = new FormData(elements.importForm);
+  const [lat, lon, name, time] = ['lat', 'lon', 'name', 'time'].map((key) => data.get(key) || null);
+  // Position columns are never metrics
+  const metrics = data.getAll('metric').filter((column) => column !== lat && column !== lon);
+  return { lat, lon, name, time, metrics };
+}
+
+function mappingError({ lat, lon }) {
+  if (elements.importForm.dataset.format === 'geojson') return null;
+  if (!lat || !lon) return 'Choose the latitude and longitude columns.';
+  if (lat === lon) return 'Latitude and longitude must be different columns.';
+  return null;
+}
+
+// Swap in the new points, registering the chosen numeric columns as metrics
+// (replacing any from a previous file)
+function loadDataset({ name, points, metrics, report }) {
+  state.dataset?.metricIds.forEach(unregisterMetric);
+  const metricIds = metrics.map(
+    (column) =>
+      registerMetric({
+        id: `data:${column}`,
+        label: column,
+        accessor: (point) => point.metrics[column],
+        formatter: (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 }),
+        description: `${column} from ${name}`
+      }).id
+  );
+  state.dataset = { name, report, metricIds };
+  dataPoints.splice(0, dataPoints.length, ...points);
+
+  state.selectedPoint = null;
+  state.pinnedPointId = null;
+  const available = availableMetrics();
+  if (!available.some((metric) => metric.id === state.metricKey)) state.metricKey = available[0].id;
+  renderMetricOptions();
+  rebuildMarkers();
+  renderImportReport();
+  writeViewState(true);
+  showStatus(`Loaded ${report.imported.toLocaleString()} of ${report.total.toLocaleString()} rows from ${name}.`, false, 4000);
+}
+
+function renderImportReport() {
+  const { name, report } = state.dataset;
+  const rows = report.rejected
+    .map(
+      ({ reason, count, lines }) => `
+      <li>${escapeHtml(reason)}: ${count.toLocaleString()} (${report.unit} ${lines.join(', ')}${count > lines.length ? ', …' : ''})</li>`
+    )
+    .join('');
+  elements.infoTitle.textContent = `Imported ${name}`;
+  elements.infoContent.innerHTML = `
+    <p class="location-meta">${report.imported.toLocaleString()} of ${report.total.toLocaleString()} rows placed on the globe.</p>
+    ${rows ? `<ul class="import-rejected">${rows}</ul>` : '<p>Every row was valid.</p>'}
+    <p>Select a glowing marker to inspect a location.</p>
   `;
 }
 
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
 function handleResize() {
   if (!renderer || !camera) return;
   const width = elements.globeContainer.clientWidth;
@@ -573,6 +2345,7 @@ function handleResize() {
 
 function handlePointerMove(event) {
   updatePointer(event);
+  updateCursorReadout(pickSurface());
   const intersects = pickMarker();
   if (intersects.length) {
     const marker = intersects[0].object;
@@ -593,8 +2366,66 @@ function handlePointerSelection(event) {
     const marker = intersects[0].object;
     renderInfo(marker.userData);
     showTooltip(marker.userData, event);
+    pinPoint(marker.userData);
   } else {
     hideTooltip();
+    if (!wasDragged(event)) pinCoordinate(pickSurface());
+  }
+}
+
+// A release far from where the press began was an orbit drag, not a click.
+function wasDragged(event) {
+  if (!pressPosition) return false;
+  const distance = Math.hypot(event.clientX - pressPosition.x, event.clientY - pressPosition.y);
+  return distance > readoutConfig.clickTolerance;
+}
+
+// Lat/lon of the globe surface under the pointer, or null off the globe. The
+// ray is moved into globeGroup's frame so spin is accounted for, then the hit
+// is run back through surfaceVector's mapping.
+function pickSurface() {
+  raycaster.setFromCamera(pointer, camera);
+  globeGroup.updateMatrixWorld();
+  const ray = raycaster.ray.clone().applyMatrix4(globeGroup.matrixWorld.clone().invert());
+  const hit = ray.intersectSphere(new THREE.Sphere(new THREE.Vector3(), 1), new THREE.Vector3());
+  if (!hit) return null;
+  const lat = 90 - THREE.MathUtils.radToDeg(Math.acos(hit.y / hit.length()));
+  const theta = THREE.MathUtils.radToDeg(Math.atan2(hit.z, -hit.x));
+  return { lat, lon: THREE.MathUtils.euclideanModulo(theta, 360) - 180 };
+}
+
+function formatCoordinate({ lat, lon }, decimals = readoutConfig.decimals) {
+  const ns = lat < 0 ? 'S' : 'N';
+  const ew = lon < 0 ? 'W' : 'E';
+  return `${Math.abs(lat).toFixed(decimals)}° ${ns}, ${Math.abs(lon).toFixed(decimals)}° ${ew}`;
+}
+
+function updateCursorReadout(coordinate) {
+  elements.coordCursor.hidden = !coordinate;
+  if (coordinate) elements.coordCursor.textContent = formatCoordinate(coordinate);
+}
+
+// Pins a clicked spot of globe so its coordinate can be copied; null unpins.
+function pinCoordinate(coordinate) {
+  state.pinnedCoordinate = coordinate;
+  elements.coordPin.hidden = !coordinate;
+  if (coordinate) {
+    elements.coordPinValue.textContent = `📍 ${formatCoordinate(coordinate)}`;
+    elements.coordCopy.textContent = 'Copy';
+  }
+}
+
+// Copies signed decimal degrees ("lat, lon"), the form map tools paste.
+async function copyPinnedCoordinate() {
+  const coordinate = state.pinnedCoordinate;
+  if (!coordinate) return;
+  const { copyDecimals } = readoutConfig;
+  try {
+    await navigator.clipboard.writeText(`${coordinate.lat.toFixed(copyDecimals)}, ${coordinate.lon.toFixed(copyDecimals)}`);
+    elements.coordCopy.textContent = 'Copied';
+  } catch (error) {
+    console.warn('Clipboard unavailable', error);
+    showStatus('Copy failed: the clipboard needs https or localhost.', true, 4000);
   }
 }
 
@@ -625,8 +2456,8 @@ function clearHover() {
 
 function showTooltip(point, event) {
   if (!elements.tooltip || !point) return;
-  const metricValue = formatMetricValue(state.metricKey, point.metrics[state.metricKey]);
-  elements.tooltip.innerHTML = `<strong>${point.name}</strong><span>${metricValue}</span>`;
+  const value = formatMetricValue(state.metricKey, metricValue(point, state.metricKey));
+  elements.tooltip.innerHTML = `<strong>${escapeHtml(point.name)}</strong><span>${value}</span>`;
   if (!event || !elements.globeContainer) {
     hideTooltip();
     return;
@@ -649,18 +2480,18 @@ function hideTooltip() {
 }
 
 function positionMarker(marker, lat, lon, radius = 1.01) {
-  const phi = (90 - lat) * (Math.PI / 180);
-  const theta = (lon + 180) * (Math.PI / 180);
-  marker.position.x = radius * Math.sin(phi) * Math.cos(theta);
-  marker.position.y = radius * Math.cos(phi);
-  marker.position.z = radius * Math.sin(phi) * Math.sin(theta);
+  marker.position.copy(surfaceVector(lat, lon, radius));
 }
 
-function findDomain(metricKey) {
-  const values = dataPoints.map((point) => point.metrics[metricKey]);
-  const min = Math.min(...values);
-  const max = Math.max(...values);
-  return [min, max];
+// Globe-frame position of a lat/lon (the inverse of pickSurface's mapping).
+function surfaceVector(lat, lon, radius = 1) {
+  const phi = (90 - lat) * (Math.PI / 180);
+  const theta = (lon + 180) * (Math.PI / 180);
+  return new THREE.Vector3(
+    -radius * Math.sin(phi) * Math.cos(theta),
+    radius * Math.cos(phi),
+    radius * Math.sin(phi) * Math.sin(theta)
+  );
 }
 
 function normalize(value, min, max) {
@@ -668,10 +2499,68 @@ function normalize(value, min, max) {
   return THREE.MathUtils.clamp((value - min) / (max - min), 0, 1);
 }
 
-function interpolateColor(colorA, colorB, t) {
-  const colA = new THREE.Color(colorA);
-  const colB = new THREE.Color(colorB);
-  return colA.lerp(colB, t).getStyle();
+function metricRamp(metric) {
+  return palettes[state.palette] || { type: 'sequential', colors: metric.colors };
+}
+
+// Evenly spaced stops, t in 0..1, blended in OKLab. Markers, swatches and the
+// legend gradient all sample through here so they always agree.
+function rampColor(ramp, t) {
+  const { colors } = ramp;
+  const scaled = THREE.MathUtils.clamp(t || 0, 0, 1) * (colors.length - 1);
+  if (ramp.type === 'categorical') return colors[Math.round(scaled)];
+  const index = Math.min(Math.floor(scaled), colors.length - 2);
+  const labA = toOklab(colors[index]);
+  const labB = toOklab(colors[index + 1]);
+  const mix = scaled - index;
+  return fromOklab(labA.map((value, channel) => value + (labB[channel] - value) * mix));
+}
+
+// CSS blends in sRGB, so sample densely; categorical ramps get hard edges
+// halfway between stops to match rampColor's rounding.
+function rampGradientCss(ramp) {
+  if (ramp.type === 'categorical') {
+    const last = ramp.colors.length - 1;
+    const stops = ramp.colors.map((color, index) => {
+      const from = Math.max(0, (index - 0.5) / last) * 100;
+      const to = Math.min(1, (index + 0.5) / last) * 100;
+      return `${color} ${from}% ${to}%`;
+    });
+    return `linear-gradient(90deg, ${stops.join(', ')})`;
+  }
+  const stops = Array.from({ length: gradientSteps + 1 }, (_, index) => rampColor(ramp, index / gradientSteps));
+  return `linear-gradient(90deg, ${stops.join(', ')})`;
+}
+
+function toOklab(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  const [r, g, b] = [value >> 16, (value >> 8) & 255, value & 255].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+  ];
+}
+
+function fromOklab([L, a, b]) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+  const channels = [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s
+  ].map((c) => {
+    const v = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return Math.round(THREE.MathUtils.clamp(v, 0, 1) * 255);
+  });
+  return `rgb(${channels.join(', ')})`;
 }
 
 function showStatus(message, isError = false, timeout) {
@@ -686,12 +2575,6 @@ function showStatus(message, isError = false, timeout) {
   }
 }
 
-function loadTexture(loader, url) {
-  return new Promise((resolve, reject) => {
-    loader.load(url, resolve, undefined, reject);
-  });
-}
-
 function isWebGlAvailable() {
   try {
     const canvas = document.createElement('canvas');